@@ -0,0 +1,6082 @@
+// =========================================================
+// Motor del chatbot UPIITA como módulo embebible
+// Exporta createApp() y resolveLocation(); server.js sólo conecta y escucha.
+// La configuración se lee de process.env (server.js carga .env antes)
+// =========================================================
+const express  = require('express');
+const cors     = require('cors');
+const morgan   = require('morgan');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const HOST = process.env.HOST || '127.0.0.1';
+const PORT = process.env.PORT || 3000;
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://${HOST}:${PORT}`;
+
+
+// =========================================================
+// Rutas y archivos estáticos
+// Las rutas se registran en un Router; createApp() lo monta con los middlewares
+// =========================================================
+const path = require("path");
+const fs   = require("fs");
+
+const MAPAS_DIR = path.resolve(__dirname, ".", "mapas");
+
+// `router`: rutas que leen el catálogo a través de la fuente de datos de la app.
+// `mongoRouter`: las que usan directamente los modelos (CRUD, administración, horarios,
+// reservaciones, inventario, planos); createApp sólo las monta con la fuente MongoDB.
+const router = express.Router();
+const mongoRouter = express.Router();
+
+// =========================================================
+// Modelos de datos para Salones y Laboratorios
+// Define esquemas Mongoose con índices de texto para búsquedas flexibles
+// =========================================================
+const { Schema, model, Types } = mongoose;
+
+// Hora "HH:MM" y días de la semana (horarios, reservaciones y reglas de laboratorio)
+const HORA_RX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DIAS_SEMANA = ['lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado', 'domingo'];
+
+/*posición en el plano de piso: polígono o punto (coordenadas del viewBox del plano)*/
+const planoPosSchema = new Schema(
+  {
+    poligono: {
+      type: [[Number]],
+      default: undefined,
+      validate: {
+        validator: (pts) => !pts || (pts.length >= 3 && pts.every(p => p.length === 2 && p.every(Number.isFinite))),
+        message: 'El polígono requiere al menos 3 puntos [x, y]'
+      }
+    },
+    x: { type: Number },
+    y: { type: Number }
+  },
+  { _id: false }
+);
+
+// Coordenadas propias (WGS84) de un espacio; sin ellas se usan las de su edificio
+const coordenadasSchema = new Schema(
+  {
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lon: { type: Number, required: true, min: -180, max: 180 }
+  },
+  { _id: false }
+);
+
+// Punto GeoJSON efectivo ([lon, lat]) para el índice 2dsphere; lo calcula syncDerived, no se edita
+const geoPointSchema = new Schema(
+  {
+    type:        { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: undefined }
+  },
+  { _id: false }
+);
+
+// Accesibilidad declarada del espacio; lo que se omite se hereda del edificio (grafo del campus).
+// `sinEscalones` sólo se declara para corregir el cálculo por piso/elevador.
+const accesibilidadSchema = new Schema(
+  {
+    elevador:            { type: Boolean },
+    rampa:               { type: Boolean },
+    sanitarioAccesible:  { type: Boolean },
+    entradaSinEscalones: { type: Boolean },
+    sinEscalones:        { type: Boolean },
+    notas:               { type: String, trim: true }
+  },
+  { _id: false }
+);
+
+// Accesibilidad efectiva (propia + edificio + piso) para los filtros; la calcula syncDerived
+const accesibleSchema = new Schema(
+  {
+    sinEscalones:        { type: Boolean },
+    elevador:            { type: Boolean },
+    rampa:               { type: Boolean },
+    sanitarioAccesible:  { type: Boolean },
+    entradaSinEscalones: { type: Boolean }
+  },
+  { _id: false }
+);
+
+// Reglas de reservación de un laboratorio; lo omitido toma los valores RESERVA_* por defecto
+const reglasReservaSchema = new Schema(
+  {
+    reservable:           { type: Boolean },
+    requiereAprobacion:   { type: Boolean },
+    capacidad:            { type: Number, min: 1 },
+    duracionMaxMin:       { type: Number, min: 15 },
+    anticipacionMinHoras: { type: Number, min: 0 },
+    anticipacionMaxDias:  { type: Number, min: 1 },
+    apertura:             { type: String, match: [HORA_RX, 'Hora inválida (HH:MM)'] },
+    cierre:               { type: String, match: [HORA_RX, 'Hora inválida (HH:MM)'] },
+    dias:                 { type: [String], enum: DIAS_SEMANA, default: undefined }
+  },
+  { _id: false }
+);
+
+// Campos calculados (`geo`, `accesible`): se recalculan antes de cada validación
+const syncDerivedHook = function (next) { syncDerived(this); next(); };
+
+/*salones*/
+const salonSchema = new Schema(
+  {
+    numero:    { type: String, required: true, index: true },
+    nombre:    { type: String, required: true, index: true },
+    edificio:  { type: String, required: true, index: true },
+    piso:      { type: String, required: true, index: true },
+    ubicacion: { type: String },
+    mapa_url:  { type: String },
+    plano:     { type: planoPosSchema },
+    coordenadas: { type: coordenadasSchema },
+    geo:       { type: geoPointSchema },
+    accesibilidad: { type: accesibilidadSchema },
+    accesible: { type: accesibleSchema }
+  },
+  { versionKey: false, timestamps: false, collection: 'salones' }
+);
+salonSchema.index({ numero: 'text', nombre: 'text', edificio: 'text', piso: 'text' });
+salonSchema.index({ geo: '2dsphere' });
+// Respaldo de ensureUnique en la base: dos altas simultáneas no pueden repetir el número
+// (sin distinguir mayúsculas ni acentos, como la búsqueda). El E11000 se responde como 409.
+salonSchema.index({ numero: 1 }, { unique: true, name: 'numero_unico', collation: { locale: 'es', strength: 1 } });
+salonSchema.pre('validate', syncDerivedHook);
+const Salon = model('Salon', salonSchema, 'salones');
+
+/*laboratorios*/
+const laboratorioSchema = new Schema(
+  {
+    codigo:    { type: String, required: true, index: true },
+    nombre:    { type: String, required: true, index: true },
+    edificio:  { type: String, required: true, index: true },
+    piso:      { type: String, required: true, index: true },
+    ubicacion: { type: String },
+    mapa_url:  { type: String },
+    plano:     { type: planoPosSchema },
+    coordenadas: { type: coordenadasSchema },
+    geo:       { type: geoPointSchema },
+    accesibilidad: { type: accesibilidadSchema },
+    accesible: { type: accesibleSchema },
+    reglasReserva: { type: reglasReservaSchema }
+  },
+  { versionKey: false, timestamps: false, collection: 'laboratorios' }
+);
+laboratorioSchema.index({ nombre: 'text', codigo: 'text', edificio: 'text', piso: 'text' });
+laboratorioSchema.index({ geo: '2dsphere' });
+laboratorioSchema.index({ codigo: 1 }, { unique: true, name: 'codigo_unico', collation: { locale: 'es', strength: 1 } });
+laboratorioSchema.pre('validate', syncDerivedHook);
+const Laboratorio = model('Laboratorio', laboratorioSchema, 'laboratorios');
+
+/*lugares: oficinas, servicios y otros espacios que no son salón ni laboratorio*/
+// Atributos permitidos por categoría (se guardan en `atributos`)
+const CATEGORIAS_LUGAR = {
+  servicio:   ['horarioAtencion', 'telefono', 'correo', 'tramites'],
+  oficina:    ['responsable', 'horarioAtencion', 'telefono', 'extension', 'correo'],
+  cubiculo:   ['profesor', 'academia', 'correo', 'extension'],
+  sanitario:  ['genero', 'accesible'],
+  cafeteria:  ['horarioAtencion'],
+  auditorio:  ['capacidad', 'equipamiento'],
+  medico:     ['horarioAtencion', 'telefono'],
+  biblioteca: ['horarioAtencion', 'telefono'],
+  deportivo:  ['horarioAtencion', 'disciplinas'],
+  otro:       []
+};
+const lugarSchema = new Schema(
+  {
+    nombre:    { type: String, required: true, index: true, trim: true },
+    categoria: { type: String, required: true, enum: Object.keys(CATEGORIAS_LUGAR), index: true },
+    edificio:  { type: String, required: true, index: true },
+    piso:      { type: String, required: true, index: true },
+    ubicacion: { type: String },
+    mapa_url:  { type: String },
+    plano:     { type: planoPosSchema },
+    coordenadas: { type: coordenadasSchema },
+    geo:       { type: geoPointSchema },
+    accesibilidad: { type: accesibilidadSchema },
+    accesible: { type: accesibleSchema },
+    atributos: { type: Schema.Types.Mixed, default: {} }
+  },
+  { versionKey: false, timestamps: false, collection: 'lugares' }
+);
+lugarSchema.index({ nombre: 'text', categoria: 'text', edificio: 'text', 'atributos.profesor': 'text' });
+lugarSchema.index({ geo: '2dsphere' });
+lugarSchema.pre('validate', syncDerivedHook);
+lugarSchema.path('atributos').validate(function (attrs) {
+  if (!attrs || typeof attrs !== 'object' || Array.isArray(attrs)) return false;
+  const permitidos = CATEGORIAS_LUGAR[this.categoria] || [];
+  const extra = Object.keys(attrs).filter(k => !permitidos.includes(k));
+  if (extra.length) throw new Error(`Atributos no válidos para "${this.categoria}": ${extra.join(', ')}`);
+  if (attrs.genero !== undefined && !['hombres', 'mujeres', 'mixto'].includes(attrs.genero)) {
+    throw new Error('genero debe ser hombres | mujeres | mixto');
+  }
+  if (attrs.capacidad !== undefined && !Number.isFinite(attrs.capacidad)) throw new Error('capacidad debe ser numérica');
+  return true;
+});
+const Lugar = model('Lugar', lugarSchema, 'lugares');
+
+/*sinónimos*/
+const SINONIMO_TIPOS = ['salon', 'laboratorio', 'lugar'];
+const sinonimoSchema = new Schema(
+  {
+    tipo:      { type: String, required: true, enum: SINONIMO_TIPOS, index: true },
+    canonical: { type: String, required: true, trim: true },
+    aliases:   { type: [String], default: [] }
+  },
+  { versionKey: false, timestamps: true, collection: 'sinonimos' }
+);
+sinonimoSchema.index({ tipo: 1, canonical: 1 }, { unique: true });
+// Limpia alias vacíos o repetidos (misma forma normalizada) antes de guardar
+sinonimoSchema.pre('validate', function (next) {
+  const seen = new Set();
+  this.aliases = (this.aliases || [])
+    .map(a => String(a || '').trim())
+    .filter(a => {
+      const k = normalize_chat(a);
+      if (!k || seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+  next();
+});
+const Sinonimo = model('Sinonimo', sinonimoSchema, 'sinonimos');
+
+/*horarios de clase por salón/laboratorio*/
+const horarioSchema = new Schema(
+  {
+    tipo:     { type: String, required: true, enum: ['salon', 'laboratorio'] },
+    espacio:  { type: Schema.Types.ObjectId, required: true, index: true },
+    dia:      { type: String, required: true, enum: DIAS_SEMANA },
+    inicio:   { type: String, required: true, match: [HORA_RX, 'Hora inválida (HH:MM)'] },
+    fin:      { type: String, required: true, match: [HORA_RX, 'Hora inválida (HH:MM)'] },
+    grupo:    { type: String, trim: true },
+    materia:  { type: String, trim: true },
+    profesor: { type: String, trim: true }
+  },
+  { versionKey: false, timestamps: false, collection: 'horarios' }
+);
+horarioSchema.index({ tipo: 1, espacio: 1, dia: 1, inicio: 1 });
+horarioSchema.path('fin').validate(function (v) {
+  return !this.inicio || !v || v > this.inicio;
+}, 'La hora de fin debe ser posterior al inicio');
+const Horario = model('Horario', horarioSchema, 'horarios');
+
+/*avisos temporales (cierres, traslados, exámenes) ligados a espacios o edificios*/
+const AVISO_SEVERIDADES = ['info', 'advertencia', 'critico'];
+const AVISO_CATEGORIAS = ['cierre', 'traslado', 'examen', 'otro'];
+const avisoEspacioSchema = new Schema(
+  {
+    tipo:    { type: String, required: true, enum: ['salon', 'laboratorio', 'lugar'] },
+    espacio: { type: Schema.Types.ObjectId, required: true }
+  },
+  { _id: false }
+);
+const avisoSchema = new Schema(
+  {
+    titulo:    { type: String, required: true, trim: true },
+    mensaje:   { type: String, trim: true },
+    categoria: { type: String, enum: AVISO_CATEGORIAS, default: 'otro' },
+    severidad: { type: String, enum: AVISO_SEVERIDADES, default: 'info' },
+    espacios:  { type: [avisoEspacioSchema], default: [] },
+    edificios: { type: [String], default: [] },               // claves canónicas: Edificio1..4, EdificioCentral, EdificioPesados
+    inicio:    { type: Date, required: true },
+    fin:       { type: Date, required: true },
+    en:        { titulo: { type: String, trim: true }, mensaje: { type: String, trim: true } }
+  },
+  { versionKey: false, timestamps: true, collection: 'avisos' }
+);
+avisoSchema.index({ fin: 1, inicio: 1 });
+avisoSchema.index({ 'espacios.espacio': 1 });
+avisoSchema.index({ edificios: 1 });
+avisoSchema.path('fin').validate(function (v) {
+  return !this.inicio || !v || v > this.inicio;
+}, 'La fecha de fin debe ser posterior al inicio');
+avisoSchema.pre('validate', function (next) {
+  if (!this.espacios.length && !this.edificios.length) this.invalidate('espacios', 'Indica al menos un espacio o edificio');
+  next();
+});
+const Aviso = model('Aviso', avisoSchema, 'avisos');
+
+/*reservaciones de laboratorio (fecha y horas en la zona horaria del campus)*/
+const FECHA_RX = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const RESERVA_ESTADOS = ['pendiente', 'aprobada', 'rechazada', 'cancelada'];
+const reservaSchema = new Schema(
+  {
+    laboratorio: { type: Schema.Types.ObjectId, required: true, index: true },
+    fecha:       { type: String, required: true, match: [FECHA_RX, 'Fecha inválida (AAAA-MM-DD)'] },
+    inicio:      { type: String, required: true, match: [HORA_RX, 'Hora inválida (HH:MM)'] },
+    fin:         { type: String, required: true, match: [HORA_RX, 'Hora inválida (HH:MM)'] },
+    solicitante: { type: String, required: true, trim: true },
+    correo:      { type: String, trim: true, lowercase: true, match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Correo inválido'] },
+    motivo:      { type: String, trim: true },
+    asistentes:  { type: Number, min: 1, default: 1 },
+    estado:      { type: String, enum: RESERVA_ESTADOS, default: 'pendiente', index: true },
+    respuesta:   { type: String, trim: true },                // motivo del rechazo o la cancelación
+    codigoHash:  { type: String, select: false }              // sha256 del código de cancelación del solicitante
+  },
+  { versionKey: false, timestamps: true, collection: 'reservas' }
+);
+reservaSchema.index({ laboratorio: 1, fecha: 1, inicio: 1 });
+reservaSchema.path('fin').validate(function (v) {
+  return !this.inicio || !v || v > this.inicio;
+}, 'La hora de fin debe ser posterior al inicio');
+const Reserva = model('Reserva', reservaSchema, 'reservas');
+
+// Un documento por laboratorio y fecha mientras se revisa y guarda una reservación; el _id
+// único serializa las solicitudes concurrentes. El índice TTL purga los que dejó un proceso caído.
+const reservaBloqueoSchema = new Schema(
+  {
+    _id:    { type: String },                                  // "<laboratorio>|<fecha>"
+    creado: { type: Date, default: Date.now, expires: 60 }
+  },
+  { versionKey: false, collection: 'reserva_bloqueos' }
+);
+const ReservaBloqueo = model('ReservaBloqueo', reservaBloqueoSchema, 'reserva_bloqueos');
+
+/*inventario de equipo y software por laboratorio*/
+const EQUIPO_TIPOS   = ['equipo', 'software'];
+const EQUIPO_ESTADOS = ['disponible', 'mantenimiento', 'fuera_de_servicio'];
+const equipoSchema = new Schema(
+  {
+    laboratorio: { type: Schema.Types.ObjectId, required: true, index: true },
+    nombre:      { type: String, required: true, trim: true },
+    tipo:        { type: String, enum: EQUIPO_TIPOS, default: 'equipo' },
+    categoria:   { type: String, trim: true },                // "osciloscopio", "impresora 3d", "cad"…
+    marca:       { type: String, trim: true },
+    modelo:      { type: String, trim: true },
+    cantidad:    { type: Number, min: 0, default: 1 },        // en software: licencias o equipos con la instalación
+    estado:      { type: String, enum: EQUIPO_ESTADOS, default: 'disponible', index: true },
+    aliases:     { type: [String], default: [] },             // otros nombres con los que se pregunta por él
+    notas:       { type: String, trim: true },
+    en:          { nombre: { type: String, trim: true } }
+  },
+  { versionKey: false, timestamps: true, collection: 'equipos' }
+);
+equipoSchema.index({ laboratorio: 1, nombre: 1 });
+equipoSchema.pre('validate', function (next) {
+  this.aliases = [...new Set(this.aliases.map(a => String(a).trim()).filter(Boolean))];
+  next();
+});
+const Equipo = model('Equipo', equipoSchema, 'equipos');
+
+/*planos de piso por edificio*/
+const SVG_PATH_RX = /^[MmLlHhVvCcSsQqTtAaZz0-9\s,.\-eE]+$/;
+const planoSchema = new Schema(
+  {
+    edificio: { type: String, required: true, trim: true }, // clave de imagen: Edificio1..4, EdificioCentral, EdificioPesados
+    piso:     { type: String, required: true, trim: true },
+    ancho:    { type: Number, required: true, min: 1 },
+    alto:     { type: Number, required: true, min: 1 },
+    fondo:    { type: String },                              // URL de imagen de fondo (opcional)
+    trazos:   {                                              // atributos "d" de muros y pasillos
+      type: [String],
+      default: [],
+      validate: { validator: (ds) => ds.every(d => SVG_PATH_RX.test(d)), message: 'Trazo SVG inválido' }
+    }
+  },
+  { versionKey: false, timestamps: true, collection: 'planos' }
+);
+planoSchema.index({ edificio: 1, piso: 1 }, { unique: true });
+// Guarda edificio/piso en forma canónica para que coincidan con los de salones y laboratorios
+planoSchema.pre('validate', function (next) {
+  if (this.edificio) this.edificio = buildingKey(this.edificio);
+  if (this.piso) this.piso = floorKey(this.piso);
+  next();
+});
+const Plano = model('Plano', planoSchema, 'planos');
+
+/*bitácora de consultas (analítica)*/
+const ANALYTICS_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS || '180', 10);
+const consultaSchema = new Schema(
+  {
+    endpoint:    { type: String, required: true },           // /chat | /chat/df | /buscar
+    normalizado: { type: String, required: true },           // texto con normalize_chat
+    tipo:        { type: String },                           // salon | laboratorio | mixto | ruta | horario | accesibilidad | seguimiento | intent
+    canonical:   { type: String },                           // nombre (o intent) con el que se resolvió
+    resultados:  { type: Number, default: 0 },
+    latenciaMs:  { type: Number },
+    ts:          { type: Date, default: Date.now }
+  },
+  { versionKey: false, timestamps: false, collection: 'consultas' }
+);
+consultaSchema.index({ ts: 1 }, { expireAfterSeconds: ANALYTICS_RETENTION_DAYS * 24 * 3600 });
+consultaSchema.index({ normalizado: 1, ts: -1 });
+const Consulta = model('Consulta', consultaSchema, 'consultas');
+
+/*sesiones de chat (contexto conversacional)*/
+const chatSessionSchema = new Schema(
+  {
+    _id:       { type: String },
+    data:      { type: Schema.Types.Mixed, default: {} },
+    expiresAt: { type: Date, required: true }
+  },
+  { versionKey: false, timestamps: false, collection: 'chat_sesiones' }
+);
+chatSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const ChatSession = model('ChatSession', chatSessionSchema, 'chat_sesiones');
+
+// =========================================================
+// Conexión a MongoDB y sincronización de índices
+// Configura la conexión y sincroniza índices definidos en los esquemas
+// =========================================================
+mongoose.set('strictQuery', true);
+
+/**
+ * Conecta, sincroniza índices y carga los sinónimos. Si la conexión falla la
+ * promesa se rechaza y quien llama decide qué hacer (server.js termina el proceso).
+ */
+async function connectDatabase(uri = process.env.MONGO_URI, { dbName = process.env.MONGO_DBNAME } = {}) {
+  const connectOptions = { serverSelectionTimeoutMS: 8000 };
+  if (dbName) connectOptions.dbName = dbName;
+
+  await mongoose.connect(uri, connectOptions);
+  console.log('MongoDB conectado');
+  if (CAMPUS_GRAPH) console.log(`Grafo del campus cargado: ${CAMPUS_GRAPH.nodos.size} nodos`);
+  try {
+    await Promise.all([
+      Laboratorio.syncIndexes(), Salon.syncIndexes(), Sinonimo.syncIndexes(), ChatSession.syncIndexes(),
+      Horario.syncIndexes(), Plano.syncIndexes(), Consulta.syncIndexes(), Lugar.syncIndexes(),
+      Aviso.syncIndexes(), Reserva.syncIndexes(), Equipo.syncIndexes(), ReservaBloqueo.syncIndexes()
+    ]);
+    console.log('Índices sincronizados');
+  } catch (e) {
+    console.warn('! No se pudieron sincronizar índices:', e.message);
+  }
+  try {
+    const recalculados = await syncStoredDerived();
+    if (recalculados) console.log(`Ubicación/accesibilidad recalculadas: ${recalculados}`);
+  } catch (e) {
+    console.warn('! No se pudieron recalcular ubicación y accesibilidad:', e.message);
+  }
+  try {
+    const sembrados = await seedSynonyms();
+    if (sembrados) console.log(`Sinónimos iniciales cargados: ${sembrados}`);
+    await reloadSynonyms();
+  } catch (e) {
+    console.warn('! No se pudieron cargar sinónimos desde MongoDB:', e.message);
+  }
+  try {
+    await reloadPlanoKeys();
+  } catch (e) {
+    console.warn('! No se pudieron cargar los planos de piso:', e.message);
+  }
+}
+
+// =========================================================
+// Funciones auxiliares de internacionalización y normalización
+// Implementa búsquedas tolerantes a acentos y diferencias ortográficas
+// =========================================================
+const I18N_MAP_CHAT = { a:'aáàäâã', e:'eéèëê', i:'iíìïî', o:'oóòöôõ', u:'uúùüû', n:'nñ', c:'cç' };
+const rxEscapeChat = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function i18nLike_chat(s) {
+  if (!s) return undefined;
+  const pat = String(s).split('').map(ch => {
+    const low = ch.toLowerCase();
+    return I18N_MAP_CHAT[low] ? `[${I18N_MAP_CHAT[low]}${I18N_MAP_CHAT[low].toUpperCase()}]` : rxEscapeChat(ch);
+  }).join('');
+  return new RegExp(pat, 'i');
+}
+
+function i18nExactRegex_chat(str) {
+  const pieces = String(str).split('').map(ch => {
+    if (/\s/.test(ch)) return '\\s+';
+    const low = ch.toLowerCase();
+    return I18N_MAP_CHAT[low] ? `[${I18N_MAP_CHAT[low]}${I18N_MAP_CHAT[low].toUpperCase()}]` : rxEscapeChat(ch);
+  });
+  return new RegExp('^\\s*' + pieces.join('') + '\\s*$', 'i');
+}
+
+const normalize_chat = (s) =>
+  String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g,'').toLowerCase().replace(/\s+/g,' ').trim();
+
+// =========================================================
+// Idiomas de respuesta (español e inglés)
+// Catálogos de textos en data/i18n/<lang>.json; el español es el idioma base
+// =========================================================
+const I18N_DIR = process.env.I18N_DIR || path.join(__dirname, 'data', 'i18n');
+const IDIOMA_BASE = 'es';
+const IDIOMAS = ['es', 'en'];
+const CATALOGOS = Object.fromEntries(IDIOMAS.map(l =>
+  [l, JSON.parse(fs.readFileSync(path.join(I18N_DIR, `${l}.json`), 'utf8'))]));
+
+// Reescrituras de consulta → español (sólo los idiomas que las definen)
+const CONSULTA_REGLAS = Object.fromEntries(IDIOMAS.map(l =>
+  [l, ((CATALOGOS[l].consultas || {}).reglas || []).map(([rx, rep]) => [new RegExp(rx, 'g'), rep])]));
+
+// "en", "EN-us", "en_GB" → "en"; '' si no está soportado
+function parseLang(v) {
+  const t = normalize_chat(v).split(/[-_]/)[0];
+  return IDIOMAS.includes(t) ? t : '';
+}
+
+// Texto del catálogo por clave con puntos ("ruta.busca"); {var} se sustituye con `vars`.
+// Si falta en el idioma pedido se usa el español.
+function msg(lang, clave, vars = {}) {
+  const buscar = (cat) => clave.split('.').reduce((o, k) => (o == null ? undefined : o[k]), cat);
+  const plantilla = buscar(CATALOGOS[lang]) ?? buscar(CATALOGOS[IDIOMA_BASE]) ?? clave;
+  return String(plantilla).replace(/\{(\w+)\}/g, (_m, k) => (vars[k] ?? ''));
+}
+
+// "a", "a o b", "a, b o c" (or en inglés)
+function joinOr(lang, items) {
+  if (items.length < 2) return items.join('');
+  return `${items.slice(0, -1).join(', ')} ${msg(lang, 'comun.o')} ${items[items.length - 1]}`;
+}
+
+// Campo traducido de un nodo/edificio del grafo: { nombre, en: { nombre } }
+const localized = (obj, campo, lang) =>
+  (lang !== IDIOMA_BASE && obj[lang] && obj[lang][campo]) || obj[campo];
+
+// Nombre generado en todos los idiomas, con la misma forma que `localized` lee
+function localizedNames(fn) {
+  const out = { nombre: fn(IDIOMA_BASE) };
+  for (const l of IDIOMAS) if (l !== IDIOMA_BASE) out[l] = { nombre: fn(l) };
+  return out;
+}
+
+/**
+ * Consulta en otro idioma → consulta en español para el motor
+ * ("robotics lab" → "laboratorio de robotica", "room 126" → "salon 126").
+ */
+function toSpanishQuery(q, lang = IDIOMA_BASE) {
+  const reglas = CONSULTA_REGLAS[lang];
+  if (!reglas || !reglas.length) return q;
+  let t = normalize_chat(q).replace(/[¿?¡!,;]/g, ' ');
+  for (const [rx, rep] of reglas) t = t.replace(rx, rep);
+  return t.replace(/\s+/g, ' ').trim() || q;
+}
+
+// `lang` explícito (cuerpo o query; si no se soporta → 400) o, si no viene, Accept-Language
+function requestLang(req) {
+  const pedido = (req.body && req.body.lang) || req.query.lang;
+  if (pedido) {
+    const lang = parseLang(pedido);
+    if (!lang) throw httpError(400, `Idioma no soportado: "${pedido}"`, IDIOMAS);
+    return lang;
+  }
+  return parseLang(req.acceptsLanguages(...IDIOMAS) || '') || IDIOMA_BASE;
+}
+
+// =========================================================
+// Funciones para detección de imágenes de edificios
+// Localiza archivos existentes en la carpeta de mapas o convierte enlaces Drive
+// =========================================================
+function firstExistingInMapas(basenames = []) {
+  const exts = [".png", ".jpg", ".jpeg", ".webp"];
+  for (const base of basenames) {
+    for (const ext of exts) {
+      const full = path.join(MAPAS_DIR, base + ext);
+      if (fs.existsSync(full)) {
+        return `${PUBLIC_BASE_URL}/mapas/${base}${ext}`;
+      }
+    }
+  }
+  return ""; // no encontrado
+}
+
+function edificioBasenames(edif = "") {
+  const t = String(edif || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+  const candidates = [];
+
+  // “Central”, “Pesados”
+  if (/\bcentral\b/.test(t))  candidates.push("EdificioCentral");
+  if (/\bpesados?\b/.test(t)) candidates.push("EdificioPesados");
+
+  // Edificio 1..4 (acepta “edificio 1”, “1”, etc.)
+  const m = t.match(/\b(?:edificio\s*)?([1-4])\b/);
+  if (m) candidates.push(`Edificio${m[1]}`);
+
+  return candidates;
+}
+
+// Decide la URL final: primero imagen local por edificio, luego mapa_url/imagen_url (Drive o directa)
+function toDirectImage(url = "") {
+  if (!url) return "";
+  const m = String(url).match(/https:\/\/drive\.google\.com\/file\/d\/([^/]+)/i);
+  if (m) return `https://drive.google.com/uc?export=view&id=${m[1]}`;
+  return url; // ya directa
+}
+
+function pickBuildingImage(doc = {}) {
+  // 1) Buscar por edificio / ubicación / nombre → archivo local existente
+  const byEd = [
+    ...edificioBasenames(doc.edificio || ""),
+    ...edificioBasenames(doc.ubicacion || ""),
+    ...edificioBasenames(doc.nombre || doc.codigo || ""),
+  ];
+  const localUrl = firstExistingInMapas(byEd);
+  if (localUrl) return localUrl;
+
+  // 2) Fallback a campos de BD
+  const fallback = doc.mapa_url || doc.imagen_url || "";
+  return toDirectImage(fallback);
+}
+
+// =========================================================
+// Mapeo de sinónimos y normalización de términos
+// Define diccionarios para equivalencias en nombres de salones y laboratorios
+// (semilla: se cargan a la colección `sinonimos` en el primer arranque)
+// =========================================================
+const normalize = (s) => normalize_chat(s);
+
+const SALON_NUMS = [
+  100,102,103,104,105,106,120,121,122,123,124,125,126,
+  201,202,211,221,222,223,224,225,226,
+  315,322,323,324,325,326,
+  422,423,424,425,426
+];
+const SALON_LS = ['L320','L325'];
+
+function buildSalonSynonyms() {
+  const map = {};
+  const base = (n) => `Salón ${n}`;
+  for (const n of SALON_NUMS) {
+    const canon = base(n);
+    map[canon] = [
+      `${n}`,
+      `salon ${n}`, `salón ${n}`,
+      `aula ${n}`,
+      `aula${n}`, `salon${n}`, `salón${n}`,
+      `Salon ${n}`, `Salón ${n}`,
+      `Aula ${n}`,
+      `Aula${n}`, `Salon${n}`, `Salón${n}`
+    ];
+  }
+  for (const lx of SALON_LS) {
+    const canon = `Aula ${lx.toUpperCase()}`;
+    const code  = lx.toUpperCase();
+    map[canon] = [
+      `${code}`, `${code.toLowerCase()}`,
+      `aula ${code}`, `salon ${code}`, `salón ${code}`,
+      `aula${code}`, `salon${code}`, `salón${code}`,
+      `sala ${code}`,
+      `Aula ${code}`, `Salon ${code}`, `Salón ${code}`,
+      `Aula${code}`, `Salon${code}`, `Salón${code}`,
+      `Sala ${code}`
+    ];
+  }
+  return map;
+}
+const SALON_SYNONYMS = buildSalonSynonyms();
+
+// =========================================================
+// Definición de sinónimos para laboratorios y espacios comunes
+// Amplía cobertura de términos en consultas naturales
+// =========================================================
+const LAB_SYNONYMS = {
+  'Sala multimedia': ['sala de multimedia','multimedia','sala de multi','sala multimedia', 'Sala de Multimedia',
+    'Multimedia', 'Sala de multi', 'Multi', 'multi', 'multimedia'
+  ],
+  'Biblioteca': ['la biblioteca','biblioteca', 'Biblioteca', 'La biblioteca'],
+  'CELEX': ['celex', 'Celex'],
+  'Sala de alumnos de Posgrado': ['sala de alumnos de posgrado','alumnos posgrado', 'Sala de alumnos de posgrado'],
+  'Red de Género': ['red de genero','genero', 'Red de género', 'red de género'],
+  'Red de Expertos Posgrado': ['red de expertos posgrado','red de expertos','posgrado red de expertos',
+    'Red de expertos posgrado'
+  ],
+  'Laboratorio de Desarrollo Tecnológico': [
+    'Desarrollo Tecnológico','Desarrollo tecnológico','Lab de Desarrollo Tecnológico','lab de desarrollo tecnológico',
+    'laboratorio de desarrollo tecnológico','desarrollo tecnologico','laboratorio de desarrollo tecnologico',
+    'lab de desarrollo tecnologico', ' Lab de desarrollo tecnológico', 'Laboratorio de desarrollo tecnológico'
+  ],
+  'Laboratorio de Realidad Extendida': [
+    'Laboratorio de realidad extendida','Lab de realidad extendida','Realidad extendida','laboratorio de realidad extendida',
+    'lab de realidad extendida'
+  ],
+  'Laboratorio CIM': ['Lab CIM','CIM','cim','lab cim','laboratorio cim','lab CIM','laboratorio CIM'],
+  'Laboratorio de Electrónica 3': [
+    'electronica 3','electronica iii','lab de electronica 3','lab de electronica iii',
+    'Electrónica 3','Lab de electrónica 3','electrónica 3','Electrónica III','lab de electrónica III', 'Lab De Electrónica 3',
+    'lab de electrónica 3', 'Lab de electrónica III', 'Lab De Electrónica III', 'Electronica 3','Lab de electronica 3',
+    'electronica III','electrónica III','lab de electronica III', 'Electronica III', 'Lab De Electronica III', 'Lab de electronica III',
+    'electrónica iii', 'lab de electrónica iii', 'Electrónica iii','Lab de electrónica iii', 'Lab De Electrónica iii',
+    'Lab de electronica iii', 'Lab De Electronica iii'
+  ],
+  'Laboratorio de Robótica Avanzada y Televisión Interactiva': [
+    'lab de robotica avanzada','robótica avanzada','laboratorio de robótica avanzada', 'robotica avanzada','television interactiva',
+    'Laboratorio de robótica avanzada', 'Lab de robótica avanzada', 'laboratorio de robotica avanzada', 'lab de robótica avanzada',
+    'Lab De Robótica Avanzada', 'Lab de robotica avanzada','Robótica avanzada', 'Robotica avanzada','Television interactiva',
+    'Laboratorio de robotica avanzada', 'lab De Robótica Avanzada'
+  ],
+  'Laboratorio de Síntesis Química Posgrado': [
+    'Lab de Sintesis','lab de síntesis','lab de sintesis quimica posgrado', 'laboratorio de síntesis','síntesis química posgrado',
+    'Lab de Sintesis Quimica Posgrado', 'lab de síntesis química posgrado', 'Lab de Síntesis Química Posgrado', 'Lab de síntesis química posgrado',
+    'Laboratorio de Sintesis', 'laboratorio de sintesis', 'Laboratorio de Síntesis'
+  ],
+  'Laboratorio de Imagen y Procesamiento de Señales': [
+    'imagen y procesamiento de señales','laboratorio de imagen','procesamiento de señales', 'laboratorio de imagen y procesamiento de señales',
+    'Laboratorio de imagen', 'Laboratorio de Imagen','Laboratorio de imagen y procesamiento de señales', 'Imagen y procesamiento de señales',
+    'Procesamiento de señales', 'laboratorio de Imagen'
+  ],
+  'Laboratorio de Fenómenos Cuánticos': ['fenomenos cuanticos','lab de fenomenos cuanticos','laboratorio de fenómenos cuánticos',
+    'Lab de Fenómenos Cuánticos', 'lab de fenómenos cuánticos', 'Lab de fenómenos cuánticos', 'laboratorio de fenómenos cuánticos',
+    'lab de Fenómenos Cuánticos', 'Laboratorio de fenómenos cuánticos'
+  ],
+  'Laboratorio de Fototérmicas': ['fototermicas','fototérmicas','lab de fototermicas','laboratorio de fototérmicas', 'Lab de Fototérmicas',
+    'Lab de fototérmicas', 'lab de fototérmicas', 'Fototermicas','Fototérmicas','Lab de fototermicas','Laboratorio de fototérmicas',
+    'lab de Fototérmicas' 
+  ],
+  'Laboratorio de Nanomateriales y Nanotecnología': [
+    'lab de nanomateriales','nanomateriales y nanotecnologia','laboratorio de nanomateriales y nanotecnología',
+    'Lab de Nanomateriales y Nanotecnología', 'lab de nanomateriales y nanotecnología', 'Lab de nanomateriales y nanotecnología', 
+    'Laboratorio de Nanomateriales', 'Laboratorio de nanomateriales'
+  ],
+  'Trabajo Terminal Mecatrónica': [
+    'Laboratorio de Trabajo Terminal Meca','tt meca','TT meca','trabajo terminal mecatronica','Trabajo Terminal Mecatrónica','TT mecatrónica',
+    'Laboratorio de Trabajo Terminal Mecatrónica', 'laboratorio de trabajo terminal mecatrónica', 'Laboratorio de trabajo terminal mecatrónica', 
+    'Laboratorio de TT Mecatrónica', 'laboratorio de tt mecatrónica', 'Laboratorio de tt mecatrónica', 'Laboratorio de TT mecatrónica',
+    'Tt mecatrónica', 'Laboratorio de Trabajo Terminal Meca', 'laboratorio de trabajo terminal meca', 'Laboratorio de trabajo terminal meca', 
+    'Laboratorio de TT Meca', 'laboratorio de tt meca', 'Laboratorio de tt meca', 'Laboratorio de TT meca', 'TT Meca', 'tt meca', 'Tt meca', 
+    'TT meca'
+  ],
+  'Laboratorio de Sistemas Complejos': ['lab de sistemas complejos','sistemas complejos', 'Laboratorio de sistemas complejos',
+    'Lab De Sistemas Complejos', 'Lab de sistemas complejos', 'laboratorio de sistemas complejos'
+  ],
+  'Laboratorio de Química y Biología': [
+    'lab de química','quimica y biologia','laboratorio de química y biología', 'Lab de química y biología', 'lab de química y biología', 
+    'Lab de Química y Biología', 'lab de quimica', 'Lab de Quimica', 'Lab de quimica', 'Laboratorio de química y biología',
+    'laboratorio de quimica y biologia', 'Laboratorio de Química', 'Laboratorio de química', 'laboratorio de química'
+  ],
+  'Laboratorio de Física': ['fisica','lab de fisica','Laboratorio de Física','laboratorio de física', 'Laboratorio de Fisica', 'Lab de física',
+    'Lab de fisica', 'lab de física', 'Lab de Física', 'Laboratorio de física', 'laboratorio de fisica'
+  ],
+  'Laboratorio de Cómputo Móvil': [
+    'computo movil','cómputo móvil','lab de computo movil','laboratorio de cómputo móvil', 'laboratorio de computo movil','lab de cómputo móvil',
+    'Laboratorio de cómputo móvil', 'Laboratorio de computo movil', 'laboratorio de computo movil', 'Cómputo móvil', 'Lab de cómputo móvil', 
+    'Lab de Cómputo Móvil'
+  ],
+  'Laboratorio de Telemática II': [
+    'lab de telematica ii','tele 2','tele ii','telematica 2','telemática 2','telematica ii','Telemática II', 'Laboratorio de telemática II', 
+    'laboratorio de telemática II', 'laboratorio de telemática ii', 'Tele II', 'Tele ii', 'tele II', 'Telematica II', 'telematica II', 
+    'Telemática ii', 'Telemática 2', 'Telematica 2'
+  ],
+  'Laboratorio de Telemática I': [
+    'lab de telematica 1','lab de telematica i','tele 1','tele i','telematica 1','telemática i','Telemática I', 'Laboratorio de telemática I',
+    'laboratorio de telemática I', 'laboratorio de telemática i', 'Tele I', 'Tele i', 'tele I', 'Telemática 1', 'telemática 1', 'Telematica 1'
+  ],
+  'Laboratorio de Electrónica II': [
+    'electronica 2','electrónica 2','electronica ii','Electrónica II','lab de electronica 2','lab de electrónica II', 'Electrónica 2',
+    'Lab de electrónica 2', 'Lab De Electrónica 2', 'electrónica II', 'lab de electrónica 2', 'Lab de electrónica II', 'Lab De Electrónica II', 
+    'electronica II', 'electrónica ii', 'Electrónica ii','lab de electronica ii','lab de electrónica ii', 'Electrónica ii',
+    'Lab de electrónica ii', 'Lab De Electrónica ii', 'lab de electronica II'    
+  ],
+  'Laboratorio de Sistemas Digitales II': [
+    'Laboratorio de Sistemas Digitales 2','sd 2','sd ii','SD2','sd2','SDII','sd-2','sistemas digitales ii','Sistemas Digitales II',
+    'sistemas digitales 2', 'sistemas digitales II', 'Sistemas digitales II', 'Sistemas digitales 2', 'sdII', 'sdii', 'sd II', 'SD II', 'sd-II',
+    'Laboratorio de Sistemas Digitales ii', 'sd ii', 'SDii', 'SDii', 'sd-ii', 'Sistemas Digitales ii', 'Sistemas digitales ii', 'sd-2',
+    'Sistemas Digitales 2'
+  ],
+  'Laboratorio de Bioelectrónica': ['bioelectronica','bioelectrónica','lab de bioelectrónica','laboratorio de bioelectrónica', 'Bioelectrónica',
+    'Bioelectronica', 'Lab de bioelectrónica', 'Laboratorio de bioelectronica', 'laboratorio de bioelectronica'
+  ],
+  'Laboratorio de Robótica de Competencias y Agentes Inteligentes': [
+    'agentes inteligentes','robotica de competencias','robótica de competencias', 'Laboratorio de robótica de competencias y agentes inteligentes',
+    'Robótica de Competencias y Agentes Inteligentes', 'Robótica de Competencias', 'robótica de competencias y agentes inteligentes',
+    'Robótica de competencias y agentes inteligentes'
+  ],
+  'Laboratorio de Electrónica I': [
+    'electronica 1','electrónica 1','electronica i','Electrónica I','Lab de electrónica 1', 'lab de electronica 1', 'lab de electrónica I',
+    'Electrónica 1', 'Lab De Electrónica 1', 'electrónica I', 'lab de electrónica 1', 'Lab de electrónica I', 'Lab De Electrónica I',
+    'electronica I', 'electrónica i', 'Electrónica i','lab de electronica i', 'lab de electrónica i', 'Lab de electrónica i',
+    'Lab De Electrónica i', 'lab de electronica I'    
+  ],
+  'Laboratorio de Sistemas Digitales': [
+    'Laboratorio de sistemas digitales','sd','SD','sistemas digitales','Sistemas Digitales', 'Sistemas digitales',
+    'laboratorio de Sistemas Digitales', 'Digitales', 'digitales', 'Digitales 1', 'digitales 1', 'Digitales1', 'digitales1'
+  ],
+  'Laboratorio de Telecomunicaciones': [
+    'telecomunicaciones','lab de telecom','telecom','Laboratorio de telecomunicaciones', 'Telecom', 'Lab de Telecom', 'Laboratorio de Telecom',
+    'laboratorio de telecom', 'Lab de telecom', 'Laboratorio de telecom', 'laboratorio de telecomunicaciones', 'Telecomunicaciones', 'tele'
+  ],
+  'Laboratorio de Trabajo Terminal Telemática': [
+    'laboratorio de trabajo terminal telematica',
+    'laboratorio de trabajo terminal telemática',
+    'lab tt tele', 'lab ttt', 'ttt', 'TTT', 'tt tele',
+    'tt telematica', 'tt telemática', 'lab tt telematica', 'lab tt telemática',
+    'proyecto terminal tele', 'proyecto terminal telematica', 'proyecto terminal telemática',
+    'ptt', 'p.t.t', 'pt tele', 'pt telematica', 'pt telemática',
+    'trabajo terminal telematica', 'trabajo terminal telemática',
+    'proy terminal tele', 'proy terminal telematica', 'proy terminal telemática'
+  ],
+
+  'Laboratorio de Robótica Industrial': [
+    'lab de robotica industrial','robótica industrial','Laboratorio de robótica industrial', 'Robótica Industrial', 'Lab de Robótica Industrial',
+    'robotica industrial', 'lab de robótica industrial', 'laboratorio de robótica industrial', 'Robótica industrial', 'Lab de robótica industrial',
+    'Laboratorio de robotica industrial', 'Robotica Industrial', 'Lab de Robotica Industrial','Robotica industrial', 'Lab de robotica industrial'
+  ],
+  'Laboratorio de Manufactura Básica': [
+    'lab de manufactura basica','manufactura básica','Laboratorio de manufactura básica', 'Laboratorio de Manufactura Basica',
+    'Laboratorio de manufactura basica', 'Manufactura Básica', 'Manufactura Basica', 'Manufactura basica', 'manufactura basica',
+    'laboratorio de manufactura básica', 'Manufactura básica'
+  ],
+  'Laboratorio de Manufactura Avanzada': [
+    'lab de manufactura avanzada','Manufactura Avanzada','Laboratorio de manufactura avanzada', 'laboratorio de manufactura avanzada', 
+    'Manufactura avanzada', 'manufactura avanzada'
+  ],
+  'Laboratorio de Meteorología': [
+    'lab de meteorologia','meteorología','Laboratorio de meteorología', 'laboratorio de meteorología', 'laboratorio de meteorologia',
+    'Laboratorio de meteorologia', 'Meteorologia', 'Meteorología', 'meteorologia', 'Lab de meteorología', 'lab de meteorología',
+    'Lab de meteorologia'
+  ],
+  'Laboratorio de Red de Expertos': [
+    'lab de red de expertos','red de expertos','Red de Expertos', 'Laboratorio de red de expertos', 'laboratorio de red de expertos',
+    'Red de expertos', 'Lab de Red de Expertos', 'Lab de red de expertos'
+  ],
+  'Trabajo Terminal': [
+    'Laboratorio de TT','laboratorio de trabajo terminal','tt','TT', 'Trabajo terminal', 'Laboratorio de Trabajo Terminal',
+    'Laboratorio de trabajo terminal', 'Laboratorio de tt', 'laboratorio de tt', 'laboratorio de TT', 'Tt'
+  ],
+  'Laboratorio de Manufactura Asistida por Computadora de la Red de Expertos': [
+    'lab de manufactura asistida','MAC','mac','manufactura asistida', 'manufactura asistida por computadora de la red de expertos',
+    'red de expertos', 'Laboratorio de manufactura asistida por computadora de la red de expertos',     
+    'laboratorio de manufactura asistida por computadora de la red de expertos', 'Manufactura Asistida', 'laboratorio de manufactura asistida',
+    'Manufactura asistida'
+  ],
+  'Laboratorio de Cálculo y Simulación 2': [
+    'calculo y simulacion 2','cálculo y simulación 2','lab de cálculo y simulación 2', 'laboratorio de cálculo y simulación 2',
+    'Laboratorio de cálculo y simulación 2', 'lab de cálculo y simulación 2', 'Lab de cálculo y simulación 2', 
+    'Laboratorio de Calculo y Simulacion 2', 'lab de calculo y simulacion 2', 'laboratorio de calculo y simulacion 2', 
+    'Laboratorio de calculo y simulacion 2', 'Lab de calculo y simulacion 2'
+  ],
+  'Laboratorio de Cálculo y Simulación 1': [
+    'calculo y simulacion 1','cálculo y simulación 1','lab de cálculo y simulación 1', 'laboratorio de cálculo y simulación 1',
+    'Laboratorio de cálculo y simulación 1', 'lab de cálculo y simulación 1', 'Lab de cálculo y simulación 1', 
+    'Laboratorio de Calculo y Simulacion 1', 'lab de calculo y simulacion 1', 'laboratorio de calculo y simulacion 1', 
+    'Laboratorio de calculo y simulacion 1', 'Lab de calculo y simulacion 1'
+  ],
+  'Laboratorio de Biomecánica': [
+    'biomecanica','biomecánica','lab de biomecánica','Laboratorio de biomecánica', 'Laboratorio de biomecanica', 'laboratorio de biomecánica',
+    'laboratorio de biomecanica', 'Biomecánica', 'Biomecanica', 'Lab de biomecánica', 'Lab de biomecanica', 'lab de biomecanica',
+    'Lab de Biomecánica'
+  ],
+  'Sala de Cómputo 1': [
+    `sala de computo 1`, `sala de cómputo 1`, `computo 1`, `cómputo 1`, `sc1`, `sc 1`,
+    `Sala de computo 1`, `Sala de cómputo 1`, `Sala de Computo 1`,
+    `Computo 1`, `Cómputo 1`, `SC1`, `SC 1`, `Sc1`, `Sc 1`
+  ],
+  'Sala de Cómputo 2': [
+    `sala de computo 2`, `sala de cómputo 2`, `computo 2`, `cómputo 2`, `sc2`, `sc 2`,
+    `Sala de computo 2`, `Sala de cómputo 2`, `Sala de Computo 2`,
+    `Computo 2`, `Cómputo 2`, `SC2`, `SC 2`, `Sc2`, `Sc 2`
+  ],
+  'Laboratorio de Neumática y Control de Procesos': [
+'Laboratorio de neumática y control de procesos', 'laboratorio de neumática y control de procesos', 'laboratorio de neumática', 'Laboratorio de neumática', 'neumática y control de procesos', 'Neumática y control de procesos', 'Lab de neumática y control de procesos', 'lab de neumática y control de procesos',
+'Laboratorio de neumatica y control de procesos', 'laboratorio de neumatica y control de procesos', 'laboratorio de neumatica', 'Laboratorio de neumatica', 'neumatica y control de procesos', 'Neumatica y control de procesos', 'Lab de neumatica y control de procesos', 'lab de neumatica y control de procesos',
+],
+'Sala de profesores 1': [
+'Sala de Profesores 1', 'Sala de profes 1', 'sala de profesores 1', 'Profesores 1', 'profes 1', 'profesores 1', 'Profes 1'
+],
+'Sala de profesores 2': [
+'Sala de Profesores 2', 'Sala de profes 2', 'sala de profesores 2', 'Profesores 2', 'profes 2', 'profesores 2', 'Profes 2'
+],
+'Sala de profesores 3': [
+'Sala de Profesores 3', 'Sala de profes 3', 'sala de profesores 3', 'Profesores 3', 'profes 3', 'profesores 3', 'Profes 3'
+],
+'Sala de profesores 4': [
+'Sala de Profesores 4', 'Sala de profes 4', 'sala de profesores 4', 'Profesores 4', 'profes 4', 'profesores 4', 'Profes 4'
+],
+'Sala de profesores 5': [
+'Sala de Profesores 5', 'Sala de profes 5', 'sala de profesores 5', 'Profesores 5', 'profes 5', 'profesores 5', 'Profes 5'
+],
+'Sala de profesores 6': [
+'Sala de Profesores 6', 'Sala de profes 6', 'sala de profesores 6', 'Profesores 6', 'profes 6', 'profesores 6', 'Profes 6'
+],
+'Sala de profesores 7': [
+'Sala de Profesores 7', 'Sala de profes 7', 'sala de profesores 7', 'Profesores 7', 'profes 7', 'profesores 7', 'Profes 7'
+],
+'Sala de profesores 8': [
+'Sala de Profesores 8', 'Sala de profes 8', 'sala de profesores 8', 'Profesores 8', 'profes 8', 'profesores 8', 'Profes 8'
+],
+'Sala de profesores 9': [
+'Sala de Profesores 9', 'Sala de profes 9', 'sala de profesores 9', 'Profesores 9', 'profes 9', 'profesores 9', 'Profes 9'
+],
+'Sala de profesores 10': [
+'Sala de Profesores 10', 'Sala de profes 10', 'sala de profesores 10', 'Profesores 10', 'profes 10', 'profesores 10', 'Profes 10'
+],
+'Sala de profesores 11': [
+'Sala de Profesores 11', 'Sala de profes 11', 'sala de profesores 11', 'Profesores 11', 'profes 11', 'profesores 11', 'Profes 11'
+],
+'Sala de profesores 12': [
+'Sala de Profesores 12', 'Sala de profes 12', 'sala de profesores 12', 'Profesores 12', 'profes 12', 'profesores 12', 'Profes 12'
+],
+'Sala de profesores 13': [
+'Sala de Profesores 13', 'Sala de profes 13', 'sala de profesores 13', 'Profesores 13', 'profes 13', 'profesores 13', 'Profes 13'
+],
+'Sala de profesores telemática': [
+'Sala de Profesores Telemática', 'Sala de profes telemática', 'sala de profesores telemática', 'Profesores telemática', 'profes telemática', 'profesores telemática', 'Profes telemática',
+'Sala de Profesores Telematica', 'Sala de profes telematica', 'sala de profesores telematica', 'Profesores telematica', 'profes telematica', 'profesores telematica', 'Profes telematica',
+'Sala de Profesores Tele', 'Sala de profes tele', 'sala de profesores tele', 'Profesores tele', 'profes tele', 'profesores tele', 'Profes tele'
+],
+};
+// Salas de Cómputo 1..10
+for (let i = 1; i <= 20; i++) {
+  LAB_SYNONYMS[`Sala de Cómputo ${i}`] = [
+    `sala de computo ${i}`, `sala de cómputo ${i}`,
+    `computo ${i}`, `cómputo ${i}`, `sc${i}`, `sc ${i}`,
+    `Sala de computo ${i}`, `Sala de cómputo ${i}`, `Sala de Computo ${i}`,
+    `Computo ${i}`, `Cómputo ${i}`, `SC${i}`, `SC ${i}`, `Sc${i}`, `Sc ${i}`
+  ];
+}
+
+// =========================================================
+// Sinónimos de lugares (servicios, oficinas y otros espacios)
+// "Biblioteca", "CELEX", etc. siguen en LAB_SYNONYMS porque viven en `laboratorios`
+// =========================================================
+const LUGAR_SYNONYMS = {
+  'Servicios Escolares': ['servicios escolares', 'escolares', 'control escolar', 'ventanilla de escolares'],
+  'Gestión Escolar': ['gestion escolar', 'departamento de gestion escolar', 'gestion'],
+  'Cafetería': ['cafeteria', 'cafe', 'comedor', 'la cafe'],
+  'Servicio Médico': ['servicio medico', 'medico', 'enfermeria', 'consultorio', 'doctor'],
+  'Auditorio': ['auditorio', 'el auditorio', 'aula magna'],
+  'Sanitarios': ['sanitarios', 'sanitario', 'baños', 'baño', 'banos', 'bano', 'wc'],
+  'Cubículos de profesores': ['cubiculos', 'cubiculo', 'cubículos de profes', 'cubiculos de profesores']
+};
+
+// =========================================================
+// Generadores y detectores de sinónimos canónicos
+// Convierte textos de usuario a nombres oficiales almacenados en la BD
+// =========================================================
+function buildSynMap(obj) {
+  const map = new Map();
+  for (const [canonical, list] of Object.entries(obj)) {
+    map.set(normalize(canonical), canonical);
+    for (const syn of list) map.set(normalize(syn), canonical);
+  }
+  return map;
+}
+// Arrancan con la semilla local y se reemplazan con la BD en reloadSynonyms()
+let SYN_MAP_SALON = buildSynMap(SALON_SYNONYMS);
+let SYN_MAP_LAB   = buildSynMap(LAB_SYNONYMS);
+let SYN_MAP_LUGAR = buildSynMap(LUGAR_SYNONYMS);
+
+// =========================================================
+// Sinónimos persistidos en MongoDB
+// Siembra inicial y recarga en caliente de SYN_MAP_SALON / SYN_MAP_LAB / SYN_MAP_LUGAR
+// =========================================================
+// Siembra por tipo: un tipo nuevo (p. ej. 'lugar') se carga aunque los demás ya existan
+async function seedSynonyms() {
+  const semillas = { salon: SALON_SYNONYMS, laboratorio: LAB_SYNONYMS, lugar: LUGAR_SYNONYMS };
+  let total = 0;
+  for (const [tipo, obj] of Object.entries(semillas)) {
+    if (await Sinonimo.exists({ tipo })) continue;
+    const docs = Object.entries(obj).map(([canonical, aliases]) => ({ tipo, canonical, aliases }));
+    // create() pasa por el pre('validate') que depura alias repetidos
+    await Sinonimo.create(docs);
+    total += docs.length;
+  }
+  return total;
+}
+
+async function reloadSynonyms() {
+  // Orden por _id = orden de inserción; detectCanonical* devuelve el primer alias que coincida
+  const docs = await Sinonimo.find({}).sort({ _id: 1 }).lean();
+  const porTipo = { salon: {}, laboratorio: {}, lugar: {} };
+  for (const d of docs) {
+    if (porTipo[d.tipo]) porTipo[d.tipo][d.canonical] = d.aliases || [];
+  }
+  SYN_MAP_SALON = buildSynMap(porTipo.salon);
+  SYN_MAP_LAB   = buildSynMap(porTipo.laboratorio);
+  SYN_MAP_LUGAR = buildSynMap(porTipo.lugar);
+  invalidateSearchCache();
+  return { salon: SYN_MAP_SALON.size, laboratorio: SYN_MAP_LAB.size, lugar: SYN_MAP_LUGAR.size };
+}
+
+// Con varias instancias, cada una relee la colección periódicamente (0 = desactivado)
+const SYNONYMS_REFRESH_MS = parseInt(process.env.SYNONYMS_REFRESH_MS || '0', 10);
+if (SYNONYMS_REFRESH_MS > 0) {
+  setInterval(() => {
+    if (mongoose.connection.readyState !== 1) return;
+    reloadSynonyms().catch(e => console.warn('! Recarga de sinónimos falló:', e.message));
+  }, SYNONYMS_REFRESH_MS).unref();
+}
+
+function detectCanonicalSalon(text) {
+  const t = normalize(text || '');
+  if (!t) return '';
+  for (const [nsyn, canonical] of SYN_MAP_SALON.entries()) {
+    if (t.includes(nsyn)) return canonical;
+  }
+  const m = t.match(/\bl\s*(\d{3})\b/i);
+  if (m) return `Aula L${m[1]}`;
+  return '';
+}
+
+// =========================================================
+// Utilidades específicas de desambiguación
+// Resuelve variantes para Sistemas Digitales y Telemática
+// =========================================================
+function resolveSDCanonical(text) {
+  const t = normalize(text || '');
+  if (!t) return '';
+  if (/\bsd\s*(ii|2)\b/.test(t) || /\bsistemas\s+digitales\s*(ii|2)\b/.test(t))
+    return 'Laboratorio de Sistemas Digitales II';
+  if (/\bsd\s*(i|1)\b/.test(t) || /\bsistemas\s+digitales\s*(i|1)\b/.test(t))
+    return 'Laboratorio de Sistemas Digitales';
+  if (/\bsd\b/.test(t) || /\bsistemas\s+digitales\b/.test(t))
+    return 'Laboratorio de Sistemas Digitales';
+  return '';
+}
+function resolveTeleCanonical(text) {
+  const t = normalize(text || '');
+  if (!t) return '';
+  if (/\btele\s*(ii|2)\b/.test(t) || /\btelematica\s*(ii|2)\b/.test(t))
+    return 'Laboratorio de Telemática II';
+  if (/\btele\s*(i|1)\b/.test(t) || /\btelematica\s*(i|1)\b/.test(t))
+    return 'Laboratorio de Telemática I';
+  if (/\btele\b/.test(t) || /\btelematica\b/.test(t))
+    return 'Laboratorio de Telemática I';
+  return '';
+}
+function detectCanonicalLab(text) {
+  const t = normalize(text || '');
+  if (!t) return '';
+
+  // Sistemas Digitales
+  const sdCanon = resolveSDCanonical(t);
+  if (sdCanon) return sdCanon;
+
+  // Telemática I / II
+  const teleCanon = resolveTeleCanonical(t);
+  if (teleCanon) return teleCanon;
+
+  // ---Trabajo Terminal Telemática ---
+  if (
+    /\b(ttt|p\.?t\.?t|tt\s*tele|proy(ecto)?\s+terminal|trabajo\s+terminal)\b/.test(t) &&
+    /\btele(matica|mática)?\b/.test(t)
+  ) {
+    // devolvemos el canónico más amplio (como lo tienes en Mongo)
+    return 'Laboratorio de Trabajo Terminal Telemática';
+  }
+
+  // --- Proyecto Terminal Mecatrónica ---
+  if (
+    /\b(tt|proy(ecto)?|trabajo)\s+terminal\b.*\b(meca(tronica|trónica)?)\b/.test(t)
+  ) {
+    return 'Trabajo Terminal Mecatrónica';
+  }
+
+  if (
+    /\b(lab(?:oratorio)?\s*de\s*)?electr[oó]nica\s*i(?!i)\b/.test(t) ||
+    /\b(lab(?:oratorio)?\s*de\s*)?electr[oó]nica\s*1\b/.test(t)
+  ) {
+    return 'Laboratorio de Electrónica I';
+  }
+
+  // --- Resto de sinónimos conocidos ---
+  for (const [nsyn, canonical] of SYN_MAP_LAB.entries()) {
+    if (t.includes(nsyn)) return canonical;
+  }
+  return '';
+}
+
+function detectCanonicalLugar(text) {
+  const t = normalize(text || '');
+  if (!t) return '';
+  for (const [nsyn, canonical] of SYN_MAP_LUGAR.entries()) {
+    if (new RegExp(`\\b${rxEscapeChat(nsyn)}\\b`).test(t)) return canonical;
+  }
+  return '';
+}
+
+// Normalizador “libre” para búsqueda difusa
+function applySynonyms_chat(term) {
+  let s = String(term || '').trim();
+  s = s.replace(/\bsc\s*(\d+)\b/ig, 'Sala de Cómputo $1');
+  s = s.replace(/\bsala\s*de\s*c[oó]mputo\s*(\d+)\b/ig, 'Sala de Cómputo $1');
+  s = s.replace(/\bsc\s*(\d+)\b/ig, 'Sala de Cómputo $1');
+  s = s.replace(/\bc[oó]mputo\s*(\d+)\b/ig, 'Sala de Cómputo $1');
+  s = s.replace(/\bC[oó]mputo\s*(\d+)\b/ig, 'Sala de Cómputo $1');
+  s = s.replace(/\brealidad\s*ext(endida)?\b/ig, 'Realidad Extendida');
+  s = s.replace(/\bdesarrollo\s+tec(?:hnol[oó]gico|nol[oó]gico|nolog(?:ico|ico))\b/ig, 'Desarrollo Tecnológico');
+  s = s.replace(/\bsd\s*i\b/ig,  'Sistemas Digitales I');
+  s = s.replace(/\bsd\s*1\b/ig,  'Sistemas Digitales I');
+  s = s.replace(/\bsd\s*ii\b/ig, 'Sistemas Digitales II');
+  s = s.replace(/\bsd\s*2\b/ig,  'Sistemas Digitales II');
+  s = s.replace(/\bsd-?2\b/ig,   'Sistemas Digitales II');
+  s = s.replace(/\bttt\b/ig,                     'Trabajo Terminal Telemática');
+  s = s.replace(/\btt\s*tele(?:m[aá]tica)?\b/ig, 'Trabajo Terminal Telemática');
+    // Proyecto/Trabajo Terminal Telemática → canónico
+  s = s.replace(/\bptt\b/ig, 'Trabajo Terminal Telemática');
+  s = s.replace(/\bp\.t\.t\b/ig, 'Trabajo Terminal Telemática');
+  s = s.replace(/\bpt\s+tele(matica|mática)?\b/ig, 'Trabajo Terminal Telemática');
+  s = s.replace(/\bproy(ecto)?\s+terminal\s+tele(matica|mática)?\b/ig, 'Trabajo Terminal Telemática');
+  s = s.replace(/\b(proyecto|trabajo)\s+terminal\s+tele(matica|mática)?\b/ig, 'Trabajo Terminal Telemática');
+  s = s.replace(/\btt\s*meca(?:tr[oó]nica)?\b/ig,'Trabajo Terminal Mecatrónica');
+  s = s.replace(/\btele\s*ii\b/ig, 'Laboratorio de Telemática II');
+  s = s.replace(/\btele\s*2\b/ig,  'Laboratorio de Telemática II');
+  s = s.replace(/\btele\s*i\b/ig,  'Laboratorio de Telemática I');
+  s = s.replace(/\btele\s*1\b/ig,  'Laboratorio de Telemática I');
+  s = s.replace(/\btelematica\s*ii\b/ig, 'Laboratorio de Telemática II');
+  s = s.replace(/\btelematica\s*2\b/ig,  'Laboratorio de Telemática II');
+  s = s.replace(/\btelematica\s*i\b/ig,  'Laboratorio de Telemática I');
+  s = s.replace(/\btelematica\s*1\b/ig,  'Laboratorio de Telemática I');
+  s = s.replace(/\bcim\b/ig, 'CIM');
+  s = s.replace(/\belectronica\s*iii\b/ig, 'Electrónica 3');
+  s = s.replace(/\belectronica\s*ii\b/ig,  'Electrónica II');
+  s = s.replace(/\belectronica\s*i\b/ig,   'Electrónica I');
+s = s.replace(/\b(lab(?:oratorio)?\s*de\s*)?electronica\s*i(?!i)\b/ig, 'Laboratorio de Electrónica I');
+s = s.replace(/\b(lab(?:oratorio)?\s*de\s*)?electronica\s*1\b/ig, 'Laboratorio de Electrónica I');
+s = s.replace(/\belectronica\s*i(?!i)\b/ig, 'Laboratorio de Electrónica I');
+s = s.replace(/\belectronica\s*1\b/ig, 'Laboratorio de Electrónica I');
+
+  return s.replace(/\s{2,}/g, ' ').trim();
+}
+
+// =========================================================
+// Funciones auxiliares para códigos L###
+// Extraen o generan variantes de nombres de aulas
+// =========================================================
+// Para detectar “L###” con o sin espacio/guion
+function lCodeFrom(text) {
+  const t = String(text || '');
+  const m = t.match(/\b[Ll]\s*-?\s*(\d{3})\b/);
+  return m ? `L${m[1]}` : '';
+}
+// Variantes si en BD hay “Aula/Salón L###”
+function lVariants(code) {
+  return [`Aula ${code}`, `Salón ${code}`, `Salon ${code}`, `Sala ${code}`, `${code}`];
+}
+
+// =========================================================
+// Autenticación de administrador
+// Protege rutas de escritura con API key (x-api-key o Bearer)
+// =========================================================
+const crypto = require('crypto');
+
+// ADMIN_API_KEYS admite varias llaves separadas por coma (una por persona/servicio)
+const ADMIN_API_KEYS = String(process.env.ADMIN_API_KEYS || process.env.ADMIN_API_KEY || '')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function tokenFromRequest(req) {
+  const header = String(req.get('x-api-key') || '').trim();
+  if (header) return header;
+  const m = String(req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : '';
+}
+
+const isAdminToken = (token) => Boolean(token) && ADMIN_API_KEYS.some(k => safeEqual(k, token));
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEYS.length) {
+    return res.status(503).json({ error: 'Administración deshabilitada: falta ADMIN_API_KEYS en .env' });
+  }
+  const token = tokenFromRequest(req);
+  if (!token) return res.status(401).json({ error: 'Falta credencial de administrador' });
+  if (!isAdminToken(token)) {
+    return res.status(403).json({ error: 'Credencial de administrador inválida' });
+  }
+  next();
+}
+
+// =========================================================
+// Límites de uso y protección contra abuso
+// Ventanas fijas por IP o por API key, tope de cuerpo y de texto, CORS por lista
+// =========================================================
+const splitEnv = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// API_KEYS: llaves de clientes (apps, integraciones) con un límite más holgado que el anónimo
+const API_KEYS = splitEnv(process.env.API_KEYS);
+// Sin CORS_ORIGINS se permite cualquier origen (como antes); con lista, sólo esos
+const CORS_ORIGINS = splitEnv(process.env.CORS_ORIGINS);
+// TRUST_PROXY: saltos de proxy ("1") o "true"; necesario detrás de Render/Nginx para ver la IP real
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+
+const RATE_LIMIT_ENABLED    = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_WINDOW_MS  = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10);
+const RATE_LIMIT_MAX        = parseInt(process.env.RATE_LIMIT_MAX || '60', 10);
+const RATE_LIMIT_KEY_MAX    = parseInt(process.env.RATE_LIMIT_KEY_MAX || '600', 10);
+// /chat/df llama a la API de Dialogflow (de pago): límite propio, aparte del general
+const RATE_LIMIT_DF_MAX     = parseInt(process.env.RATE_LIMIT_DF_MAX || '10', 10);
+const RATE_LIMIT_DF_KEY_MAX = parseInt(process.env.RATE_LIMIT_DF_KEY_MAX || '100', 10);
+// /sugerir recibe una petición por tecla y sólo lee memoria: límite propio, más holgado
+const RATE_LIMIT_SUGGEST_MAX     = parseInt(process.env.RATE_LIMIT_SUGGEST_MAX || '600', 10);
+const RATE_LIMIT_SUGGEST_KEY_MAX = parseInt(process.env.RATE_LIMIT_SUGGEST_KEY_MAX || '6000', 10);
+
+const JSON_BODY_LIMIT  = process.env.JSON_BODY_LIMIT || '100kb';
+const ADMIN_BODY_LIMIT = process.env.ADMIN_BODY_LIMIT || '2mb';
+// Importaciones admin: leen su cuerpo (más grande) después de requireAdmin
+const BULK_PATHS = ['/admin/import', '/horarios/importar', '/equipos/importar'];
+// Las consultas largas sólo encarecen las regex de la cascada de búsqueda
+const TEXT_MAX_LENGTH = parseInt(process.env.TEXT_MAX_LENGTH || '300', 10);
+
+const adminJsonBody = express.json({ limit: ADMIN_BODY_LIMIT });
+
+function limitText(valor, campo) {
+  const s = String(valor ?? '').trim();
+  if (s.length > TEXT_MAX_LENGTH) throw httpError(400, `"${campo}" excede ${TEXT_MAX_LENGTH} caracteres`);
+  return s;
+}
+
+// Contadores por ventana fija en memoria (por instancia, como las sesiones en memoria).
+// Otro backend (p. ej. Redis) sólo necesita implementar hit(clave, windowMs).
+function createMemoryRateStore() {
+  const ventanas = new Map();
+  let ultimaPurga = Date.now();
+  return {
+    async hit(clave, windowMs, now = Date.now()) {
+      if (now - ultimaPurga > windowMs) {
+        for (const [k, v] of ventanas) if (v.resetAt <= now) ventanas.delete(k);
+        ultimaPurga = now;
+      }
+      let v = ventanas.get(clave);
+      if (!v || v.resetAt <= now) ventanas.set(clave, v = { count: 0, resetAt: now + windowMs });
+      v.count++;
+      return { count: v.count, resetAt: v.resetAt };
+    }
+  };
+}
+
+// Cliente para el límite: la API key válida (cliente o admin) o, si no hay, la IP
+function rateLimitClient(req) {
+  const token = tokenFromRequest(req);
+  if (token && [...API_KEYS, ...ADMIN_API_KEYS].some(k => safeEqual(k, token))) {
+    return { clave: 'key:' + crypto.createHash('sha256').update(token).digest('hex').slice(0, 16), conKey: true };
+  }
+  return { clave: `ip:${req.ip}`, conKey: false };
+}
+
+/**
+ * Middleware de límite por ventana fija. `nombre` separa contadores (general, df).
+ * Responde 429 con Retry-After al pasarse; max 0 desactiva ese límite.
+ * Usa el almacén de app.locals.rateLimits (null = sin límites).
+ */
+function rateLimit(nombre, { max = RATE_LIMIT_MAX, keyMax = RATE_LIMIT_KEY_MAX, windowMs = RATE_LIMIT_WINDOW_MS, skip = () => false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const store = req.app.locals.rateLimits;
+      if (!store || skip(req)) return next();
+      const { clave, conKey } = rateLimitClient(req);
+      const limite = conKey ? keyMax : max;
+      if (!limite) return next();
+
+      const { count, resetAt } = await store.hit(`${nombre}|${clave}`, windowMs);
+      const reset = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set({ 'RateLimit-Limit': String(limite), 'RateLimit-Remaining': String(Math.max(0, limite - count)), 'RateLimit-Reset': String(reset) });
+      if (count <= limite) return next();
+
+      res.set('Retry-After', String(reset));
+      next(httpError(429, 'Demasiadas solicitudes; intenta de nuevo más tarde', { limite, ventanaSeg: windowMs / 1000, reintentarEnSeg: reset }));
+    } catch (e) { next(e); }
+  };
+}
+
+// Límite general: /health queda fuera para los monitores y /sugerir tiene el suyo. Los webhooks
+// llegan desde pocas IPs de Telegram/Meta/Google y sólo se eximen con su secreto válido; como
+// la firma de WhatsApp cubre el cuerpo, ese mismo contador se aplica a /webhook/* después de
+// leerlo (webhookRateLimit) y una avalancha sin credenciales cuenta contra la IP
+const esWebhook = (req) => req.path.startsWith('/webhook/');
+function webhookAutenticado(req) {
+  if (req.method !== 'POST') return false;
+  if (req.path === '/webhook/telegram') return telegramSecretOk(req);
+  if (req.path === '/webhook/whatsapp') return whatsappSignatureOk(req);
+  if (req.path === '/webhook/dialogflow') return dialogflowTokenOk(req);
+  return false;
+}
+const generalRateLimit = rateLimit('general', {
+  skip: (req) => esWebhook(req) || req.path === '/health' || req.path === '/sugerir'
+});
+const webhookRateLimit = rateLimit('general', { skip: (req) => !esWebhook(req) || webhookAutenticado(req) });
+const dfRateLimit = rateLimit('df', { max: RATE_LIMIT_DF_MAX, keyMax: RATE_LIMIT_DF_KEY_MAX });
+const suggestRateLimit = rateLimit('sugerir', { max: RATE_LIMIT_SUGGEST_MAX, keyMax: RATE_LIMIT_SUGGEST_KEY_MAX });
+
+// =========================================================
+// Endpoints REST de información general y catálogos
+// Define rutas de estado, salones y laboratorios con soporte i18n
+// =========================================================
+const ENDPOINTS = ['/health','/salones/libres','/edificios','/ruta','/cercanos','/campus.geojson','/buscar','/sugerir','/chat','/chat/df','/webhook/dialogflow','/webhook/telegram','/webhook/whatsapp'];
+const ENDPOINTS_MONGO = ['/salones','/laboratorios','/lugares','/horarios','/avisos','/reservas','/equipos','/planos'];
+
+router.get('/', (req, res) => {
+  res.json({
+    ok: true,
+    message: 'API Chatbot UPIITA',
+    endpoints: req.app.locals.mongo ? [...ENDPOINTS, ...ENDPOINTS_MONGO] : ENDPOINTS
+  });
+});
+
+router.get('/health', (_req, res) => res.json({ ok: true, ts: new Date().toISOString() }));
+
+// =========================================================
+// Endpoint GET /salones
+// Obtiene listado de salones con filtros y paginación
+// =========================================================
+mongoRouter.get('/salones', async (req, res, next) => {
+  try {
+    const q = {};
+    if (req.query.nombre) {
+      const nombreQ = String(req.query.nombre);
+      const lcode = lCodeFrom(nombreQ);
+      if (lcode) {
+        const variants = lVariants(lcode);
+        const data = await Salon.find({ nombre: { $in: variants } })
+          .collation({ locale: 'es', strength: 1 }).lean();
+        return res.json({ page: 1, limit: data.length || 50, total: data.length, totalPages: 1, data });
+      }
+      q.nombre = i18nLike_chat(nombreQ);
+    }
+    if (req.query.numero)   q.numero   = i18nLike_chat(req.query.numero);
+    if (req.query.edificio) q.edificio = i18nLike_chat(req.query.edificio);
+    if (req.query.piso)     q.piso     = i18nLike_chat(req.query.piso);
+    accessibilityFilter(req.query, q);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50',10),1),200);
+    const page  = Math.max(parseInt(req.query.page || '1',10),1);
+    const skip  = (page - 1) * limit;
+
+    const [ total, data ] = await Promise.all([
+      Salon.countDocuments(q),
+      Salon.find(q).sort({ numero: 1, nombre: 1 }).skip(skip).limit(limit).lean()
+    ]);
+
+    res.json({ page, limit, total, totalPages: Math.ceil(total/limit), data });
+  } catch (e) { next(e); }
+});
+
+// Antes de /salones/:id para que "libres" no se interprete como ID
+router.get('/salones/libres', freeRoomsHandler);
+
+mongoRouter.get('/salones/:id', async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Salon.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json({ ...doc, avisos: await noticesFor('salon', doc) });
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Endpoint GET /laboratorios
+// Devuelve listado de laboratorios filtrado y paginado
+// =========================================================
+mongoRouter.get('/laboratorios', async (req, res, next) => {
+  try {
+    const q = {};
+    const term = req.query.q || req.query.nombre;
+    if (term) q.$or = [{ nombre: i18nLike_chat(term) }, { codigo: i18nLike_chat(term) }];
+    if (req.query.edificio) q.edificio = i18nLike_chat(req.query.edificio);
+    if (req.query.piso)     q.piso     = i18nLike_chat(req.query.piso);
+    accessibilityFilter(req.query, q);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50',10),1),200);
+    const page  = Math.max(parseInt(req.query.page || '1',10),1);
+    const skip  = (page - 1) * limit;
+
+    const [ total, data ] = await Promise.all([
+      Laboratorio.countDocuments(q),
+      Laboratorio.find(q).sort({ nombre: 1 }).skip(skip).limit(limit).lean()
+    ]);
+
+    res.json({ page, limit, total, totalPages: Math.ceil(total/limit), data });
+  } catch (e) { next(e); }
+});
+
+mongoRouter.get('/laboratorios/:id', async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Laboratorio.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json({ ...doc, avisos: await noticesFor('laboratorio', doc) });
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Endpoints de escritura para Salones y Laboratorios
+// POST, PUT, PATCH y DELETE protegidos con requireAdmin
+// =========================================================
+const SALON_FIELDS = ['numero', 'nombre', 'edificio', 'piso', 'ubicacion', 'mapa_url', 'plano', 'coordenadas', 'accesibilidad'];
+const LAB_FIELDS   = ['codigo', 'nombre', 'edificio', 'piso', 'ubicacion', 'mapa_url', 'plano', 'coordenadas', 'accesibilidad', 'reglasReserva'];
+
+function pickFields(body = {}, fields = []) {
+  const out = {};
+  for (const f of fields) {
+    if (body[f] === undefined) continue;
+    out[f] = typeof body[f] === 'string' ? body[f].trim() : body[f];
+  }
+  return out;
+}
+
+// Errores de Mongoose → mismo formato JSON que el manejador global
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+function fromMongooseError(e) {
+  if (e instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(e.errors).map(x => ({ campo: x.path, mensaje: x.message }));
+    return httpError(400, 'Datos inválidos', details);
+  }
+  if (e instanceof mongoose.Error.CastError) return httpError(400, `Valor inválido para "${e.path}"`);
+  if (e && e.code === 11000) return httpError(409, 'Registro duplicado');
+  return e;
+}
+
+/**
+ * Corre `fn(session)` en una transacción. Las transacciones requieren un replica set
+ * (Atlas lo es); en un servidor standalone se avisa una vez y `fn` corre con
+ * session = null, así que quien llama debe poder deshacer o reportar lo ya escrito.
+ */
+let transaccionesNoSoportadas = false;
+const isTransactionUnsupported = (e) =>
+  Boolean(e) && (e.code === 20 || /Transaction numbers are only allowed|replica set/i.test(e.message || ''));
+
+async function withTransaction(fn) {
+  if (!transaccionesNoSoportadas) {
+    const session = await mongoose.startSession();
+    try {
+      return await session.withTransaction(() => fn(session));
+    } catch (e) {
+      if (!isTransactionUnsupported(e)) throw e;
+      transaccionesNoSoportadas = true;
+      console.warn('! MongoDB no admite transacciones (¿standalone?); las escrituras en lote no serán atómicas');
+    } finally {
+      await session.endSession();
+    }
+  }
+  return fn(null);
+}
+
+// Genera los handlers de escritura para un modelo con clave única (numero / codigo).
+// `scope` limita la unicidad a otros campos (p. ej. tipo), `check` agrega validaciones
+// asíncronas propias del modelo y `onChange` corre tras cada escritura.
+function writeHandlers(Model, { clave, fields, scope = [], check = async () => {}, onChange = () => {} }) {
+  async function ensureUnique(doc) {
+    if (!clave) return;
+    const valor = doc[clave];
+    if (valor === undefined || valor === null) return;
+    if (!doc.isNew && ![clave, ...scope].some(f => doc.isModified(f))) return;
+    const q = { [clave]: i18nExactRegex_chat(valor), _id: { $ne: doc._id } };
+    for (const f of scope) q[f] = doc[f];
+    const dup = await Model.findOne(q).collation({ locale: 'es', strength: 1 }).lean();
+    if (dup) throw httpError(409, `Ya existe un registro con ${clave} "${valor}"`, { id: String(dup._id) });
+  }
+
+  async function changed(accion, doc) {
+    try { await onChange(accion, doc); }
+    catch (e) { console.warn(`! onChange (${Model.modelName}) falló:`, e.message); }
+  }
+
+  async function loadById(id) {
+    if (!Types.ObjectId.isValid(id)) throw httpError(400, 'ID inválido');
+    const doc = await Model.findById(id);
+    if (!doc) throw httpError(404, 'No encontrado');
+    return doc;
+  }
+
+  return {
+    create: async (req, res, next) => {
+      try {
+        const data = pickFields(req.body, fields);
+        const doc = new Model(data);
+        await doc.validate();
+        await ensureUnique(doc);
+        await check(doc);
+        await doc.save();
+        await changed('create', doc);
+        res.status(201).json(doc.toObject());
+      } catch (e) { next(fromMongooseError(e)); }
+    },
+
+    // PUT reemplaza el documento completo; los campos omitidos se eliminan
+    replace: async (req, res, next) => {
+      try {
+        const doc = await loadById(req.params.id);
+        const data = pickFields(req.body, fields);
+        doc.overwrite(data);
+        await doc.validate();
+        await ensureUnique(doc);
+        await check(doc);
+        await doc.save();
+        await changed('replace', doc);
+        res.json(doc.toObject());
+      } catch (e) { next(fromMongooseError(e)); }
+    },
+
+    // PATCH sólo modifica los campos enviados
+    update: async (req, res, next) => {
+      try {
+        const doc = await loadById(req.params.id);
+        const data = pickFields(req.body, fields);
+        if (!Object.keys(data).length) throw httpError(400, 'No se enviaron campos para actualizar');
+        doc.set(data);
+        await doc.validate();
+        await ensureUnique(doc);
+        await check(doc);
+        await doc.save();
+        await changed('update', doc);
+        res.json(doc.toObject());
+      } catch (e) { next(fromMongooseError(e)); }
+    },
+
+    remove: async (req, res, next) => {
+      try {
+        const doc = await loadById(req.params.id);
+        await doc.deleteOne();
+        await changed('delete', doc);
+        res.json({ ok: true, deleted: doc.toObject() });
+      } catch (e) { next(fromMongooseError(e)); }
+    }
+  };
+}
+
+// Al borrar un espacio se eliminan también sus horarios, reservaciones e inventario, y se quita de los avisos que lo citan
+const dropSpaceRefs = (tipo) => (accion, doc) => accion === 'delete' ? Promise.all([
+  tipo === 'lugar' ? null : Horario.deleteMany({ tipo, espacio: doc._id }),
+  tipo === 'laboratorio' ? Reserva.deleteMany({ laboratorio: doc._id }) : null,
+  tipo === 'laboratorio' ? Equipo.deleteMany({ laboratorio: doc._id }) : null,
+  Aviso.updateMany({ 'espacios.espacio': doc._id }, { $pull: { espacios: { tipo, espacio: doc._id } } })
+]) : null;
+
+// Toda escritura del catálogo vacía la caché de búsquedas antes de sus propios efectos
+const onCatalogChange = (extra = () => {}) => (accion, doc) => { invalidateSearchCache(); return extra(accion, doc); };
+
+const salonWrite = writeHandlers(Salon, { clave: 'numero', fields: SALON_FIELDS, onChange: onCatalogChange(dropSpaceRefs('salon')) });
+mongoRouter.post('/salones',       requireAdmin, salonWrite.create);
+mongoRouter.put('/salones/:id',    requireAdmin, salonWrite.replace);
+mongoRouter.patch('/salones/:id',  requireAdmin, salonWrite.update);
+mongoRouter.delete('/salones/:id', requireAdmin, salonWrite.remove);
+
+const labWrite = writeHandlers(Laboratorio, { clave: 'codigo', fields: LAB_FIELDS, onChange: onCatalogChange(dropSpaceRefs('laboratorio')) });
+mongoRouter.post('/laboratorios',       requireAdmin, labWrite.create);
+mongoRouter.put('/laboratorios/:id',    requireAdmin, labWrite.replace);
+mongoRouter.patch('/laboratorios/:id',  requireAdmin, labWrite.update);
+mongoRouter.delete('/laboratorios/:id', requireAdmin, labWrite.remove);
+
+// =========================================================
+// Importación y exportación del catálogo (admin)
+// CSV o JSON con la forma de salones/laboratorios; dryRun reporta el diff sin escribir
+// =========================================================
+const CATALOGO_TIPOS = {
+  salones:      { Model: Salon,       clave: 'numero', fields: SALON_FIELDS },
+  laboratorios: { Model: Laboratorio, clave: 'codigo', fields: LAB_FIELDS }
+};
+
+function catalogoTipo(valor, { requerido = true } = {}) {
+  const tipo = String(valor || '').trim().toLowerCase();
+  if (!tipo && !requerido) return null;
+  if (!CATALOGO_TIPOS[tipo]) throw httpError(400, 'Parámetro "tipo" inválido', Object.keys(CATALOGO_TIPOS));
+  return tipo;
+}
+
+// CSV (RFC 4180): comillas dobles, "" escapado y saltos de línea dentro de comillas
+function parseCsv(text) {
+  const filas = [];
+  let fila = [], campo = '', enComillas = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (enComillas) {
+      if (ch === '"' && src[i + 1] === '"') { campo += '"'; i++; }
+      else if (ch === '"') enComillas = false;
+      else campo += ch;
+    } else if (ch === '"') enComillas = true;
+    else if (ch === ',') { fila.push(campo); campo = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      fila.push(campo); filas.push(fila); fila = []; campo = '';
+    } else campo += ch;
+  }
+  if (campo || fila.length) { fila.push(campo); filas.push(fila); }
+
+  const [encabezado = [], ...datos] = filas.filter(f => f.some(c => c.trim()));
+  const columnas = encabezado.map(c => c.trim());
+  return datos.map(f => Object.fromEntries(columnas.map((c, i) => [c, f[i] === undefined ? '' : f[i]])));
+}
+
+const csvCell = (v) => {
+  if (v === undefined || v === null) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function toCsv(docs, fields) {
+  return [fields.join(','), ...docs.map(d => fields.map(f => csvCell(d[f])).join(','))].join('\r\n') + '\r\n';
+}
+
+// Fila de CSV → objeto del modelo: celdas vacías se omiten; `plano`, `coordenadas`, `accesibilidad` y `reglasReserva` vienen como JSON
+const CSV_JSON_COLUMNS = ['plano', 'coordenadas', 'accesibilidad', 'reglasReserva'];
+function csvRowToData(row) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    if (String(v).trim() === '') continue;
+    if (CSV_JSON_COLUMNS.includes(k)) {
+      try { out[k] = JSON.parse(v); }
+      catch { throw httpError(400, `Columna "${k}" no es JSON válido`); }
+    } else out[k] = v;
+  }
+  return out;
+}
+
+// Registros del cuerpo: CSV (text/csv) o JSON (arreglo, o { salones, laboratorios })
+function importRecords(req) {
+  if (typeof req.body === 'string') {
+    const tipo = catalogoTipo(req.query.tipo);
+    return { [tipo]: parseCsv(req.body).map(row => {
+      try { return csvRowToData(row); }
+      catch (e) { return { __error: e.message }; }
+    }) };
+  }
+  if (Array.isArray(req.body)) return { [catalogoTipo(req.query.tipo)]: req.body };
+  const out = {};
+  for (const tipo of Object.keys(CATALOGO_TIPOS)) {
+    if (req.body && req.body[tipo] !== undefined) {
+      if (!Array.isArray(req.body[tipo])) throw httpError(400, `"${tipo}" debe ser un arreglo`);
+      out[tipo] = req.body[tipo];
+    }
+  }
+  if (!Object.keys(out).length) throw httpError(400, 'No se enviaron registros (CSV con ?tipo=, arreglo JSON o { salones, laboratorios })');
+  return out;
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Clasifica cada registro contra la colección: crear, actualizar (con el diff por
+ * campo), sin cambios o inválido. Se empata por numero/codigo sin acentos ni
+ * mayúsculas; los campos que el registro omite conservan su valor actual.
+ */
+async function planImport(tipo, registros) {
+  const { Model, clave, fields } = CATALOGO_TIPOS[tipo];
+  const existentes = new Map();
+  for (const d of await Model.find({}).lean()) existentes.set(normalize(d[clave]), d);
+
+  const plan = { crear: [], actualizar: [], sinCambios: [], invalidos: [] };
+  const vistos = new Map();
+  registros.forEach((registro, i) => {
+    const fila = i + 1;
+    if (!registro || typeof registro !== 'object' || registro.__error) {
+      plan.invalidos.push({ fila, errores: [{ mensaje: (registro && registro.__error) || 'Registro inválido' }] });
+      return;
+    }
+    const data = pickFields(registro, fields);
+    const valor = data[clave];
+    const key = normalize(valor || '');
+    if (key && vistos.has(key)) {
+      plan.invalidos.push({ fila, [clave]: valor, errores: [{ campo: clave, mensaje: `Repetido en la fila ${vistos.get(key)}` }] });
+      return;
+    }
+    if (key) vistos.set(key, fila);
+
+    const actual = key ? existentes.get(key) : null;
+    const doc = new Model(actual ? { ...pickFields(actual, fields), ...data } : data);
+    syncDerived(doc);
+    const err = doc.validateSync();
+    if (err) {
+      plan.invalidos.push({ fila, [clave]: valor, errores: Object.values(err.errors).map(x => ({ campo: x.path, mensaje: x.message })) });
+      return;
+    }
+    if (!actual) {
+      plan.crear.push({ fila, [clave]: valor, data: doc.toObject({ versionKey: false }) });
+      return;
+    }
+    const cambios = {};
+    // Los campos calculados cambian aunque el registro no los traiga (p. ej. otro edificio)
+    for (const f of new Set([...Object.keys(data), ...DERIVED_FIELDS])) {
+      const nuevo = doc.toObject()[f];
+      if (!sameValue(actual[f], nuevo)) cambios[f] = { antes: actual[f] ?? null, despues: nuevo };
+    }
+    const ref = { fila, [clave]: valor, id: String(actual._id) };
+    if (Object.keys(cambios).length) plan.actualizar.push({ ...ref, cambios });
+    else plan.sinCambios.push(ref);
+  });
+  return plan;
+}
+
+async function applyImport(tipo, plan, session = null) {
+  const { Model } = CATALOGO_TIPOS[tipo];
+  const ops = [
+    ...plan.crear.map(x => { const { _id, ...doc } = x.data; return { insertOne: { document: doc } }; }),
+    ...plan.actualizar.map(x => {
+      // Un valor que desaparece (p. ej. `geo` sin edificio conocido) se quita del documento
+      const campos = Object.entries(x.cambios);
+      const update = { $set: Object.fromEntries(campos.filter(([, c]) => c.despues !== undefined).map(([f, c]) => [f, c.despues])) };
+      const quitar = campos.filter(([, c]) => c.despues === undefined).map(([f]) => [f, '']);
+      if (quitar.length) update.$unset = Object.fromEntries(quitar);
+      return { updateOne: { filter: { _id: x.id }, update } };
+    })
+  ];
+  if (ops.length) await Model.bulkWrite(ops, { ordered: true, session });
+}
+
+const resumenPlan = (p) => ({
+  crear: p.crear.length, actualizar: p.actualizar.length, sinCambios: p.sinCambios.length, invalidos: p.invalidos.length
+});
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: ADMIN_BODY_LIMIT });
+
+// dryRun=true sólo reporta; sin dryRun se aplica todo o nada: si hay inválidos no se escribe y
+// todos los tipos van en una transacción. Sin transacciones (standalone) una falla a medias
+// se reporta con los tipos que ya quedaron aplicados.
+mongoRouter.post('/admin/import', requireAdmin, adminJsonBody, csvBody, async (req, res, next) => {
+  try {
+    const dryRun = ['1', 'true', 'si', 'sí'].includes(String(req.query.dryRun ?? (req.body && req.body.dryRun) ?? '').toLowerCase());
+    const entradas = importRecords(req);
+
+    const planes = {};
+    const reporte = {};
+    for (const [tipo, registros] of Object.entries(entradas)) {
+      const plan = planes[tipo] = await planImport(tipo, registros);
+      reporte[tipo] = { resumen: resumenPlan(plan), ...plan, crear: plan.crear.map(({ data, ...x }) => x) };
+    }
+
+    if (!dryRun) {
+      const invalidos = Object.values(planes).reduce((n, p) => n + p.invalidos.length, 0);
+      if (invalidos) throw httpError(400, `Hay ${invalidos} registro(s) inválido(s); no se importó nada`, reporte);
+      let aplicados = null;
+      try {
+        await withTransaction(async (session) => {
+          const hechos = [];
+          aplicados = session ? null : hechos;
+          for (const [tipo, plan] of Object.entries(planes)) {
+            await applyImport(tipo, plan, session);
+            hechos.push(tipo);
+          }
+        });
+      } catch (e) {
+        if (!aplicados || !aplicados.length) throw e;
+        const err = fromMongooseError(e);
+        throw httpError(err.status || 500, `Importación incompleta: ya se aplicó ${aplicados.join(', ')}`, { aplicados, error: err.message });
+      } finally {
+        invalidateSearchCache();
+      }
+    }
+    res.json({ dryRun, ...reporte });
+  } catch (e) { next(fromMongooseError(e)); }
+});
+
+mongoRouter.get('/admin/export', requireAdmin, async (req, res, next) => {
+  try {
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) throw httpError(400, 'Parámetro "format" inválido (csv|json)');
+    const tipo = catalogoTipo(req.query.tipo, { requerido: format === 'csv' });
+    const tipos = tipo ? [tipo] : Object.keys(CATALOGO_TIPOS);
+
+    const datos = {};
+    for (const t of tipos) {
+      const { Model, clave, fields } = CATALOGO_TIPOS[t];
+      datos[t] = (await Model.find({}).sort({ [clave]: 1 }).lean()).map(d => pickFields(d, fields));
+    }
+
+    const fecha = new Date().toISOString().slice(0, 10);
+    const nombre = `${tipo || 'catalogo'}-${fecha}.${format}`;
+    res.attachment(nombre);
+    if (format === 'csv') return res.type('text/csv; charset=utf-8').send(toCsv(datos[tipo], CATALOGO_TIPOS[tipo].fields));
+    res.json(tipo ? datos[tipo] : datos);
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Endpoints de administración de sinónimos
+// CRUD sobre la colección `sinonimos` con recarga en caliente
+// =========================================================
+const SINONIMO_FIELDS = ['tipo', 'canonical', 'aliases'];
+
+mongoRouter.get('/sinonimos', requireAdmin, async (req, res, next) => {
+  try {
+    const q = {};
+    if (req.query.tipo) q.tipo = String(req.query.tipo);
+    if (req.query.q) {
+      const rx = i18nLike_chat(req.query.q);
+      q.$or = [{ canonical: rx }, { aliases: rx }];
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50',10),1),200);
+    const page  = Math.max(parseInt(req.query.page || '1',10),1);
+    const skip  = (page - 1) * limit;
+
+    const [ total, data ] = await Promise.all([
+      Sinonimo.countDocuments(q),
+      Sinonimo.find(q).sort({ tipo: 1, canonical: 1 }).skip(skip).limit(limit).lean()
+    ]);
+
+    res.json({ page, limit, total, totalPages: Math.ceil(total/limit), data });
+  } catch (e) { next(e); }
+});
+
+mongoRouter.get('/sinonimos/:id', requireAdmin, async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Sinonimo.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json(doc);
+  } catch (e) { next(e); }
+});
+
+// Fuerza la recarga (útil si se editó la colección a mano o desde otra instancia)
+mongoRouter.post('/sinonimos/recargar', requireAdmin, async (_req, res, next) => {
+  try {
+    const tamanos = await reloadSynonyms();
+    res.json({ ok: true, entradas: tamanos });
+  } catch (e) { next(e); }
+});
+
+const sinonimoWrite = writeHandlers(Sinonimo, {
+  clave: 'canonical',
+  scope: ['tipo'],
+  fields: SINONIMO_FIELDS,
+  onChange: () => reloadSynonyms()
+});
+mongoRouter.post('/sinonimos',       requireAdmin, sinonimoWrite.create);
+mongoRouter.put('/sinonimos/:id',    requireAdmin, sinonimoWrite.replace);
+mongoRouter.patch('/sinonimos/:id',  requireAdmin, sinonimoWrite.update);
+mongoRouter.delete('/sinonimos/:id', requireAdmin, sinonimoWrite.remove);
+
+// =========================================================
+// Horarios de clase y buscador de salones libres
+// CRUD/importación de horarios, horario por espacio y salones libres por hora
+// =========================================================
+const CAMPUS_TZ = process.env.CAMPUS_TZ || 'America/Mexico_City';
+const HORARIO_FIELDS = ['tipo', 'espacio', 'dia', 'inicio', 'fin', 'grupo', 'materia', 'profesor'];
+
+// Acepta "lunes", "Miércoles", "mie", "1" (ISO: 1 = lunes … 7 = domingo)
+function parseDia(v) {
+  const t = normalize(v);
+  if (!t) return '';
+  if (/^[1-7]$/.test(t)) return DIAS_SEMANA[parseInt(t, 10) - 1];
+  if (t.length < 2) return '';
+  return DIAS_SEMANA.find(d => d === t || (t.length >= 3 && d.startsWith(t))) || '';
+}
+
+// Acepta "14", "14:00", "9:30", "2 pm", "14 hrs" → "HH:MM"
+function parseHora(v) {
+  const m = normalize(v).replace(/\./g, '').match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|hrs?|h)?$/);
+  if (!m) return '';
+  let h = parseInt(m[1], 10);
+  const min = m[2] ? parseInt(m[2], 10) : 0;
+  if (m[3] === 'pm' && h < 12) h += 12;
+  if (m[3] === 'am' && h === 12) h = 0;
+  if (h > 23 || min > 59) return '';
+  return `${String(h).padStart(2, '0')}:${String(min).padStart(2, '0')}`;
+}
+
+// Día, hora y fecha (AAAA-MM-DD) actuales en la zona horaria del campus
+function campusNow(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('es-MX', {
+      timeZone: CAMPUS_TZ, weekday: 'long', year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return { dia: parseDia(parts.weekday), hora: `${parts.hour}:${parts.minute}`, fecha: `${parts.year}-${parts.month}-${parts.day}` };
+}
+
+// Las fechas AAAA-MM-DD son del campus: se calculan como UTC para no depender de la zona del servidor
+const weekdayOf = (fecha) => DIAS_SEMANA[(new Date(`${fecha}T00:00:00Z`).getUTCDay() + 6) % 7];
+const addDays = (fecha, n) => new Date(Date.parse(`${fecha}T00:00:00Z`) + n * 864e5).toISOString().slice(0, 10);
+const localMs = (fecha, hora) => Date.parse(`${fecha}T${hora}:00Z`);
+
+// Acepta "2026-10-22", "22/10/2026" y "22/10" (la próxima, hoy incluido) → "AAAA-MM-DD"
+function parseFecha(v, hoy = campusNow().fecha) {
+  const t = String(v ?? '').trim();
+  const iso = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const dmy = t.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+  if (!iso && !dmy) return '';
+  const [anio, mes, dia] = iso ? iso.slice(1) : [dmy[3] || hoy.slice(0, 4), dmy[2], dmy[1]];
+  const armar = (a) => `${a}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')}`;
+  let fecha = armar(anio);
+  if (dmy && !dmy[3] && fecha < hoy) fecha = armar(parseInt(anio, 10) + 1);
+  const d = new Date(`${fecha}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().startsWith(fecha) ? fecha : '';
+}
+
+const MODELOS_POR_TIPO = { salon: Salon, laboratorio: Laboratorio, lugar: Lugar };
+function modelForTipo(tipo) {
+  const Model = MODELOS_POR_TIPO[tipo];
+  if (!Model) throw httpError(400, `Tipo de espacio no soportado: "${tipo}"`, Object.keys(MODELOS_POR_TIPO));
+  return Model;
+}
+
+// Valida que el espacio exista y que no se empalme con otra clase del mismo espacio
+async function checkHorario(doc, { ignoreIds = [] } = {}) {
+  if (!(await modelForTipo(doc.tipo).exists({ _id: doc.espacio }))) {
+    throw httpError(400, `No existe el ${doc.tipo} referenciado en "espacio"`);
+  }
+  const choque = await Horario.findOne({
+    _id: { $nin: [doc._id, ...ignoreIds] },
+    tipo: doc.tipo, espacio: doc.espacio, dia: doc.dia,
+    inicio: { $lt: doc.fin }, fin: { $gt: doc.inicio }
+  }).lean();
+  if (choque) {
+    throw httpError(409, `Se empalma con ${choque.materia || 'otra clase'} (${choque.inicio}–${choque.fin})`, { id: String(choque._id) });
+  }
+}
+
+const sortHorario = (a, b) =>
+  DIAS_SEMANA.indexOf(a.dia) - DIAS_SEMANA.indexOf(b.dia) || a.inicio.localeCompare(b.inicio);
+
+// Normaliza dia/hora antes de que Mongoose valide (acepta "Lunes", "9:00")
+function normalizeHorarioInput(body = {}) {
+  const out = { ...body };
+  if (out.dia !== undefined)    out.dia    = parseDia(out.dia) || out.dia;
+  if (out.inicio !== undefined) out.inicio = parseHora(out.inicio) || out.inicio;
+  if (out.fin !== undefined)    out.fin    = parseHora(out.fin) || out.fin;
+  return out;
+}
+
+mongoRouter.get('/horarios', async (req, res, next) => {
+  try {
+    const q = {};
+    if (req.query.tipo) q.tipo = String(req.query.tipo);
+    if (req.query.espacio) {
+      if (!Types.ObjectId.isValid(req.query.espacio)) return res.status(400).json({ error: 'ID inválido' });
+      q.espacio = req.query.espacio;
+    }
+    if (req.query.dia) q.dia = parseDia(req.query.dia) || String(req.query.dia);
+    if (req.query.profesor) q.profesor = i18nLike_chat(req.query.profesor);
+    if (req.query.grupo)    q.grupo    = i18nLike_chat(req.query.grupo);
+    if (req.query.materia)  q.materia  = i18nLike_chat(req.query.materia);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50',10),1),200);
+    const page  = Math.max(parseInt(req.query.page || '1',10),1);
+    const skip  = (page - 1) * limit;
+
+    const [ total, data ] = await Promise.all([
+      Horario.countDocuments(q),
+      Horario.find(q).sort({ espacio: 1, dia: 1, inicio: 1 }).skip(skip).limit(limit).lean()
+    ]);
+
+    res.json({ page, limit, total, totalPages: Math.ceil(total/limit), data });
+  } catch (e) { next(e); }
+});
+
+/**
+ * Importación masiva: { reemplazar?: boolean, horarios: [...] }.
+ * Cada fila identifica su espacio con `espacio` (ID) o con `salon` (número/nombre)
+ * / `laboratorio` (código/nombre). Con `reemplazar` los horarios del lote sustituyen
+ * a los que ya tenían sus espacios. Todo o nada: si alguna fila es inválida no se escribe.
+ */
+mongoRouter.post('/horarios/importar', requireAdmin, adminJsonBody, async (req, res, next) => {
+  try {
+    const filas = Array.isArray(req.body) ? req.body : (req.body && req.body.horarios);
+    if (!Array.isArray(filas) || !filas.length) return res.status(400).json({ error: 'Falta "horarios" (arreglo)' });
+    const reemplazar = !Array.isArray(req.body) && req.body.reemplazar === true;
+
+    const errores = [];
+    const validos = [];
+    for (const [indice, fila] of filas.entries()) {
+      try {
+        const data = pickFields(normalizeHorarioInput(fila), HORARIO_FIELDS);
+        if (!data.espacio) {
+          const ref = await findSpaceRef(fila);
+          if (!ref) throw httpError(400, 'No se encontró el salón/laboratorio de la fila');
+          Object.assign(data, ref);
+        }
+        const doc = new Horario(data);
+        await doc.validate();
+        validos.push({ indice, doc });
+      } catch (e) {
+        const err = fromMongooseError(e);
+        errores.push({ indice, error: err.message, details: err.details });
+      }
+    }
+
+    // Los horarios que se van a sustituir no cuentan como empalme
+    const espacios = [...new Set(validos.map(v => String(v.doc.espacio)))];
+    const anteriores = reemplazar && espacios.length
+      ? (await Horario.find({ espacio: { $in: espacios } }, { _id: 1 }).lean()).map(h => h._id)
+      : [];
+
+    // Empalmes dentro del propio lote y contra lo que queda en la base
+    const porEspacioDia = new Map();
+    for (const v of validos) {
+      const k = `${v.doc.tipo}:${v.doc.espacio}:${v.doc.dia}`;
+      const otros = porEspacioDia.get(k) || [];
+      const choque = otros.find(o => o.doc.inicio < v.doc.fin && o.doc.fin > v.doc.inicio);
+      try {
+        if (choque) throw httpError(409, `Se empalma con la fila ${choque.indice}`);
+        await checkHorario(v.doc, { ignoreIds: anteriores });
+        otros.push(v);
+        porEspacioDia.set(k, otros);
+      } catch (e) {
+        const err = fromMongooseError(e);
+        errores.push({ indice: v.indice, error: err.message, details: err.details });
+      }
+    }
+
+    if (errores.length) {
+      errores.sort((a, b) => a.indice - b.indice);
+      return res.status(400).json({ ok: false, insertados: 0, eliminados: 0, errores });
+    }
+
+    // El cambio va en una transacción. Sin transacciones se insertan primero los nuevos y,
+    // si la inserción o el borrado de los anteriores falla, se retiran los insertados
+    const docs = validos.map(v => v.doc);
+    const eliminados = await withTransaction(async (session) => {
+      try {
+        await Horario.insertMany(docs, { ordered: true, session });
+        return anteriores.length
+          ? (await Horario.deleteMany({ _id: { $in: anteriores } }, { session })).deletedCount
+          : 0;
+      } catch (e) {
+        if (!session) await Horario.deleteMany({ _id: { $in: docs.map(d => d._id) } });
+        throw fromMongooseError(e);
+      }
+    });
+
+    res.status(201).json({ ok: true, insertados: docs.length, eliminados, errores });
+  } catch (e) { next(e); }
+});
+
+// Resuelve { tipo, espacio } a partir de `salon` o `laboratorio` en una fila de importación
+async function findSpaceRef(fila = {}) {
+  if (fila.salon) {
+    const rx = i18nExactRegex_chat(String(fila.salon).trim());
+    const doc = await Salon.findOne({ $or: [{ numero: rx }, { nombre: rx }] }).lean();
+    return doc ? { tipo: 'salon', espacio: doc._id } : null;
+  }
+  if (fila.laboratorio) {
+    const rx = i18nExactRegex_chat(String(fila.laboratorio).trim());
+    const doc = await Laboratorio.findOne({ $or: [{ codigo: rx }, { nombre: rx }] }).lean();
+    return doc ? { tipo: 'laboratorio', espacio: doc._id } : null;
+  }
+  return null;
+}
+
+mongoRouter.get('/horarios/:id', async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Horario.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json(doc);
+  } catch (e) { next(e); }
+});
+
+const horarioWrite = writeHandlers(Horario, { fields: HORARIO_FIELDS, check: (doc) => checkHorario(doc) });
+const withHorarioInput = (handler) => (req, res, next) => {
+  req.body = normalizeHorarioInput(req.body);
+  handler(req, res, next);
+};
+mongoRouter.post('/horarios',       requireAdmin, withHorarioInput(horarioWrite.create));
+mongoRouter.put('/horarios/:id',    requireAdmin, withHorarioInput(horarioWrite.replace));
+mongoRouter.patch('/horarios/:id',  requireAdmin, withHorarioInput(horarioWrite.update));
+mongoRouter.delete('/horarios/:id', requireAdmin, horarioWrite.remove);
+
+// Horario semanal (o de un día) de un salón/laboratorio
+function scheduleHandler(tipo) {
+  return async (req, res, next) => {
+    try {
+      if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+      const espacio = await modelForTipo(tipo).findById(req.params.id).lean();
+      if (!espacio) return res.status(404).json({ error: 'No encontrado' });
+
+      const q = { tipo, espacio: espacio._id };
+      if (req.query.dia) {
+        const dia = parseDia(req.query.dia);
+        if (!dia) return res.status(400).json({ error: 'Día inválido' });
+        q.dia = dia;
+      }
+      const horario = (await Horario.find(q).lean()).sort(sortHorario);
+      res.json({ [tipo]: espacio, dia: q.dia || null, total: horario.length, horario });
+    } catch (e) { next(e); }
+  };
+}
+mongoRouter.get('/salones/:id/horario', scheduleHandler('salon'));
+mongoRouter.get('/laboratorios/:id/horario', scheduleHandler('laboratorio'));
+
+// Salones sin clase en `dia`/`hora` (por defecto, ahora) con filtros de edificio/piso
+async function findFreeRooms({ edificio, piso, dia, hora }, source = mongoDataSource) {
+  const rxEdificio = edificio && i18nLike_chat(edificio);
+  const rxPiso     = piso && i18nLike_chat(piso);
+  const porClave = (a, b) => String(a.numero ?? '').localeCompare(String(b.numero ?? ''), 'es', { numeric: true }) ||
+    String(a.nombre ?? '').localeCompare(String(b.nombre ?? ''), 'es');
+  const salones = (await source.catalogue('salon'))
+    .filter(s => (!rxEdificio || rxEdificio.test(s.edificio || '')) && (!rxPiso || rxPiso.test(s.piso || '')))
+    .sort(porClave);
+  if (!salones.length) return [];
+
+  const clases = (await source.schedules('salon', salones.map(s => s._id), dia)).filter(c => c.fin > hora);
+
+  const libres = [];
+  for (const s of salones) {
+    const delSalon = clases.filter(c => String(c.espacio) === String(s._id));
+    if (delSalon.some(c => c.inicio <= hora)) continue;
+    const siguiente = delSalon.map(c => c.inicio).sort()[0] || null;
+    libres.push({ ...s, libreHasta: siguiente });
+  }
+  return libres;
+}
+
+async function freeRoomsHandler(req, res, next) {
+  try {
+    const ahora = campusNow();
+    const dia  = req.query.dia  ? parseDia(req.query.dia)   : ahora.dia;
+    const hora = req.query.hora ? parseHora(req.query.hora) : ahora.hora;
+    if (!dia)  return res.status(400).json({ error: 'Día inválido' });
+    if (!hora) return res.status(400).json({ error: 'Hora inválida (HH:MM)' });
+
+    const data = await findFreeRooms({ edificio: req.query.edificio, piso: req.query.piso, dia, hora }, req.app.locals.source);
+    res.json({ dia, hora, total: data.length, data });
+  } catch (e) { next(e); }
+}
+
+// =========================================================
+// Avisos temporales por espacio o edificio
+// Cierres, traslados y exámenes con vigencia; se agregan a /chat y al detalle de cada espacio
+// =========================================================
+const AVISO_FIELDS = ['titulo', 'mensaje', 'categoria', 'severidad', 'espacios', 'edificios', 'inicio', 'fin', 'en'];
+const AVISO_ESTADOS = ['vigentes', 'proximos', 'vencidos', 'todos'];
+
+// Edificio por id del grafo ("e3"), clave ("Edificio3") o nombre ("Edificio 3") → clave canónica
+function noticeBuildingKey(texto) {
+  const t = normalize(texto);
+  if (!t) return '';
+  const ed = CAMPUS_GRAPH && ([...CAMPUS_GRAPH.edificios.values()].find(e => e.id === t || normalize(e.imagen || '') === t) ||
+    findGraphBuilding(CAMPUS_GRAPH, t));
+  return ed ? (ed.imagen || buildingKey(ed.nombre)) : (edificioBasenames(texto)[0] || '');
+}
+
+// Acepta espacios como { tipo, espacio } o { salon } / { laboratorio } (número, código o nombre)
+// y edificios con cualquier forma que entienda noticeBuildingKey
+async function normalizeAvisoInput(body = {}) {
+  const out = { ...body };
+  if (Array.isArray(out.espacios)) {
+    const espacios = [];
+    for (const [i, e] of out.espacios.entries()) {
+      if (!e || typeof e !== 'object' || e.espacio) { espacios.push(e); continue; }
+      const ref = await findSpaceRef(e);
+      if (!ref) throw httpError(400, `No se encontró el salón/laboratorio de espacios[${i}]`);
+      espacios.push(ref);
+    }
+    out.espacios = espacios;
+  }
+  if (Array.isArray(out.edificios)) {
+    const claves = out.edificios.map(e => noticeBuildingKey(String(e ?? '')));
+    const desconocidos = out.edificios.filter((_e, i) => !claves[i]);
+    if (desconocidos.length) throw httpError(400, 'Edificio desconocido', desconocidos);
+    out.edificios = [...new Set(claves)];
+  }
+  return out;
+}
+
+async function checkAviso(doc) {
+  for (const e of doc.espacios) {
+    if (!(await modelForTipo(e.tipo).exists({ _id: e.espacio }))) {
+      throw httpError(400, `No existe el ${e.tipo} referenciado en "espacios"`, { espacio: String(e.espacio) });
+    }
+  }
+}
+
+function noticeStateQuery(estado, fecha) {
+  if (estado === 'vigentes') return { inicio: { $lte: fecha }, fin: { $gt: fecha } };
+  if (estado === 'proximos') return { inicio: { $gt: fecha } };
+  if (estado === 'vencidos') return { fin: { $lte: fecha } };
+  return {};
+}
+
+const isNoticeActive = (a, fecha) => new Date(a.inicio) <= fecha && new Date(a.fin) > fecha;
+
+// Un aviso aplica al espacio citado y a todo lo que está en sus edificios
+const noticeAppliesTo = (a, doc) =>
+  (a.espacios || []).some(e => e.tipo === doc.tipo && String(e.espacio) === String(doc._id)) ||
+  Boolean(doc.edificio && (a.edificios || []).includes(buildingKey(doc.edificio)));
+
+// Más severos primero; a igual severidad, el que termina antes
+const byNoticeSeverity = (a, b) =>
+  AVISO_SEVERIDADES.indexOf(b.severidad) - AVISO_SEVERIDADES.indexOf(a.severidad) || new Date(a.fin) - new Date(b.fin);
+
+/**
+ * Deja en cada documento (con su `tipo`) los avisos vigentes en `fecha` como `avisos`
+ * y devuelve la lista sin repetidos. Los documentos deben ser copias: se modifican.
+ */
+async function attachNotices(docs, { source = mongoDataSource, fecha = new Date() } = {}) {
+  if (!docs.length) return [];
+  const avisos = (await source.notices(docs, fecha)).sort(byNoticeSeverity);
+  for (const d of docs) d.avisos = avisos.filter(a => noticeAppliesTo(a, d));
+  return avisos.filter(a => docs.some(d => d.avisos.includes(a)));
+}
+
+// Avisos vigentes de un solo espacio (detalle REST)
+async function noticesFor(tipo, doc, opciones) {
+  const x = { tipo, ...doc };
+  await attachNotices([x], opciones);
+  return x.avisos;
+}
+
+// "20 de octubre, 18:00" en la zona horaria del campus
+function formatCampusDate(fecha, lang = IDIOMA_BASE) {
+  return new Intl.DateTimeFormat(msg(lang, 'comun.locale'), {
+    timeZone: CAMPUS_TZ, day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).format(new Date(fecha));
+}
+
+const withPeriod = (s) => (/[.!?]$/.test(s) ? s : `${s}.`);
+
+// Un renglón por aviso con los resultados a los que aplica; vacío si no hay avisos
+function noticesText(resultados, lang = IDIOMA_BASE) {
+  const porAviso = new Map();
+  for (const x of resultados) {
+    for (const a of x.avisos || []) {
+      const id = String(a._id);
+      if (!porAviso.has(id)) porAviso.set(id, { aviso: a, nombres: [] });
+      porAviso.get(id).nombres.push(x.nombre || x.numero || x.codigo);
+    }
+  }
+  return [...porAviso.values()]
+    .sort((a, b) => byNoticeSeverity(a.aviso, b.aviso))
+    .map(({ aviso, nombres }) => {
+      const mensaje = localized(aviso, 'mensaje', lang);
+      return msg(lang, 'aviso.linea', {
+        etiqueta: msg(lang, `aviso.severidades.${aviso.severidad}`),
+        lugares: nombres.join(', '),
+        titulo: withPeriod(localized(aviso, 'titulo', lang)),
+        mensaje: mensaje ? ` ${withPeriod(mensaje)}` : '',
+        fin: formatCampusDate(aviso.fin, lang)
+      });
+    })
+    .join('\n');
+}
+
+// Renglones "Aviso: …" de las tarjetas
+const noticeLines = (x, lang) => (x.avisos || []).map(a =>
+  `${msg(lang, 'tarjeta.aviso')}: ${msg(lang, 'aviso.tarjeta', { titulo: localized(a, 'titulo', lang), fin: formatCampusDate(a.fin, lang) })}`);
+
+// Filtros: ?estado=vigentes|proximos|vencidos|todos (con ?fecha= ISO, por defecto ahora),
+// ?tipo=&espacio=, ?edificio=, ?severidad=, ?categoria=
+mongoRouter.get('/avisos', async (req, res, next) => {
+  try {
+    const estado = String(req.query.estado || 'vigentes').toLowerCase();
+    if (!AVISO_ESTADOS.includes(estado)) throw httpError(400, 'Parámetro "estado" inválido', AVISO_ESTADOS);
+    const fecha = req.query.fecha ? new Date(req.query.fecha) : new Date();
+    if (isNaN(fecha)) throw httpError(400, 'Fecha inválida en "fecha"');
+
+    const q = noticeStateQuery(estado, fecha);
+    if (req.query.espacio) {
+      if (!Types.ObjectId.isValid(req.query.espacio)) return res.status(400).json({ error: 'ID inválido' });
+      q['espacios.espacio'] = req.query.espacio;
+    }
+    if (req.query.tipo) q['espacios.tipo'] = String(req.query.tipo);
+    if (req.query.edificio) {
+      const clave = noticeBuildingKey(String(req.query.edificio));
+      if (!clave) throw httpError(400, 'Edificio desconocido', [String(req.query.edificio)]);
+      q.edificios = clave;
+    }
+    for (const [campo, valores] of [['severidad', AVISO_SEVERIDADES], ['categoria', AVISO_CATEGORIAS]]) {
+      if (!req.query[campo]) continue;
+      const v = String(req.query[campo]).toLowerCase();
+      if (!valores.includes(v)) throw httpError(400, `Parámetro "${campo}" inválido`, valores);
+      q[campo] = v;
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50',10),1),200);
+    const page  = Math.max(parseInt(req.query.page || '1',10),1);
+    const skip  = (page - 1) * limit;
+
+    const [ total, data ] = await Promise.all([
+      Aviso.countDocuments(q),
+      Aviso.find(q).sort({ inicio: 1, fin: 1 }).skip(skip).limit(limit).lean()
+    ]);
+
+    res.json({ estado, fecha: fecha.toISOString(), page, limit, total, totalPages: Math.ceil(total/limit), data });
+  } catch (e) { next(e); }
+});
+
+mongoRouter.get('/avisos/:id', async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Aviso.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json(doc);
+  } catch (e) { next(e); }
+});
+
+const avisoWrite = writeHandlers(Aviso, { fields: AVISO_FIELDS, check: checkAviso });
+const withAvisoInput = (handler) => async (req, res, next) => {
+  try { req.body = await normalizeAvisoInput(req.body); }
+  catch (e) { return next(e); }
+  handler(req, res, next);
+};
+mongoRouter.post('/avisos',       requireAdmin, withAvisoInput(avisoWrite.create));
+mongoRouter.put('/avisos/:id',    requireAdmin, withAvisoInput(avisoWrite.replace));
+mongoRouter.patch('/avisos/:id',  requireAdmin, withAvisoInput(avisoWrite.update));
+mongoRouter.delete('/avisos/:id', requireAdmin, avisoWrite.remove);
+
+// =========================================================
+// Reservaciones de laboratorio
+// Solicitud, aprobación/rechazo y cancelación con detección de empalmes contra
+// clases y otras reservaciones; disponibilidad por día y calendario .ics por laboratorio
+// =========================================================
+const RESERVA_FIELDS = ['fecha', 'inicio', 'fin', 'solicitante', 'correo', 'motivo', 'asistentes'];
+// Estados que ocupan el horario: una solicitud pendiente aparta el lugar hasta que se resuelve
+const RESERVA_OCUPAN = ['pendiente', 'aprobada'];
+// Acción → estados desde los que se permite
+const RESERVA_TRANSICIONES = { aprobar: ['pendiente'], rechazar: ['pendiente'], cancelar: ['pendiente', 'aprobada'] };
+// El calendario .ics incluye las reservaciones aprobadas desde hace estos días
+const RESERVA_ICS_DIAS_ATRAS = 90;
+// Vigencia de las clases en el .ics (AAAA-MM-DD). Sin SEMESTRE_INICIO cada clase arranca
+// la semana en que se dio de alta; sin SEMESTRE_FIN dura CLASES_ICS_SEMANAS semanas.
+const SEMESTRE_INICIO = process.env.SEMESTRE_INICIO || '';
+const SEMESTRE_FIN = process.env.SEMESTRE_FIN || '';
+const CLASES_ICS_SEMANAS = 18;
+
+const RESERVA_DEFAULTS = {
+  reservable:           process.env.RESERVA_RESERVABLE !== 'false',
+  requiereAprobacion:   process.env.RESERVA_REQUIERE_APROBACION !== 'false',
+  capacidad:            null,
+  duracionMaxMin:       parseInt(process.env.RESERVA_DURACION_MAX_MIN || '240', 10),
+  anticipacionMinHoras: parseInt(process.env.RESERVA_ANTICIPACION_MIN_HORAS || '24', 10),
+  anticipacionMaxDias:  parseInt(process.env.RESERVA_ANTICIPACION_MAX_DIAS || '60', 10),
+  apertura:             process.env.RESERVA_APERTURA || '07:00',
+  cierre:               process.env.RESERVA_CIERRE || '21:00',
+  dias: String(process.env.RESERVA_DIAS || 'lunes,martes,miercoles,jueves,viernes').split(',').map(parseDia).filter(Boolean)
+};
+
+// Reglas efectivas de un laboratorio: las propias sobre los valores por defecto
+function reservationRules(lab) {
+  const propias = Object.entries((lab && lab.reglasReserva) || {}).filter(([, v]) => v !== undefined && v !== null);
+  return { ...RESERVA_DEFAULTS, ...Object.fromEntries(propias) };
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+// Sin el hash del código de cancelación
+function publicReserva(doc) {
+  const { codigoHash, ...r } = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return r;
+}
+
+// Laboratorio por id, código o nombre
+async function findLabRef(valor) {
+  const v = String(valor ?? '').trim();
+  if (!v) return null;
+  if (/^[a-f\d]{24}$/i.test(v)) return Laboratorio.findById(v).lean();
+  const ref = await findSpaceRef({ laboratorio: v });
+  return ref && Laboratorio.findById(ref.espacio).lean();
+}
+
+// Acepta fecha "22/10" y horas "10", "2 pm" como en horarios
+function normalizeReservaInput(body = {}) {
+  const out = normalizeHorarioInput(body);
+  if (out.fecha !== undefined) out.fecha = parseFecha(out.fecha) || out.fecha;
+  return out;
+}
+
+function checkReservationRules(r, lab, ahora = campusNow()) {
+  const reglas = reservationRules(lab);
+  const falla = (mensaje) => { throw httpError(400, mensaje, { reglas }); };
+  if (!reglas.reservable) falla(`${lab.nombre} no acepta reservaciones`);
+  const dia = weekdayOf(r.fecha);
+  if (!reglas.dias.includes(dia)) falla(`No se reserva en ${msg(IDIOMA_BASE, `horario.dias.${dia}`)}`);
+  if (r.inicio < reglas.apertura || r.fin > reglas.cierre) falla(`Fuera del horario de reservación (${reglas.apertura}–${reglas.cierre})`);
+  if ((localMs(r.fecha, r.fin) - localMs(r.fecha, r.inicio)) / 6e4 > reglas.duracionMaxMin) {
+    falla(`La reservación no puede durar más de ${reglas.duracionMaxMin} min`);
+  }
+  const horas = (localMs(r.fecha, r.inicio) - localMs(ahora.fecha, ahora.hora)) / 36e5;
+  if (horas < reglas.anticipacionMinHoras) falla(`Hay que reservar con al menos ${reglas.anticipacionMinHoras} h de anticipación`);
+  if (horas > reglas.anticipacionMaxDias * 24) falla(`No se reserva con más de ${reglas.anticipacionMaxDias} días de anticipación`);
+  if (reglas.capacidad && r.asistentes > reglas.capacidad) falla(`${lab.nombre} admite hasta ${reglas.capacidad} personas`);
+}
+
+/**
+ * Ocupaciones del laboratorio en `fecha` que se cruzan con [inicio, fin): clases de ese
+ * día de la semana y reservaciones en `estados` (subconjunto de RESERVA_OCUPAN). Sin horas,
+ * todas las del día. Los intervalos son semiabiertos: 10:00–11:00 no choca con 11:00–12:00.
+ */
+async function labOccupancy(laboratorio, fecha, { inicio = '00:00', fin = '24:00', estados = RESERVA_OCUPAN, excluir = null, source = mongoDataSource } = {}) {
+  const cruza = (x) => x.inicio < fin && x.fin > inicio;
+  const [todasClases, todasReservas] = await Promise.all([
+    source.schedules('laboratorio', [laboratorio], weekdayOf(fecha)),
+    source.reservations(laboratorio, fecha)
+  ]);
+  const clases = todasClases.filter(cruza);
+  const reservas = todasReservas.filter(r => estados.includes(r.estado) && cruza(r) && (!excluir || String(r._id) !== String(excluir)));
+  return [
+    ...clases.map(c => ({ tipo: 'clase', id: String(c._id), inicio: c.inicio, fin: c.fin, materia: c.materia, grupo: c.grupo })),
+    ...reservas.map(r => ({ tipo: 'reserva', id: String(r._id), inicio: r.inicio, fin: r.fin, estado: r.estado }))
+  ].sort((a, b) => a.inicio.localeCompare(b.inicio));
+}
+
+const reservationConflicts = (r, opciones = {}) =>
+  labOccupancy(r.laboratorio, r.fecha, { inicio: r.inicio, fin: r.fin, excluir: r._id, ...opciones });
+
+const RESERVA_BLOQUEO_ESPERA_MS = 5000;
+const RESERVA_BLOQUEO_VENCE_MS = 30000;
+
+// Corre `fn` con el laboratorio y la fecha bloqueados: de dos solicitudes simultáneas una
+// espera a que la otra guarde y entonces ve su reservación como choque
+async function withLabDayLock(laboratorio, fecha, fn) {
+  const _id = `${laboratorio}|${fecha}`;
+  const limite = Date.now() + RESERVA_BLOQUEO_ESPERA_MS;
+  for (;;) {
+    try {
+      await ReservaBloqueo.create({ _id });
+      break;
+    } catch (e) {
+      if (!e || e.code !== 11000) throw e;
+      // Un bloqueo viejo es de un proceso que se cayó antes de liberarlo
+      await ReservaBloqueo.deleteOne({ _id, creado: { $lt: new Date(Date.now() - RESERVA_BLOQUEO_VENCE_MS) } });
+      if (Date.now() > limite) throw httpError(503, 'El laboratorio está procesando otra solicitud; intenta de nuevo');
+      await new Promise(r => setTimeout(r, 25 + Math.floor(Math.random() * 50)));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await ReservaBloqueo.deleteOne({ _id }).catch(e => console.warn('! No se pudo liberar el bloqueo de reservación:', e.message));
+  }
+}
+
+// Huecos libres entre apertura y cierre
+function freeWindows(ocupado, { apertura, cierre }) {
+  const libres = [];
+  let desde = apertura;
+  for (const o of ocupado) {
+    if (o.inicio > desde) libres.push({ inicio: desde, fin: o.inicio < cierre ? o.inicio : cierre });
+    if (o.fin > desde) desde = o.fin;
+    if (desde >= cierre) break;
+  }
+  if (desde < cierre) libres.push({ inicio: desde, fin: cierre });
+  return libres.filter(l => l.inicio < l.fin);
+}
+
+/**
+ * Solicitud pública: { laboratorio (id, código o nombre), fecha, inicio, fin, solicitante,
+ * correo?, motivo?, asistentes? }. Responde el `codigoCancelacion` una sola vez;
+ * sólo se guarda su hash.
+ */
+mongoRouter.post('/reservas', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (!body.laboratorio) throw httpError(400, 'Falta "laboratorio"');
+    const lab = await findLabRef(body.laboratorio);
+    if (!lab) throw httpError(404, 'No se encontró el laboratorio');
+
+    const doc = new Reserva({ ...pickFields(normalizeReservaInput(body), RESERVA_FIELDS), laboratorio: lab._id });
+    await doc.validate();
+    checkReservationRules(doc, lab);
+
+    const codigo = crypto.randomBytes(12).toString('base64url');
+    doc.codigoHash = sha256(codigo);
+    if (!reservationRules(lab).requiereAprobacion) doc.estado = 'aprobada';
+    await withLabDayLock(doc.laboratorio, doc.fecha, async () => {
+      const choques = await reservationConflicts(doc);
+      if (choques.length) throw httpError(409, 'El horario se empalma con otra ocupación del laboratorio', choques);
+      await doc.save();
+    });
+    res.status(201).json({ ...publicReserva(doc), codigoCancelacion: codigo });
+  } catch (e) { next(fromMongooseError(e)); }
+});
+
+// Filtros: ?laboratorio= (id, código o nombre), ?estado=, ?desde=&hasta= (fechas), ?solicitante=
+mongoRouter.get('/reservas', requireAdmin, async (req, res, next) => {
+  try {
+    const q = {};
+    if (req.query.laboratorio) {
+      const lab = await findLabRef(req.query.laboratorio);
+      if (!lab) throw httpError(404, 'No se encontró el laboratorio');
+      q.laboratorio = lab._id;
+    }
+    if (req.query.estado) {
+      const estado = String(req.query.estado).toLowerCase();
+      if (!RESERVA_ESTADOS.includes(estado)) throw httpError(400, 'Parámetro "estado" inválido', RESERVA_ESTADOS);
+      q.estado = estado;
+    }
+    const rango = {};
+    for (const [param, op] of [['desde', '$gte'], ['hasta', '$lte']]) {
+      if (!req.query[param]) continue;
+      const fecha = parseFecha(req.query[param]);
+      if (!fecha) throw httpError(400, `Fecha inválida en "${param}"`);
+      rango[op] = fecha;
+    }
+    if (Object.keys(rango).length) q.fecha = rango;
+    if (req.query.solicitante) q.solicitante = i18nLike_chat(req.query.solicitante);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50',10),1),200);
+    const page  = Math.max(parseInt(req.query.page || '1',10),1);
+    const skip  = (page - 1) * limit;
+
+    const [ total, data ] = await Promise.all([
+      Reserva.countDocuments(q),
+      Reserva.find(q).sort({ fecha: 1, inicio: 1 }).skip(skip).limit(limit).lean()
+    ]);
+
+    res.json({ page, limit, total, totalPages: Math.ceil(total/limit), data });
+  } catch (e) { next(e); }
+});
+
+mongoRouter.get('/reservas/:id', requireAdmin, async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Reserva.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json(doc);
+  } catch (e) { next(e); }
+});
+
+// Cambio de estado con { motivo? }. Cancelar lo puede hacer el administrador o quien
+// solicitó, con su `codigo`; al aprobar se vuelve a revisar contra clases y aprobadas.
+function reservaAction(accion, estado) {
+  return async (req, res, next) => {
+    try {
+      if (!Types.ObjectId.isValid(req.params.id)) throw httpError(400, 'ID inválido');
+      const doc = await Reserva.findById(req.params.id).select('+codigoHash');
+      if (!doc) throw httpError(404, 'No encontrado');
+      const body = req.body || {};
+
+      if (accion === 'cancelar' && !isAdminToken(tokenFromRequest(req))) {
+        const codigo = String(body.codigo || '');
+        if (!codigo || !doc.codigoHash || !safeEqual(sha256(codigo), doc.codigoHash)) {
+          throw httpError(403, 'Código de cancelación inválido');
+        }
+      }
+      if (!RESERVA_TRANSICIONES[accion].includes(doc.estado)) {
+        throw httpError(409, `No se puede ${accion} una reservación ${doc.estado}`);
+      }
+      doc.estado = estado;
+      if (body.motivo) doc.respuesta = String(body.motivo).trim();
+      if (accion === 'aprobar') {
+        await withLabDayLock(doc.laboratorio, doc.fecha, async () => {
+          const choques = await reservationConflicts(doc, { estados: ['aprobada'] });
+          if (choques.length) throw httpError(409, 'El horario se empalma con otra ocupación del laboratorio', choques);
+          await doc.save();
+        });
+      } else {
+        await doc.save();
+      }
+      res.json(publicReserva(doc));
+    } catch (e) { next(fromMongooseError(e)); }
+  };
+}
+mongoRouter.post('/reservas/:id/aprobar',  requireAdmin, reservaAction('aprobar', 'aprobada'));
+mongoRouter.post('/reservas/:id/rechazar', requireAdmin, reservaAction('rechazar', 'rechazada'));
+mongoRouter.post('/reservas/:id/cancelar', reservaAction('cancelar', 'cancelada'));
+
+async function loadLab(id) {
+  if (!Types.ObjectId.isValid(id)) throw httpError(400, 'ID inválido');
+  const lab = await Laboratorio.findById(id).lean();
+  if (!lab) throw httpError(404, 'No encontrado');
+  return lab;
+}
+
+// Ocupación y huecos libres de un día (?fecha=, por defecto hoy); sin datos personales
+mongoRouter.get('/laboratorios/:id/disponibilidad', async (req, res, next) => {
+  try {
+    const lab = await loadLab(req.params.id);
+    const fecha = req.query.fecha ? parseFecha(req.query.fecha) : campusNow().fecha;
+    if (!fecha) throw httpError(400, 'Fecha inválida (AAAA-MM-DD)');
+
+    const reglas = reservationRules(lab);
+    const ocupado = await labOccupancy(lab._id, fecha);
+    const abre = reglas.reservable && reglas.dias.includes(weekdayOf(fecha));
+    res.json({
+      laboratorio: { _id: lab._id, codigo: lab.codigo, nombre: lab.nombre },
+      fecha, dia: weekdayOf(fecha), reglas, ocupado,
+      libre: abre ? freeWindows(ocupado, reglas) : []
+    });
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Calendario iCalendar (RFC 5545) por laboratorio
+// GET /laboratorios/:id/reservas.ics: reservaciones aprobadas y, salvo ?clases=false, clases semanales
+// =========================================================
+const icsEscape = (s) => String(s ?? '')
+  .replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Líneas de más de 75 octetos se parten con CRLF + espacio
+function icsFold(linea) {
+  const partes = [];
+  let actual = '';
+  for (const ch of linea) {
+    if (Buffer.byteLength(actual + ch) > (partes.length ? 74 : 75)) { partes.push(actual); actual = ''; }
+    actual += ch;
+  }
+  partes.push(actual);
+  return partes.join('\r\n ');
+}
+
+const icsLocal = (fecha, hora) => `${fecha.replace(/-/g, '')}T${hora.replace(':', '')}00`;
+const icsUtc = (d) => new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Desfase en minutos de CAMPUS_TZ respecto a UTC en un instante ("GMT-06:00" → -360)
+const tzOffsetFormat = new Intl.DateTimeFormat('en-US', { timeZone: CAMPUS_TZ, timeZoneName: 'longOffset' });
+function tzOffsetMin(ms) {
+  const nombre = tzOffsetFormat.formatToParts(ms).find(p => p.type === 'timeZoneName').value;
+  const m = nombre.match(/([+-])(\d{2}):(\d{2})/);
+  return m ? (m[1] === '-' ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3], 10)) : 0;
+}
+
+// Fecha y hora del campus → instante UTC (ms)
+function campusToUtc(fecha, hora) {
+  const local = localMs(fecha, hora);
+  const aprox = local - tzOffsetMin(local) * 60000;
+  return local - tzOffsetMin(aprox) * 60000;
+}
+
+const icsOffset = (min) =>
+  `${min < 0 ? '-' : '+'}${String(Math.floor(Math.abs(min) / 60)).padStart(2, '0')}${String(Math.abs(min) % 60).padStart(2, '0')}`;
+
+/**
+ * VTIMEZONE de CAMPUS_TZ entre dos fechas: una observancia para el desfase inicial y
+ * otra por cada cambio de horario en el rango, tomados de la base de zonas del sistema.
+ */
+function icsTimezone(desde, hasta) {
+  const fin = campusToUtc(hasta, '23:59');
+  const cambios = [];
+  let t = campusToUtc(desde, '00:00');
+  let previo = tzOffsetMin(t);
+  const inicial = previo;
+  for (; t < fin; t += 864e5) {
+    const sig = tzOffsetMin(t + 864e5);
+    if (sig === previo) continue;
+    // Minuto exacto del cambio dentro del día
+    let lo = t, hi = t + 864e5;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (tzOffsetMin(mid) === previo) lo = mid; else hi = mid;
+    }
+    cambios.push({ ms: hi, de: previo, a: sig });
+    previo = sig;
+  }
+  const minimo = Math.min(inicial, ...cambios.map(c => c.a));
+  const observancia = (ms, de, a) => {
+    const tipo = a > minimo ? 'DAYLIGHT' : 'STANDARD';
+    return [`BEGIN:${tipo}`, `DTSTART:${icsUtc(ms + de * 60000).replace('Z', '')}`,
+      `TZOFFSETFROM:${icsOffset(de)}`, `TZOFFSETTO:${icsOffset(a)}`, `END:${tipo}`];
+  };
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CAMPUS_TZ}`,
+    ...observancia(campusToUtc(desde, '00:00'), inicial, inicial),
+    ...cambios.flatMap(c => observancia(c.ms, c.de, c.a)),
+    'END:VTIMEZONE'
+  ];
+}
+
+// Primera fecha de la clase: su día de la semana a partir del inicio del semestre o de su alta
+function classStart(c, hoy) {
+  let base = SEMESTRE_INICIO;
+  if (!base) base = Types.ObjectId.isValid(c._id) ? campusNow(new Types.ObjectId(String(c._id)).getTimestamp()).fecha : hoy;
+  return addDays(base, (DIAS_SEMANA.indexOf(c.dia) - DIAS_SEMANA.indexOf(weekdayOf(base)) + 7) % 7);
+}
+
+function buildLabCalendar(lab, { reservas = [], clases = [], hoy = campusNow().fecha, ahora = new Date() } = {}) {
+  const dominio = new URL(PUBLIC_BASE_URL).hostname;
+  const lugar = [lab.nombre, lab.edificio, lab.piso && `piso ${lab.piso}`].filter(Boolean).join(', ');
+  const evento = (uid, inicio, fin, resumen, extra = []) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${dominio}`,
+    `DTSTAMP:${icsUtc(ahora)}`,
+    `DTSTART;TZID=${CAMPUS_TZ}:${inicio}`,
+    `DTEND;TZID=${CAMPUS_TZ}:${fin}`,
+    `SUMMARY:${icsEscape(resumen)}`,
+    `LOCATION:${icsEscape(lugar)}`,
+    ...extra,
+    'END:VEVENT'
+  ];
+
+  const lineas = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//UPIITA//Chatbot reservaciones//ES',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(lab.nombre)}`,
+    `X-WR-TIMEZONE:${CAMPUS_TZ}`
+  ];
+  const eventos = [];
+  const fechas = [hoy];
+  for (const r of reservas) {
+    eventos.push(...evento(`reserva-${r._id}`, icsLocal(r.fecha, r.inicio), icsLocal(r.fecha, r.fin), 'Reservado', ['STATUS:CONFIRMED']));
+    fechas.push(r.fecha);
+  }
+  // Cada clase se repite semanalmente desde su primera fecha hasta el fin del semestre
+  for (const c of clases) {
+    const fecha = classStart(c, hoy);
+    const hasta = SEMESTRE_FIN || addDays(fecha, CLASES_ICS_SEMANAS * 7 - 1);
+    const resumen = [c.materia || 'Clase', c.grupo].filter(Boolean).join(' · ');
+    eventos.push(...evento(`clase-${c._id}`, icsLocal(fecha, c.inicio), icsLocal(fecha, c.fin), resumen,
+      [`RRULE:FREQ=WEEKLY;UNTIL=${icsUtc(campusToUtc(hasta, '23:59'))}`]));
+    fechas.push(fecha, hasta);
+  }
+  fechas.sort();
+  lineas.push(...icsTimezone(fechas[0], fechas[fechas.length - 1]), ...eventos, 'END:VCALENDAR');
+  return lineas.map(icsFold).join('\r\n') + '\r\n';
+}
+
+mongoRouter.get('/laboratorios/:id/reservas.ics', async (req, res, next) => {
+  try {
+    const lab = await loadLab(req.params.id);
+    const hoy = campusNow().fecha;
+    const [reservas, clases] = await Promise.all([
+      Reserva.find({ laboratorio: lab._id, estado: 'aprobada', fecha: { $gte: addDays(hoy, -RESERVA_ICS_DIAS_ATRAS) } }).sort({ fecha: 1, inicio: 1 }).lean(),
+      req.query.clases === 'false' ? [] : Horario.find({ tipo: 'laboratorio', espacio: lab._id }).lean()
+    ]);
+    res.type('text/calendar; charset=utf-8')
+      .set('Content-Disposition', `inline; filename="${String(lab.codigo || lab._id).replace(/[^\w-]+/g, '_')}.ics"`)
+      .send(buildLabCalendar(lab, { reservas, clases: clases.sort(sortHorario), hoy }));
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Inventario de equipo y software por laboratorio
+// CRUD, inventario por laboratorio e importación CSV/JSON; /chat y /buscar lo usan
+// para "¿dónde hay impresoras 3D?"
+// =========================================================
+const EQUIPO_FIELDS = ['laboratorio', 'nombre', 'tipo', 'categoria', 'marca', 'modelo', 'cantidad', 'estado', 'aliases', 'notas', 'en'];
+const EQUIPO_TEXTOS = ['nombre', 'aliases', 'categoria', 'marca', 'modelo', 'en.nombre'];
+
+// `laboratorio` acepta ID, código o nombre; `aliases` también como "a|b|c"
+async function normalizeEquipoInput(body = {}) {
+  const out = { ...body };
+  if (out.laboratorio !== undefined && !/^[a-f\d]{24}$/i.test(String(out.laboratorio))) {
+    const lab = await findLabRef(out.laboratorio);
+    if (!lab) throw httpError(400, `No existe el laboratorio "${out.laboratorio}"`);
+    out.laboratorio = lab._id;
+  }
+  if (typeof out.aliases === 'string') out.aliases = out.aliases.split('|');
+  return out;
+}
+
+async function checkEquipo(doc) {
+  if (!(await Laboratorio.exists({ _id: doc.laboratorio }))) {
+    throw httpError(400, 'No existe el laboratorio referenciado en "laboratorio"');
+  }
+}
+
+mongoRouter.get('/equipos', async (req, res, next) => {
+  try {
+    const q = {};
+    if (req.query.laboratorio) {
+      const lab = await findLabRef(req.query.laboratorio);
+      if (!lab) throw httpError(400, 'Laboratorio desconocido', [String(req.query.laboratorio)]);
+      q.laboratorio = lab._id;
+    }
+    for (const [campo, valores] of [['tipo', EQUIPO_TIPOS], ['estado', EQUIPO_ESTADOS]]) {
+      if (!req.query[campo]) continue;
+      const v = String(req.query[campo]).toLowerCase();
+      if (!valores.includes(v)) throw httpError(400, `Parámetro "${campo}" inválido`, valores);
+      q[campo] = v;
+    }
+    if (req.query.categoria) q.categoria = i18nLike_chat(req.query.categoria);
+    if (req.query.q) {
+      const rx = i18nLike_chat(String(req.query.q).trim());
+      q.$or = EQUIPO_TEXTOS.map(f => ({ [f]: rx }));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50',10),1),200);
+    const page  = Math.max(parseInt(req.query.page || '1',10),1);
+    const skip  = (page - 1) * limit;
+
+    const [ total, data ] = await Promise.all([
+      Equipo.countDocuments(q),
+      Equipo.find(q).sort({ laboratorio: 1, nombre: 1 }).skip(skip).limit(limit).lean()
+    ]);
+
+    res.json({ page, limit, total, totalPages: Math.ceil(total/limit), data });
+  } catch (e) { next(e); }
+});
+
+mongoRouter.get('/equipos/:id', async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Equipo.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json(doc);
+  } catch (e) { next(e); }
+});
+
+mongoRouter.get('/laboratorios/:id/equipos', async (req, res, next) => {
+  try {
+    const lab = await loadLab(req.params.id);
+    const data = await Equipo.find({ laboratorio: lab._id }).sort({ tipo: 1, nombre: 1 }).lean();
+    res.json({ laboratorio: { _id: lab._id, codigo: lab.codigo, nombre: lab.nombre }, total: data.length, data });
+  } catch (e) { next(e); }
+});
+
+// El nombre es único dentro de cada laboratorio
+const equipoWrite = writeHandlers(Equipo, {
+  clave: 'nombre',
+  scope: ['laboratorio'],
+  fields: EQUIPO_FIELDS,
+  check: checkEquipo,
+  onChange: onCatalogChange()
+});
+const withEquipoInput = (handler) => async (req, res, next) => {
+  try { req.body = await normalizeEquipoInput(req.body); }
+  catch (e) { return next(e); }
+  handler(req, res, next);
+};
+mongoRouter.post('/equipos',       requireAdmin, withEquipoInput(equipoWrite.create));
+mongoRouter.put('/equipos/:id',    requireAdmin, withEquipoInput(equipoWrite.replace));
+mongoRouter.patch('/equipos/:id',  requireAdmin, withEquipoInput(equipoWrite.update));
+mongoRouter.delete('/equipos/:id', requireAdmin, equipoWrite.remove);
+
+// Fila de CSV → equipo: `aliases` separados por "|" y el nombre en inglés en la columna `en.nombre`
+function csvRowToEquipo(row) {
+  const { aliases, 'en.nombre': enNombre, ...resto } = row;
+  const out = csvRowToData(resto);
+  if (aliases && aliases.trim()) out.aliases = aliases.split('|');
+  if (enNombre && enNombre.trim()) out.en = { nombre: enNombre.trim() };
+  return out;
+}
+
+const equipoKey = (lab, nombre) => `${lab}|${normalize(nombre)}`;
+
+/**
+ * Igual que planImport, pero cada fila cita su laboratorio (ID, código o nombre)
+ * y se empata por laboratorio + nombre sin acentos ni mayúsculas.
+ */
+async function planEquipoImport(registros) {
+  const labPor = new Map();
+  for (const l of await Laboratorio.find({}, { codigo: 1, nombre: 1 }).lean()) {
+    for (const k of [String(l._id), normalize(l.codigo), normalize(l.nombre)]) if (k && !labPor.has(k)) labPor.set(k, l);
+  }
+  const existentes = new Map();
+  for (const d of await Equipo.find({}).lean()) existentes.set(equipoKey(d.laboratorio, d.nombre), d);
+
+  const plan = { crear: [], actualizar: [], sinCambios: [], invalidos: [] };
+  const vistos = new Map();
+  registros.forEach((registro, i) => {
+    const fila = i + 1;
+    if (!registro || typeof registro !== 'object' || registro.__error) {
+      plan.invalidos.push({ fila, errores: [{ mensaje: (registro && registro.__error) || 'Registro inválido' }] });
+      return;
+    }
+    const data = pickFields(registro, EQUIPO_FIELDS);
+    if (typeof data.aliases === 'string') data.aliases = data.aliases.split('|');
+    const ref = String(data.laboratorio ?? '').trim();
+    const lab = ref && (labPor.get(ref) || labPor.get(normalize(ref)));
+    if (!lab) {
+      plan.invalidos.push({ fila, nombre: data.nombre, errores: [{ campo: 'laboratorio', mensaje: ref ? `No existe el laboratorio "${ref}"` : 'Falta el laboratorio' }] });
+      return;
+    }
+    data.laboratorio = lab._id;
+    const base = { fila, laboratorio: lab.codigo, nombre: data.nombre };
+
+    const key = data.nombre ? equipoKey(lab._id, data.nombre) : '';
+    if (key && vistos.has(key)) {
+      plan.invalidos.push({ ...base, errores: [{ campo: 'nombre', mensaje: `Repetido en la fila ${vistos.get(key)}` }] });
+      return;
+    }
+    if (key) vistos.set(key, fila);
+
+    const actual = key ? existentes.get(key) : null;
+    const doc = new Equipo(actual ? { ...pickFields(actual, EQUIPO_FIELDS), ...data } : data);
+    const err = doc.validateSync();
+    if (err) {
+      plan.invalidos.push({ ...base, errores: Object.values(err.errors).map(x => ({ campo: x.path, mensaje: x.message })) });
+      return;
+    }
+    if (!actual) {
+      plan.crear.push({ ...base, data: doc.toObject({ versionKey: false }) });
+      return;
+    }
+    const cambios = {};
+    const nuevo = doc.toObject();
+    for (const f of Object.keys(data)) {
+      if (!sameValue(actual[f], nuevo[f])) cambios[f] = { antes: actual[f] ?? null, despues: nuevo[f] };
+    }
+    const fijo = { ...base, id: String(actual._id) };
+    if (Object.keys(cambios).length) plan.actualizar.push({ ...fijo, cambios });
+    else plan.sinCambios.push(fijo);
+  });
+  return plan;
+}
+
+async function applyEquipoImport(plan) {
+  const ops = [
+    ...plan.crear.map(x => { const { _id, ...doc } = x.data; return { insertOne: { document: doc } }; }),
+    ...plan.actualizar.map(x => ({
+      updateOne: { filter: { _id: x.id }, update: { $set: Object.fromEntries(Object.entries(x.cambios).map(([f, c]) => [f, c.despues])) } }
+    }))
+  ];
+  if (ops.length) {
+    await Equipo.bulkWrite(ops, { ordered: true });
+    invalidateSearchCache();
+  }
+}
+
+// CSV (text/csv), arreglo JSON o { equipos: [...] }; dryRun=true sólo reporta, sin dryRun es todo o nada
+mongoRouter.post('/equipos/importar', requireAdmin, adminJsonBody, csvBody, async (req, res, next) => {
+  try {
+    const dryRun = ['1', 'true', 'si', 'sí'].includes(String(req.query.dryRun ?? (req.body && req.body.dryRun) ?? '').toLowerCase());
+    let registros;
+    if (typeof req.body === 'string') {
+      registros = parseCsv(req.body).map(row => {
+        try { return csvRowToEquipo(row); }
+        catch (e) { return { __error: e.message }; }
+      });
+    } else registros = Array.isArray(req.body) ? req.body : (req.body && req.body.equipos);
+    if (!Array.isArray(registros) || !registros.length) throw httpError(400, 'No se enviaron registros (CSV, arreglo JSON o { equipos })');
+
+    const plan = await planEquipoImport(registros);
+    const reporte = { resumen: resumenPlan(plan), ...plan, crear: plan.crear.map(({ data, ...x }) => x) };
+    if (!dryRun) {
+      if (plan.invalidos.length) throw httpError(400, `Hay ${plan.invalidos.length} registro(s) inválido(s); no se importó nada`, reporte);
+      await applyEquipoImport(plan);
+    }
+    res.json({ dryRun, ...reporte });
+  } catch (e) { next(fromMongooseError(e)); }
+});
+
+// =========================================================
+// Preguntas de horario en /chat
+// "¿qué hay ahora en el 126?", "¿qué clase hay el lunes a las 10 en el L320?",
+// "¿qué salones están libres en el edificio 3 a las 14:00?", "¿está libre la sala de cómputo 3 el jueves a las 10?"
+// =========================================================
+const FREE_Q_RX = /\b(libres?|desocupad[oa]s?|vacios?|disponibles?)\b/;
+const SCHEDULE_Q_RX = new RegExp(`\\bque\\s+(hay|clase|materia|toca|tienen?)\\b|\\bhorario\\b|${FREE_Q_RX.source}`);
+// Lo que queda de "¿qué salones hay libres en el edificio 3?" sin nombrar un espacio concreto
+const FREE_LIST_RX = /\b(?:edificio\s+(?:\d|central|pesados?)|piso\s+\d+|que|cuales|hay|algun[oa]?s?|salones|aulas|salas|laboratorios|en|el|la|los|las|de|del|a|al)\b/g;
+
+// Día y hora de la pregunta; `fecha` es la próxima con ese día (hoy incluido), "mañana" o "22/10"
+function parseChatWhen(t) {
+  const ahora = campusNow();
+  let { hora, fecha } = ahora;
+  const mFecha = t.match(/\b(\d{1,2}\/\d{1,2}(?:\/\d{4})?)\b/);
+  const mRel = t.match(/\b(hoy|pasado\s+manana|(?<!\bla\s)manana)\b/);
+  const mDia = t.match(/\b(lunes|martes|miercoles|jueves|viernes|sabado|domingo)\b/);
+  if (mFecha && parseFecha(mFecha[1], ahora.fecha)) fecha = parseFecha(mFecha[1], ahora.fecha);
+  else if (mRel) fecha = addDays(ahora.fecha, { hoy: 0, manana: 1 }[mRel[1]] ?? 2);
+  else if (mDia) fecha = addDays(ahora.fecha, (DIAS_SEMANA.indexOf(mDia[1]) - DIAS_SEMANA.indexOf(ahora.dia) + 7) % 7);
+  const mHora = t.match(/\ba\s+las?\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm|hrs?|h)?)\b/) || t.match(/\b(\d{1,2}:\d{2})\b/);
+  if (mHora) hora = parseHora(mHora[1]) || hora;
+  const explicito = Boolean(mDia || mHora || mFecha || (mRel && mRel[1] !== 'hoy'));
+  const resto = t
+    .replace(/\ba\s+las?\s+\d{1,2}(?::\d{2})?\s*(?:am|pm|hrs?|h)?\b/g, ' ')
+    .replace(/\b\d{1,2}:\d{2}\b|\b\d{1,2}\/\d{1,2}(?:\/\d{4})?\b/g, ' ')
+    .replace(/\b(?:en|de|por)\s+la\s+(?:manana|tarde|noche)\b/g, ' ')
+    .replace(/\b(lunes|martes|miercoles|jueves|viernes|sabado|domingo|hoy|pasado\s+manana|manana|ahora|ahorita|en este momento)\b/g, ' ');
+  return { dia: weekdayOf(fecha), hora, fecha, explicito, resto };
+}
+
+/**
+ * Responde preguntas de horario; devuelve null si `q` no es una de ellas.
+ * La forma de la respuesta es la de searchLocations más un `texto` ya armado.
+ */
+async function answerScheduleQuestion(q, { source = mongoDataSource, lang = IDIOMA_BASE } = {}) {
+  const t = normalize(q).replace(/[¿?¡!]/g, ' ');
+  // Una fuente sin horarios no puede contestar: la pregunta sigue como búsqueda
+  if (!SCHEDULE_Q_RX.test(t) || !source.schedules) return null;
+  const { dia, hora, fecha, explicito, resto } = parseChatWhen(t);
+  const cuando = msg(lang, explicito ? 'horario.cuandoExplicito' : 'horario.cuandoAhora', { dia: msg(lang, `horario.dias.${dia}`), hora });
+  const libre = FREE_Q_RX.test(t);
+  const entidad = resto
+    .replace(/\bque\s+(hay|clase|materia|toca|tienen?)\b|\b(?:donde\s+)?hay\b|\bhorario\b|\b(?:esta|estan|se\s+encuentra)\b/g, ' ')
+    .replace(new RegExp(FREE_Q_RX.source, 'g'), ' ')
+    .replace(/\s+/g, ' ').trim();
+
+  // Salones libres (sin un espacio concreto)
+  if (libre && !entidad.replace(FREE_LIST_RX, ' ').trim()) {
+    const mEd = resto.match(/\bedificio\s+(\d|central|pesados?)\b/);
+    const mPiso = resto.match(/\bpiso\s+(\d+)\b/);
+    const libres = await findFreeRooms({ edificio: mEd && mEd[1], piso: mPiso && mPiso[1], dia, hora }, source);
+    const resultados = libres.slice(0, 5).map(s => ({ tipo: 'salon', ...s, score: 1 }));
+    const texto = libres.length
+      ? [msg(lang, 'horario.libres', { cuando, n: libres.length }), ...libres.slice(0, 10).map(s =>
+          s.libreHasta ? msg(lang, 'horario.libreHasta', { nombre: s.nombre, hora: s.libreHasta }) : s.nombre)].join('\n')
+      : msg(lang, 'horario.sinLibres', { cuando });
+    return { resultados, sugerencias: [], texto };
+  }
+
+  // ¿Qué hay en X? / ¿Está libre X?
+  if (!entidad) return null;
+  const { resultados, sugerencias } = await searchLocations(entidad, { limit: 1, source });
+  const espacio = resultados[0];
+  if (!espacio) return { resultados, sugerencias };
+  // Resuelto por el inventario ("¿hay osciloscopios disponibles?"): se pregunta por el equipo,
+  // no por el laboratorio; lo contesta la búsqueda con las tarjetas de equipo
+  if (espacio.equipos) return null;
+
+  // Clases de ese día de la semana y, en laboratorios, las reservaciones de esa fecha
+  const [clases, reservas] = await Promise.all([
+    source.schedules(espacio.tipo, [espacio._id], dia),
+    espacio.tipo === 'laboratorio' && source.reservations ? source.reservations(espacio._id, fecha) : []
+  ]);
+  const ocupaciones = [...clases, ...reservas.map(r => ({ ...r, reserva: true }))].sort((a, b) => a.inicio.localeCompare(b.inicio));
+  const actual = ocupaciones.find(c => c.inicio <= hora && c.fin > hora);
+  const siguiente = ocupaciones.find(c => c.inicio > hora);
+  const describe = (c) => (c.reserva
+    ? msg(lang, c.estado === 'pendiente' ? 'horario.reservaPendiente' : 'horario.reserva')
+    : [c.materia || msg(lang, 'horario.clase'), c.grupo && msg(lang, 'horario.grupo', c),
+      c.profesor && msg(lang, 'horario.profesor', c)].filter(Boolean).join(', ')) + ` (${c.inicio}–${c.fin})`;
+
+  let texto;
+  if (actual) texto = msg(lang, libre ? 'horario.ocupado' : 'horario.hay', { nombre: espacio.nombre, cuando, clase: describe(actual) });
+  else texto = msg(lang, 'horario.libre', { nombre: espacio.nombre, cuando }) +
+    (siguiente ? ` ${msg(lang, 'horario.proxima', { clase: describe(siguiente) })}` : '');
+  return { resultados: [espacio], sugerencias: [], texto };
+}
+
+// =========================================================
+// Navegación peatonal por el campus
+// Grafo de edificios, entradas, escaleras y elevadores (data/grafo-campus.json)
+// con rutas por Dijkstra e instrucciones paso a paso en español
+// =========================================================
+const CAMPUS_GRAPH_PATH = process.env.CAMPUS_GRAPH_PATH || path.join(__dirname, 'data', 'grafo-campus.json');
+
+// Convierte piso textual ("PB", "Piso 2", "planta baja") en número; PB = piso de la entrada
+function parsePiso(piso, entradaPiso = 1) {
+  const t = normalize(piso);
+  if (!t) return null;
+  if (/\b(pb|planta baja|baja)\b/.test(t)) return entradaPiso;
+  const m = t.match(/\d+/);
+  return m ? parseInt(m[0], 10) : null;
+}
+
+/**
+ * Construye el grafo en memoria a partir del JSON: agrega por edificio una entrada,
+ * un nodo por piso y las aristas de escalera/elevador entre pisos consecutivos.
+ */
+function buildCampusGraph(data) {
+  const nodos = new Map();
+  const adj = new Map();
+  const addNode = (n) => { nodos.set(n.id, n); if (!adj.has(n.id)) adj.set(n.id, []); };
+  const addEdge = (e) => {
+    if (!nodos.has(e.desde) || !nodos.has(e.hasta)) throw new Error(`Arista con nodo inexistente: ${e.desde} → ${e.hasta}`);
+    adj.get(e.desde).push({ to: e.hasta, edge: e, forward: true });
+    if (e.bidireccional !== false) adj.get(e.hasta).push({ to: e.desde, edge: e, forward: false });
+  };
+
+  const edificios = new Map();
+  for (const ed of data.edificios || []) {
+    edificios.set(ed.id, ed);
+    addNode({
+      id: `${ed.id}-entrada`, tipo: 'entrada', edificio: ed.id, piso: ed.entradaPiso, coordenadas: ed.coordenadas,
+      ...localizedNames(l => msg(l, 'ruta.nodoEntrada', { articulo: ed.articulo || 'del', edificio: localized(ed, 'nombre', l) }))
+    });
+    for (const p of ed.pisos) {
+      addNode({
+        id: `${ed.id}-piso-${p}`, tipo: 'pasillo', edificio: ed.id, piso: p,
+        ...localizedNames(l => msg(l, 'ruta.nodoPiso', { edificio: localized(ed, 'nombre', l), piso: p }))
+      });
+    }
+  }
+  for (const n of data.nodos || []) addNode(n);
+
+  for (const ed of data.edificios || []) {
+    addEdge({ desde: `${ed.id}-entrada`, hasta: `${ed.id}-piso-${ed.entradaPiso}`, distancia: 5, tipo: 'pasillo' });
+    const pisos = [...ed.pisos].sort((a, b) => a - b);
+    for (let i = 1; i < pisos.length; i++) {
+      const desde = `${ed.id}-piso-${pisos[i - 1]}`;
+      const hasta = `${ed.id}-piso-${pisos[i]}`;
+      addEdge({ desde, hasta, distancia: ed.metrosPorPiso || 12, tipo: 'escalera' });
+      // El elevador suma la espera, así las escaleras ganan salvo que se eviten
+      if (ed.elevador) addEdge({ desde, hasta, distancia: (ed.metrosPorPiso || 12) + 8, tipo: 'elevador' });
+    }
+  }
+  for (const e of data.aristas || []) addEdge(e);
+
+  return {
+    nodos, adj, edificios,
+    velocidadMs: data.velocidadMs || 1.2,
+    origenPorDefecto: data.origenPorDefecto || null
+  };
+}
+
+let CAMPUS_GRAPH = null;
+try {
+  CAMPUS_GRAPH = buildCampusGraph(JSON.parse(fs.readFileSync(CAMPUS_GRAPH_PATH, 'utf8')));
+} catch (e) {
+  console.warn('! No se pudo cargar el grafo del campus:', e.message);
+}
+
+// Dijkstra simple (el grafo tiene decenas de nodos, no hace falta heap).
+// Sin `destino` calcula las distancias a todos los nodos alcanzables.
+function dijkstra(graph, origen, { destino = null, evitar = [] } = {}) {
+  const dist = new Map([[origen, 0]]);
+  const prev = new Map();
+  const pendientes = new Set(graph.nodos.keys());
+  while (pendientes.size) {
+    let u = null;
+    for (const n of pendientes) if (dist.has(n) && (u === null || dist.get(n) < dist.get(u))) u = n;
+    if (u === null || u === destino) break;
+    pendientes.delete(u);
+    for (const paso of graph.adj.get(u) || []) {
+      if (evitar.includes(paso.edge.tipo)) continue;
+      const alt = dist.get(u) + paso.edge.distancia;
+      if (!dist.has(paso.to) || alt < dist.get(paso.to)) {
+        dist.set(paso.to, alt);
+        prev.set(paso.to, { from: u, ...paso });
+      }
+    }
+  }
+  return { dist, prev };
+}
+
+function shortestPath(graph, origen, destino, { evitar = [] } = {}) {
+  const { dist, prev } = dijkstra(graph, origen, { destino, evitar });
+  if (!dist.has(destino)) return null;
+  const tramos = [];
+  for (let n = destino; n !== origen; n = prev.get(n).from) tramos.unshift(prev.get(n));
+  return { distancia: dist.get(destino), tramos };
+}
+
+const lowerFirst = (s) => s.charAt(0).toLowerCase() + s.slice(1);
+
+// Instrucción de un tramo; las escaleras/elevadores seguidos se agrupan después.
+// Las instrucciones propias de una arista sólo se usan si existen en ese idioma.
+function describeTramo(graph, t, lang = IDIOMA_BASE) {
+  const e = t.edge;
+  const from = graph.nodos.get(t.from);
+  const to = graph.nodos.get(t.to);
+  const textos = lang === IDIOMA_BASE ? e : (e[lang] || {});
+  const propia = t.forward ? textos.instruccion : textos.instruccionInversa;
+  if (propia) return propia;
+  const destino = localized(to, 'nombre', lang);
+  // "Sal por la entrada del…": en español el nombre de la entrada va en minúscula a media frase
+  const entrada = lang === IDIOMA_BASE ? lowerFirst(destino) : destino;
+  if (e.tipo === 'escalera' || e.tipo === 'elevador') {
+    const clave = (to.piso > from.piso ? 'sube' : 'baja') + (e.tipo === 'elevador' ? 'Elevador' : 'Escaleras');
+    return msg(lang, `ruta.${clave}`, { piso: to.piso });
+  }
+  if (e.tipo === 'pasillo') {
+    return to.tipo === 'entrada' ? msg(lang, 'ruta.salPor', { entrada }) : msg(lang, 'ruta.siguePasillo', { destino });
+  }
+  return to.tipo === 'entrada' ? msg(lang, 'ruta.caminaHastaEntrada', { entrada }) : msg(lang, 'ruta.caminaHasta', { destino });
+}
+
+function buildSteps(graph, tramos, lang) {
+  const pasos = [];
+  for (const t of tramos) {
+    const last = pasos[pasos.length - 1];
+    const vertical = t.edge.tipo === 'escalera' || t.edge.tipo === 'elevador';
+    if (vertical && last && last.tipo === t.edge.tipo && last.sentido === Math.sign(graph.nodos.get(t.to).piso - graph.nodos.get(t.from).piso)) {
+      last.distancia += t.edge.distancia;
+      last.instruccion = describeTramo(graph, t, lang);
+      continue;
+    }
+    pasos.push({
+      tipo: t.edge.tipo,
+      sentido: vertical ? Math.sign(graph.nodos.get(t.to).piso - graph.nodos.get(t.from).piso) : 0,
+      instruccion: describeTramo(graph, t, lang),
+      distancia: t.edge.distancia
+    });
+  }
+  return pasos.map(({ instruccion, distancia, tipo }) => ({ instruccion, distancia, tipo }));
+}
+
+function buildingIdFor(graph, text) {
+  const bases = edificioBasenames(text);
+  for (const ed of graph.edificios.values()) if (bases.includes(ed.imagen)) return ed.id;
+  return null;
+}
+
+// Edificio del grafo al que pertenece un salón/laboratorio/lugar
+const buildingForPlace = (graph, lugar) => buildingIdFor(graph, lugar.edificio) || buildingIdFor(graph, lugar.ubicacion);
+
+// Nombre y alias de un nodo/edificio del grafo en todos los idiomas
+const graphNames = (x) => [x, ...IDIOMAS.map(l => x[l]).filter(Boolean)]
+  .flatMap(v => [v.nombre, ...(v.alias || [])]).filter(Boolean);
+
+// Edificio del grafo por nombre o alias exacto ("edificio 3", "heavy labs") o por número
+function findGraphBuilding(graph, texto) {
+  const t = normalize(texto);
+  for (const ed of graph.edificios.values()) if (graphNames(ed).some(n => normalize(n) === t)) return ed;
+  const edId = /^edificio\b/.test(t) ? buildingIdFor(graph, t) : null;
+  return edId ? graph.edificios.get(edId) : null;
+}
+
+// Nodo del grafo (piso del edificio) donde está un salón/laboratorio/lugar
+function nodeForPlace(graph, lugar) {
+  const edId = buildingForPlace(graph, lugar);
+  if (!edId) return null;
+  const ed = graph.edificios.get(edId);
+  const piso = parsePiso(lugar.piso, ed.entradaPiso);
+  return graph.nodos.has(`${edId}-piso-${piso}`) ? `${edId}-piso-${piso}` : `${edId}-entrada`;
+}
+
+/**
+ * Resuelve un punto de la ruta: nodo/edificio por nombre o alias, o bien un
+ * salón/laboratorio (se llega a su edificio y piso). Devuelve null si no se reconoce.
+ */
+async function resolveRoutePoint(graph, text, { source, lang = IDIOMA_BASE } = {}) {
+  const t = normalize(text).replace(/^(el|la|los|las)\s+/, '');
+  if (!t) return null;
+
+  // Nombre o alias en cualquier idioma; se responde con el nombre en `lang`
+  const coincide = (x) => graphNames(x).some(a => normalize(a) === t);
+
+  if (graph.nodos.has(t)) return { nodo: t, nombre: localized(graph.nodos.get(t), 'nombre', lang) };
+  for (const n of graph.nodos.values()) {
+    if (coincide(n)) return { nodo: n.id, nombre: localized(n, 'nombre', lang) };
+  }
+  for (const ed of graph.edificios.values()) {
+    if (coincide(ed)) return { nodo: `${ed.id}-entrada`, nombre: localized(ed, 'nombre', lang) };
+  }
+
+  const { resultados } = await searchLocations(text, { limit: 1, source });
+  const lugar = resultados[0];
+  if (lugar && lugar.score >= SCORE_THRESHOLD) {
+    const nodo = nodeForPlace(graph, lugar);
+    if (nodo) return { nodo, nombre: lugar.nombre, lugar };
+  }
+
+  const edId = buildingIdFor(graph, t);
+  if (edId) return { nodo: `${edId}-entrada`, nombre: localized(graph.edificios.get(edId), 'nombre', lang) };
+  return null;
+}
+
+async function planRoute(desdeTxt, hastaTxt, opciones = {}) {
+  const { lang = IDIOMA_BASE } = opciones;
+  const graph = CAMPUS_GRAPH;
+  if (!graph) throw httpError(503, msg(lang, 'ruta.sinGrafo'));
+  const desde = desdeTxt ? await resolveRoutePoint(graph, desdeTxt, opciones)
+    : (graph.origenPorDefecto && { nodo: graph.origenPorDefecto, nombre: localized(graph.nodos.get(graph.origenPorDefecto), 'nombre', lang) });
+  if (!desde) throw httpError(404, msg(lang, 'ruta.sinOrigen', { texto: desdeTxt }));
+  const hasta = await resolveRoutePoint(graph, hastaTxt, opciones);
+  if (!hasta) throw httpError(404, msg(lang, 'ruta.sinDestino', { texto: hastaTxt }));
+
+  // Ruta sin escaleras: el destino tampoco puede requerirlas (entrada con escalones, piso sin elevador)
+  const accesible = (opciones.evitar || []).includes('escalera');
+  if (accesible && hasta.lugar && placeAccessibility(hasta.lugar).sinEscalones === false) {
+    throw httpError(404, msg(lang, 'ruta.sinCaminoAccesible'));
+  }
+  const camino = shortestPath(graph, desde.nodo, hasta.nodo, opciones);
+  if (!camino) throw httpError(404, msg(lang, accesible ? 'ruta.sinCaminoAccesible' : 'ruta.sinCamino'));
+
+  const pasos = buildSteps(graph, camino.tramos, lang);
+  if (hasta.lugar) {
+    const nombre = hasta.lugar.nombre + (hasta.lugar.ubicacion ? ` (${hasta.lugar.ubicacion})` : '');
+    pasos.push({ instruccion: msg(lang, 'ruta.busca', { nombre }), distancia: 0, tipo: 'llegada' });
+  }
+  const distancia = Math.round(camino.distancia);
+  return {
+    desde: { nodo: desde.nodo, nombre: desde.nombre },
+    hasta: { nodo: hasta.nodo, nombre: hasta.nombre, lugar: hasta.lugar ? { tipo: hasta.lugar.tipo, id: String(hasta.lugar._id), nombre: hasta.lugar.nombre } : undefined },
+    distancia,
+    tiempoMin: Math.max(1, Math.round(distancia / graph.velocidadMs / 60)),
+    accesible,
+    pasos,
+    _destino: hasta.lugar || null
+  };
+}
+
+const publicRoute = ({ _destino, ...ruta }) => ruta;
+
+router.get('/ruta', async (req, res, next) => {
+  try {
+    const lang  = requestLang(req);
+    const desde = toSpanishQuery(limitText(req.query.desde, 'desde'), lang);
+    const hasta = toSpanishQuery(limitText(req.query.hasta, 'hasta'), lang);
+    if (!hasta) return res.status(400).json({ error: 'Falta "hasta"' });
+    // ?accesible=true → sin escaleras (elevadores y rampas)
+    const evitar = ['true', '1', 'si'].includes(normalize(req.query.accesible)) ? ['escalera'] : [];
+    res.json(publicRoute(await planRoute(desde, hasta, { source: req.app.locals.source, lang, evitar })));
+  } catch (e) { next(e); }
+});
+
+const routeVars = (ruta, lang) => ({
+  desde: ruta.desde.nombre, hasta: ruta.hasta.nombre, distancia: ruta.distancia, minutos: ruta.tiempoMin,
+  accesible: ruta.accesible ? msg(lang, 'ruta.sinEscaleras') : ''
+});
+
+function buildRouteText(ruta, lang = IDIOMA_BASE) {
+  return [
+    msg(lang, 'ruta.resumen', routeVars(ruta, lang)),
+    ...ruta.pasos.map((p, i) => `${i + 1}. ${p.instruccion}`)
+  ].join('\n');
+}
+
+function buildRouteCard(ruta, lang = IDIOMA_BASE) {
+  const card = [];
+  const img = ruta._destino ? pickBuildingImage(ruta._destino) : '';
+  if (img) card.push({ type: 'image', rawUrl: img, accessibilityText: ruta.hasta.nombre });
+  card.push({
+    type: 'description',
+    title: msg(lang, 'ruta.titulo', routeVars(ruta, lang)),
+    text: [msg(lang, 'ruta.duracion', routeVars(ruta, lang)), ...ruta.pasos.map((p, i) => `${i + 1}. ${p.instruccion}`)]
+  });
+  return [card];
+}
+
+// Preguntas que no son búsqueda directa de un lugar: rutas, horarios, "el más cercano" y accesibilidad
+async function answerDirect(q, opciones = {}) {
+  return await answerRouteQuestion(q, opciones) || await answerNearestQuestion(q, opciones) ||
+    await answerScheduleQuestion(q, opciones) || await answerAccessibilityQuestion(q, opciones);
+}
+
+// "¿cómo llego de X a Y?", "cómo llego al laboratorio CIM" (origen por defecto)
+const ROUTE_Q_RX = /\bcomo\s+(?:llego|llegar|voy|ir|me\s+voy)\b\s*(?:(?:de|del|desde)\s+(.+?)\s+)?(?:a|al|hasta|hacia)\s+(.+)$/;
+
+// "¿cómo llego en silla de ruedas / sin escaleras a …?" pide la ruta accesible
+const ROUTE_ACCESIBLE_RX = /\b(?:(?:en|con)\s+silla\s+de\s+ruedas|sin\s+(?:usar\s+)?(?:escaleras|escalones)|por\s+(?:una\s+)?ruta\s+accesible)\b/;
+
+async function answerRouteQuestion(q, { source, lang } = {}) {
+  const t = normalize(q).replace(/[¿?¡!]/g, ' ').replace(/\s+/g, ' ').trim();
+  const accesible = ROUTE_ACCESIBLE_RX.test(t);
+  const m = t.replace(ROUTE_ACCESIBLE_RX, ' ').replace(/\s+/g, ' ').trim().match(ROUTE_Q_RX);
+  if (!m) return null;
+  try {
+    const ruta = await planRoute(m[1] || '', m[2], { source, lang, evitar: accesible ? ['escalera'] : [] });
+    return {
+      resultados: ruta._destino ? [ruta._destino] : [],
+      sugerencias: [],
+      texto: buildRouteText(ruta, lang),
+      richContent: buildRouteCard(ruta, lang),
+      ruta: publicRoute(ruta)
+    };
+  } catch (e) {
+    if (!e.status || e.status >= 500) throw e;
+    return { resultados: [], sugerencias: [], texto: e.message + '.' };
+  }
+}
+
+// =========================================================
+// Planos de piso con el espacio resaltado
+// CRUD de planos y render SVG en GET /mapas/render/:tipo/:id.svg
+// =========================================================
+const PLANO_FIELDS = ['edificio', 'piso', 'ancho', 'alto', 'fondo', 'trazos'];
+
+// Claves canónicas de edificio (mismos nombres que las imágenes de mapas/) y de piso
+function buildingKey(edificio) {
+  return edificioBasenames(edificio)[0] || normalize(edificio);
+}
+function floorKey(piso) {
+  const n = parsePiso(piso);
+  return n === null ? normalize(piso) : String(n);
+}
+
+const hasPlanoPos = (x) => Boolean(x && x.plano && ((x.plano.poligono && x.plano.poligono.length) || Number.isFinite(x.plano.x)));
+
+// Pisos con plano cargado ("edificio|piso"); se recarga al arrancar y tras cada escritura de /planos
+let PLANO_KEYS = new Set();
+const planoKey = (edificio, piso) => `${buildingKey(edificio)}|${floorKey(piso)}`;
+
+async function reloadPlanoKeys() {
+  const docs = await Plano.find({}, { edificio: 1, piso: 1 }).lean();
+  // El pre('validate') de Plano ya guarda edificio/piso en forma canónica
+  PLANO_KEYS = new Set(docs.map(d => `${d.edificio}|${d.piso}`));
+  return PLANO_KEYS.size;
+}
+
+// URL del plano resaltado para las tarjetas; vacío si el espacio no tiene coordenadas
+// o su piso no tiene plano (las tarjetas usan entonces la imagen del edificio)
+function floorPlanUrl(x) {
+  if (!x || !x._id || !hasPlanoPos(x) || !PLANO_KEYS.has(planoKey(x.edificio, x.piso))) return '';
+  return `${PUBLIC_BASE_URL}/mapas/render/${x.tipo || 'laboratorio'}/${x._id}.svg`;
+}
+
+const xmlEscape = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+function planoCenter(pos) {
+  if (pos.poligono && pos.poligono.length) {
+    const n = pos.poligono.length;
+    return pos.poligono.reduce(([cx, cy], [x, y]) => [cx + x / n, cy + y / n], [0, 0]);
+  }
+  return [pos.x, pos.y];
+}
+
+function planoShape(pos, attrs) {
+  if (pos.poligono && pos.poligono.length) {
+    return `<polygon points="${pos.poligono.map(p => p.join(',')).join(' ')}" ${attrs}/>`;
+  }
+  return `<circle cx="${pos.x}" cy="${pos.y}" r="12" ${attrs}/>`;
+}
+
+/**
+ * Genera el SVG del plano: fondo opcional, trazos de muros, los demás espacios del
+ * piso en gris y el espacio objetivo resaltado con su nombre.
+ */
+function renderFloorPlanSvg(plano, objetivo, vecinos = []) {
+  const { ancho: w, alto: h } = plano;
+  const fontSize = Math.max(10, Math.round(Math.min(w, h) / 40));
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${w} ${h}" width="${w}" height="${h}" font-family="sans-serif">`,
+    `<title>${xmlEscape(objetivo.nombre)}</title>`,
+    `<rect width="${w}" height="${h}" fill="#ffffff"/>`
+  ];
+  if (plano.fondo) out.push(`<image href="${xmlEscape(toDirectImage(plano.fondo))}" width="${w}" height="${h}" preserveAspectRatio="xMidYMid meet"/>`);
+  for (const d of plano.trazos || []) out.push(`<path d="${xmlEscape(d)}" fill="none" stroke="#555" stroke-width="2"/>`);
+
+  for (const v of vecinos) {
+    if (!hasPlanoPos(v)) continue;
+    const [cx, cy] = planoCenter(v.plano);
+    out.push(planoShape(v.plano, 'fill="#e9ecef" stroke="#adb5bd" stroke-width="1"'));
+    out.push(`<text x="${cx}" y="${cy}" font-size="${Math.round(fontSize * 0.7)}" fill="#6c757d" text-anchor="middle" dominant-baseline="middle">${xmlEscape(v.numero || v.codigo || '')}</text>`);
+  }
+
+  if (hasPlanoPos(objetivo)) {
+    const [cx, cy] = planoCenter(objetivo.plano);
+    out.push(planoShape(objetivo.plano, 'fill="#e63946" fill-opacity="0.55" stroke="#b00020" stroke-width="3"'));
+    out.push(`<text x="${cx}" y="${cy}" font-size="${fontSize}" font-weight="bold" fill="#1d1d1d" stroke="#ffffff" stroke-width="3" paint-order="stroke" text-anchor="middle" dominant-baseline="middle">${xmlEscape(objetivo.nombre)}</text>`);
+  } else {
+    out.push(`<text x="${w / 2}" y="${fontSize * 2}" font-size="${fontSize}" fill="#b00020" text-anchor="middle">${xmlEscape(objetivo.nombre)}: ubicación no registrada en el plano</text>`);
+  }
+
+  out.push(`<text x="${w - 8}" y="${h - 8}" font-size="${Math.round(fontSize * 0.8)}" fill="#333" text-anchor="end">${xmlEscape(objetivo.edificio || '')} · Piso ${xmlEscape(objetivo.piso || 's/d')}</text>`);
+  out.push('</svg>');
+  return out.join('\n');
+}
+
+mongoRouter.get('/mapas/render/:tipo/:id.svg', async (req, res, next) => {
+  try {
+    const tipo = {
+      salon: 'salon', salones: 'salon', laboratorio: 'laboratorio', laboratorios: 'laboratorio', lugar: 'lugar', lugares: 'lugar'
+    }[req.params.tipo];
+    if (!tipo) return res.status(400).json({ error: 'Tipo inválido (salon | laboratorio | lugar)' });
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+
+    const objetivo = await modelForTipo(tipo).findById(req.params.id).lean();
+    if (!objetivo) return res.status(404).json({ error: 'No encontrado' });
+
+    const plano = await Plano.findOne({ edificio: buildingKey(objetivo.edificio), piso: floorKey(objetivo.piso) }).lean();
+    if (!plano) return res.status(404).json({ error: 'No hay plano para ese edificio y piso' });
+
+    // Otros espacios del mismo piso, como referencia
+    const mismoPiso = (d) => String(d._id) !== String(objetivo._id) &&
+      buildingKey(d.edificio) === plano.edificio && floorKey(d.piso) === plano.piso;
+    const filtro = { 'plano': { $exists: true }, edificio: i18nLike_chat(objetivo.edificio) };
+    const [salones, labs, lugares] = await Promise.all([
+      Salon.find(filtro).lean(), Laboratorio.find(filtro).lean(), Lugar.find(filtro).lean()
+    ]);
+    const vecinos = [...salones, ...labs, ...lugares].filter(mismoPiso);
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('image/svg+xml').send(renderFloorPlanSvg(plano, objetivo, vecinos));
+  } catch (e) { next(e); }
+});
+
+mongoRouter.get('/planos', async (req, res, next) => {
+  try {
+    const q = {};
+    if (req.query.edificio) q.edificio = buildingKey(req.query.edificio);
+    if (req.query.piso)     q.piso     = floorKey(req.query.piso);
+    const data = await Plano.find(q).sort({ edificio: 1, piso: 1 }).lean();
+    res.json({ total: data.length, data });
+  } catch (e) { next(e); }
+});
+
+mongoRouter.get('/planos/:id', async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Plano.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json(doc);
+  } catch (e) { next(e); }
+});
+
+const planoWrite = writeHandlers(Plano, { clave: 'piso', scope: ['edificio'], fields: PLANO_FIELDS, onChange: () => reloadPlanoKeys() });
+mongoRouter.post('/planos',       requireAdmin, planoWrite.create);
+mongoRouter.put('/planos/:id',    requireAdmin, planoWrite.replace);
+mongoRouter.patch('/planos/:id',  requireAdmin, planoWrite.update);
+mongoRouter.delete('/planos/:id', requireAdmin, planoWrite.remove);
+
+// =========================================================
+// Lugares: oficinas, servicios, cubículos, sanitarios y otros espacios
+// REST de la colección `lugares` y preguntas "¿dónde está el baño más cercano…?"
+// =========================================================
+const LUGAR_FIELDS = ['nombre', 'categoria', 'edificio', 'piso', 'ubicacion', 'mapa_url', 'plano', 'coordenadas', 'accesibilidad', 'atributos'];
+
+mongoRouter.get('/lugares', async (req, res, next) => {
+  try {
+    const q = {};
+    if (req.query.categoria) q.categoria = String(req.query.categoria);
+    if (req.query.q || req.query.nombre) q.nombre = i18nLike_chat(req.query.q || req.query.nombre);
+    if (req.query.edificio) q.edificio = i18nLike_chat(req.query.edificio);
+    if (req.query.piso)     q.piso     = i18nLike_chat(req.query.piso);
+    if (req.query.profesor) q['atributos.profesor'] = i18nLike_chat(req.query.profesor);
+    accessibilityFilter(req.query, q);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '50',10),1),200);
+    const page  = Math.max(parseInt(req.query.page || '1',10),1);
+    const skip  = (page - 1) * limit;
+
+    const [ total, data ] = await Promise.all([
+      Lugar.countDocuments(q),
+      Lugar.find(q).sort({ categoria: 1, nombre: 1 }).skip(skip).limit(limit).lean()
+    ]);
+
+    res.json({ page, limit, total, totalPages: Math.ceil(total/limit), data });
+  } catch (e) { next(e); }
+});
+
+// Categorías disponibles y sus atributos propios
+router.get('/lugares/categorias', (_req, res) => {
+  res.json(Object.entries(CATEGORIAS_LUGAR).map(([categoria, atributos]) => ({
+    categoria, etiqueta: CATEGORIA_LABELS[categoria], atributos
+  })));
+});
+
+mongoRouter.get('/lugares/:id', async (req, res, next) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'ID inválido' });
+    const doc = await Lugar.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'No encontrado' });
+    res.json({ ...doc, avisos: await noticesFor('lugar', doc) });
+  } catch (e) { next(e); }
+});
+
+const lugarWrite = writeHandlers(Lugar, { clave: 'nombre', scope: ['edificio', 'piso'], fields: LUGAR_FIELDS, onChange: onCatalogChange(dropSpaceRefs('lugar')) });
+mongoRouter.post('/lugares',       requireAdmin, lugarWrite.create);
+mongoRouter.put('/lugares/:id',    requireAdmin, lugarWrite.replace);
+mongoRouter.patch('/lugares/:id',  requireAdmin, lugarWrite.update);
+mongoRouter.delete('/lugares/:id', requireAdmin, lugarWrite.remove);
+
+const NEAREST_Q_RX = /\b(mas\s+cercan[oa]s?|cercan[oa]s?\s+(?:a|al|del?)|cerca\s+(?:de|del))\b/;
+
+/**
+ * "¿dónde está el baño más cercano del edificio 2?": toma la categoría de la
+ * pregunta, resuelve el punto de referencia y ordena los lugares de esa categoría
+ * por distancia a pie en el grafo del campus (o por edificio/piso si no hay grafo).
+ */
+async function answerNearestQuestion(q, { source = mongoDataSource, lang = IDIOMA_BASE } = {}) {
+  const t = normalize(q).replace(/[¿?¡!]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!NEAREST_Q_RX.test(t)) return null;
+  const categoria = detectCategoria(t);
+  if (!categoria) return null;
+
+  const mRef = t.match(/\b(?:cercan[oa]s?\s+)?(?:a|al|del?|desde|en)\s+((?:el\s+|la\s+)?(?:edificio|salon|aula|lab|laboratorio|sala|biblioteca|cafeteria|explanada)\b.*)$/);
+  const refTxt = mRef ? mRef[1] : '';
+  const candidatos = (await source.catalogue('lugar')).filter(l => l.categoria === categoria);
+  if (!candidatos.length) {
+    return { resultados: [], sugerencias: [], texto: msg(lang, 'cercano.sinLugares', { categoria: categoriaLabel(categoria, lang) }) };
+  }
+
+  const graph = CAMPUS_GRAPH;
+  const ref = graph && refTxt ? await resolveRoutePoint(graph, refTxt, { source, lang }) : null;
+  let ordenados;
+  if (graph && ref) {
+    const { dist } = dijkstra(graph, ref.nodo);
+    ordenados = candidatos
+      .map(l => { const n = nodeForPlace(graph, l); return { ...l, distancia: n && dist.has(n) ? Math.round(dist.get(n)) : Infinity }; })
+      .sort((a, b) => a.distancia - b.distancia);
+  } else {
+    // Sin grafo: primero los del edificio mencionado, luego por piso
+    const clave = refTxt ? buildingKey(refTxt) : '';
+    ordenados = candidatos.sort((a, b) =>
+      (buildingKey(b.edificio) === clave) - (buildingKey(a.edificio) === clave) ||
+      String(a.piso).localeCompare(String(b.piso), 'es', { numeric: true }));
+  }
+
+  const resultados = ordenados.slice(0, 3).map(l => ({ ...l, score: 1 }));
+  const texto = [
+    ref ? msg(lang, 'cercano.titulo', { referencia: ref.nombre })
+      : msg(lang, 'cercano.opciones', { categoria: categoriaLabel(categoria, lang).toLowerCase() }),
+    ...resultados.map(l => msg(lang, 'resultados.lugarDetalle', l) + (Number.isFinite(l.distancia) ? ` · ${l.distancia} m` : ''))
+  ].join('\n');
+  return { resultados, sugerencias: [], texto };
+}
+
+// =========================================================
+// Geolocalización del campus
+// Coordenadas de edificios y accesos (grafo), espacios cercanos a un punto
+// y exportación GeoJSON para mapas web (Leaflet/MapLibre)
+// =========================================================
+const CERCANOS_TIPOS = ['salon', 'laboratorio', 'lugar'];
+const CERCANOS_RADIO_M = parseInt(process.env.CERCANOS_RADIO_M || '1000', 10);
+const CERCANOS_RADIO_MAX_M = 5000;
+
+// { lat, lon } → punto GeoJSON; null si faltan o no son números
+const toGeoPoint = (c) =>
+  c && Number.isFinite(c.lat) && Number.isFinite(c.lon) ? { type: 'Point', coordinates: [c.lon, c.lat] } : null;
+
+// Punto de un espacio: sus coordenadas propias o, si no tiene, las de su edificio en el grafo
+function placeGeoPoint(lugar, graph = CAMPUS_GRAPH) {
+  const propio = toGeoPoint(lugar.coordenadas);
+  if (propio || !graph) return propio;
+  const edId = buildingForPlace(graph, lugar);
+  return edId ? toGeoPoint(graph.edificios.get(edId).coordenadas) : null;
+}
+
+// Distancia sobre la esfera entre dos puntos GeoJSON, en metros (haversine)
+function distanciaMetros(a, b) {
+  const [lon1, lat1] = a.coordinates, [lon2, lat2] = b.coordinates;
+  const rad = Math.PI / 180;
+  const h = Math.sin((lat2 - lat1) * rad / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin((lon2 - lon1) * rad / 2) ** 2;
+  return 2 * 6378100 * Math.asin(Math.sqrt(h));
+}
+
+function parseGrados(valor, nombre, max) {
+  const n = Number(String(valor ?? '').trim());
+  if (String(valor ?? '').trim() === '' || !Number.isFinite(n) || Math.abs(n) > max) {
+    throw httpError(400, `Parámetro "${nombre}" inválido (grados decimales entre -${max} y ${max})`);
+  }
+  return n;
+}
+
+// GET /cercanos?lat=&lon=&tipo=&radio=&limit=
+// `tipo` es salon | laboratorio | lugar o una categoría de lugar (sanitario, cafeteria…)
+router.get('/cercanos', async (req, res, next) => {
+  try {
+    const lat = parseGrados(req.query.lat, 'lat', 90);
+    const lon = parseGrados(req.query.lon ?? req.query.lng, 'lon', 180);
+
+    const tipo = String(req.query.tipo || '').trim().toLowerCase();
+    let tipos = CERCANOS_TIPOS, categoria = null;
+    if (CATEGORIAS_LUGAR[tipo]) { tipos = ['lugar']; categoria = tipo; }
+    else if (CERCANOS_TIPOS.includes(tipo)) tipos = [tipo];
+    else if (tipo) throw httpError(400, 'Parámetro "tipo" inválido', [...CERCANOS_TIPOS, ...Object.keys(CATEGORIAS_LUGAR)]);
+
+    const radio = Math.min(Math.max(parseInt(req.query.radio || CERCANOS_RADIO_M, 10) || CERCANOS_RADIO_M, 1), CERCANOS_RADIO_MAX_M);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10), 1), 50);
+
+    const origen = { type: 'Point', coordinates: [lon, lat] };
+    const data = (await req.app.locals.source.near(origen, { tipos, categoria, radio, limit }))
+      .map(d => ({ ...d, distancia: Math.round(d.distancia) }));
+    res.json({ origen: { lat, lon }, radio, total: data.length, data });
+  } catch (e) { next(e); }
+});
+
+const geoFeature = (id, geometry, properties) => ({ type: 'Feature', id, geometry, properties });
+
+// Edificios y accesos del grafo + espacios con punto (propio o del edificio), en `lang`
+router.get('/campus.geojson', async (req, res, next) => {
+  try {
+    const lang = requestLang(req);
+    const graph = CAMPUS_GRAPH;
+    const features = [];
+
+    if (graph) {
+      for (const ed of graph.edificios.values()) {
+        const geometry = toGeoPoint(ed.coordenadas);
+        if (!geometry) continue;
+        features.push(geoFeature(`edificio:${ed.id}`, geometry, {
+          tipo: 'edificio', id: ed.id, nombre: localized(ed, 'nombre', lang), pisos: ed.pisos, elevador: Boolean(ed.elevador)
+        }));
+      }
+      // Las entradas generadas por edificio comparten su punto; sólo van los accesos del campus
+      for (const n of graph.nodos.values()) {
+        const geometry = n.tipo === 'entrada' && !n.edificio ? toGeoPoint(n.coordenadas) : null;
+        if (geometry) features.push(geoFeature(`entrada:${n.id}`, geometry, { tipo: 'entrada', id: n.id, nombre: localized(n, 'nombre', lang) }));
+      }
+    }
+
+    for (const d of await req.app.locals.source.catalogue()) {
+      const geometry = placeGeoPoint(d, graph);
+      if (!geometry) continue;
+      const props = { tipo: d.tipo, id: String(d._id), nombre: d.nombre, edificio: d.edificio, piso: d.piso };
+      if (d.numero) props.numero = d.numero;
+      if (d.codigo) props.codigo = d.codigo;
+      if (d.categoria) props.categoria = d.categoria;
+      props.aproximado = !toGeoPoint(d.coordenadas);
+      features.push(geoFeature(`${d.tipo}:${d._id}`, geometry, props));
+    }
+
+    res.type('application/geo+json').send(JSON.stringify({ type: 'FeatureCollection', features }));
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Catálogo por edificio y piso
+// Árbol normalizado edificio → piso → salones, laboratorios y lugares
+// =========================================================
+const GRUPO_POR_TIPO = { salon: 'salones', laboratorio: 'laboratorios', lugar: 'lugares' };
+
+const compareNatural = (a, b) => String(a).localeCompare(String(b), 'es', { numeric: true, sensitivity: 'base' });
+
+const emptyFloor = (piso) => ({
+  piso, totales: { salones: 0, laboratorios: 0, lugares: 0, total: 0 }, salones: [], laboratorios: [], lugares: []
+});
+
+// Un espacio dentro del árbol: lo necesario para listarlo y pedir su detalle
+function floorItem(d) {
+  const item = { id: String(d._id), nombre: d.nombre };
+  for (const f of ['numero', 'codigo', 'categoria', 'ubicacion']) if (d[f]) item[f] = d[f];
+  const plano = floorPlanUrl(d);
+  if (plano) item.plano = plano;
+  return item;
+}
+
+const sumTotales = (pisos) => pisos.reduce((t, p) => {
+  for (const k of Object.keys(t)) t[k] += p.totales[k];
+  return t;
+}, { salones: 0, laboratorios: 0, lugares: 0, total: 0 });
+
+/**
+ * Agrupa el catálogo por buildingKey/floorKey. Los edificios del grafo aparecen
+ * aunque no tengan espacios (con sus pisos vacíos); los que sólo existen en los
+ * datos toman el nombre del primer espacio que los menciona.
+ */
+async function buildingTree(source, lang) {
+  const arbol = new Map();
+  const edificio = (id, datos) => {
+    if (!arbol.has(id)) arbol.set(id, { id, ...datos, pisos: new Map() });
+    return arbol.get(id);
+  };
+  const piso = (ed, clave) => {
+    if (!ed.pisos.has(clave)) ed.pisos.set(clave, emptyFloor(clave));
+    return ed.pisos.get(clave);
+  };
+
+  for (const ed of CAMPUS_GRAPH ? CAMPUS_GRAPH.edificios.values() : []) {
+    const nodo = edificio(buildingKey(ed.nombre), {
+      nombre: localized(ed, 'nombre', lang), grafo: ed.id, elevador: Boolean(ed.elevador),
+      accesibilidad: buildingAccessibility(ed, lang),
+      imagen: pickBuildingImage({ edificio: ed.nombre }) || null
+    });
+    for (const p of ed.pisos) piso(nodo, String(p));
+  }
+  for (const d of await source.catalogue()) {
+    const nodo = edificio(buildingKey(d.edificio), { nombre: d.edificio, imagen: pickBuildingImage(d) || null });
+    const f = piso(nodo, floorKey(d.piso));
+    const grupo = GRUPO_POR_TIPO[d.tipo];
+    f[grupo].push(floorItem(d));
+    f.totales[grupo]++;
+    f.totales.total++;
+  }
+
+  const porClave = (x) => x.numero || x.codigo || x.nombre;
+  return [...arbol.values()].map(({ pisos: porPiso, ...ed }) => {
+    const pisos = [...porPiso.values()].sort((a, b) => compareNatural(a.piso, b.piso));
+    for (const p of pisos) for (const g of Object.values(GRUPO_POR_TIPO)) p[g].sort((a, b) => compareNatural(porClave(a), porClave(b)));
+    return { ...ed, totales: sumTotales(pisos), pisos };
+  });
+}
+
+// Acepta la clave ("Edificio4"), el id del grafo ("e4") o texto libre ("Edificio 4", "4", "central")
+function findBuilding(arbol, texto) {
+  const t = String(texto || '').trim().toLowerCase();
+  const clave = buildingKey(texto);
+  return arbol.find(ed => ed.id.toLowerCase() === t || ed.grafo === t) || arbol.find(ed => ed.id === clave) || null;
+}
+
+async function loadBuilding(req) {
+  const arbol = await buildingTree(req.app.locals.source, requestLang(req));
+  const ed = findBuilding(arbol, req.params.id);
+  if (!ed) throw httpError(404, 'Edificio no encontrado', arbol.map(x => x.id));
+  return ed;
+}
+
+router.get('/edificios', async (req, res, next) => {
+  try {
+    const arbol = await buildingTree(req.app.locals.source, requestLang(req));
+    const data = arbol.map(({ pisos, ...ed }) => ({ ...ed, pisos: pisos.map(p => ({ piso: p.piso, totales: p.totales })) }));
+    res.json({ total: data.length, data });
+  } catch (e) { next(e); }
+});
+
+router.get('/edificios/:id', async (req, res, next) => {
+  try {
+    res.json(await loadBuilding(req));
+  } catch (e) { next(e); }
+});
+
+router.get('/edificios/:id/pisos/:piso', async (req, res, next) => {
+  try {
+    const { pisos, totales, ...ed } = await loadBuilding(req);
+    const piso = pisos.find(p => p.piso === floorKey(req.params.piso));
+    if (!piso) throw httpError(404, 'Piso no encontrado', pisos.map(p => p.piso));
+    res.json({ edificio: ed, ...piso });
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Accesibilidad
+// Elevador, rampa, sanitario accesible y entrada sin escalones por edificio
+// (grafo) y por espacio; "¿el edificio 3 tiene elevador?" en /chat
+// =========================================================
+const ACCESIBILIDAD_CAMPOS = ['elevador', 'rampa', 'sanitarioAccesible', 'entradaSinEscalones'];
+const ACCESIBILIDAD_ATTRS  = [...ACCESIBILIDAD_CAMPOS, 'sinEscalones'];
+
+// Del grafo: `elevador` del edificio + su bloque `accesibilidad` (null = sin dato)
+function buildingAccessibility(ed, lang = IDIOMA_BASE) {
+  const a = ed.accesibilidad || {};
+  const out = { elevador: Boolean(ed.elevador) };
+  for (const k of ['rampa', 'sanitarioAccesible', 'entradaSinEscalones']) out[k] = typeof a[k] === 'boolean' ? a[k] : null;
+  out.notas = localized(a, 'notas', lang) || null;
+  return out;
+}
+
+// La entrada sirve sin escalones si no los tiene o si tiene rampa
+const entradaAccesible = (a) =>
+  a.entradaSinEscalones || a.rampa ? true : a.entradaSinEscalones === false && a.rampa === false ? false : null;
+
+/**
+ * Accesibilidad efectiva de un espacio: lo declarado en `accesibilidad` y, para lo
+ * que falte, lo de su edificio. `sinEscalones` sale de la entrada y de si el piso
+ * es el de acceso o hay elevador; `motivo` explica el resultado en /chat.
+ */
+function placeAccessibility(lugar, { graph = CAMPUS_GRAPH, lang = IDIOMA_BASE } = {}) {
+  const propio = lugar.accesibilidad || {};
+  const edId = graph ? buildingForPlace(graph, lugar) : null;
+  const ed = edId ? graph.edificios.get(edId) : null;
+  const base = ed ? buildingAccessibility(ed, lang) : {};
+  const a = { sinEscalones: null };
+  for (const k of ACCESIBILIDAD_CAMPOS) a[k] = typeof propio[k] === 'boolean' ? propio[k] : base[k] ?? null;
+
+  let motivo = null;
+  if (typeof propio.sinEscalones === 'boolean') {
+    a.sinEscalones = propio.sinEscalones;
+    motivo = 'declarado';
+  } else if (ed) {
+    const piso = parsePiso(lugar.piso, ed.entradaPiso);
+    const enAcceso = piso === null ? null : piso === ed.entradaPiso;
+    const pisoOk = enAcceso || a.elevador === true ? true : enAcceso === false && a.elevador === false ? false : null;
+    const entrada = entradaAccesible(a);
+    if (entrada === false) { a.sinEscalones = false; motivo = 'entrada'; }
+    else if (pisoOk === false) { a.sinEscalones = false; motivo = 'piso'; }
+    else if (entrada && pisoOk) { a.sinEscalones = true; motivo = enAcceso ? 'plantaAcceso' : 'elevador'; }
+  }
+  const notas = [propio.notas, base.notas].filter(Boolean).join(' ') || null;
+  return { ...a, notas, motivo, edificio: ed ? localized(ed, 'nombre', lang) : lugar.edificio || null };
+}
+
+// Campos calculados de un espacio: punto GeoJSON y accesibilidad efectiva
+const DERIVED_FIELDS = ['geo', 'accesible'];
+
+function derivedValues(d) {
+  const { sinEscalones, elevador, rampa, sanitarioAccesible, entradaSinEscalones } = placeAccessibility(d);
+  return { geo: placeGeoPoint(d), accesible: { sinEscalones, elevador, rampa, sanitarioAccesible, entradaSinEscalones } };
+}
+
+// Antes de validar: cambian con coordenadas/accesibilidad propias, con el edificio o con el piso
+function syncDerived(doc) {
+  const valores = derivedValues(doc);
+  for (const f of DERIVED_FIELDS) doc[f] = valores[f] || undefined;
+}
+
+/**
+ * Recalcula los campos calculados de los documentos guardados antes de que
+ * existieran o cuando cambió el grafo (coordenadas, elevadores, rampas).
+ * Devuelve cuántos documentos cambiaron.
+ */
+async function syncStoredDerived() {
+  let cambiados = 0;
+  for (const Model of [Salon, Laboratorio, Lugar]) {
+    const ops = [];
+    for (const d of await Model.find({}, { edificio: 1, ubicacion: 1, piso: 1, coordenadas: 1, accesibilidad: 1, ...Object.fromEntries(DERIVED_FIELDS.map(f => [f, 1])) }).lean()) {
+      const valores = derivedValues(d);
+      const $set = {}, $unset = {};
+      for (const f of DERIVED_FIELDS) {
+        if (sameValue(d[f], valores[f])) continue;
+        if (valores[f]) $set[f] = valores[f]; else $unset[f] = '';
+      }
+      if (!Object.keys($set).length && !Object.keys($unset).length) continue;
+      ops.push({ updateOne: { filter: { _id: d._id }, update: Object.keys($unset).length ? { $set, $unset } : { $set } } });
+    }
+    if (ops.length) await Model.bulkWrite(ops, { ordered: false });
+    cambiados += ops.length;
+  }
+  if (cambiados) invalidateSearchCache();
+  return cambiados;
+}
+
+// ?accesible=true&elevador=false… sobre `accesible`; "false" no incluye los que no tienen dato
+const FILTROS_ACCESIBILIDAD = { accesible: 'sinEscalones', elevador: 'elevador', rampa: 'rampa', sanitarioAccesible: 'sanitarioAccesible', entradaSinEscalones: 'entradaSinEscalones' };
+function accessibilityFilter(query, q) {
+  for (const [param, campo] of Object.entries(FILTROS_ACCESIBILIDAD)) {
+    if (query[param] === undefined) continue;
+    const v = normalize(query[param]);
+    if (!['true', 'false', '1', '0', 'si', 'no'].includes(v)) throw httpError(400, `Parámetro "${param}" inválido (true|false)`);
+    q[`accesible.${campo}`] = ['true', '1', 'si'].includes(v);
+  }
+  return q;
+}
+
+// Línea "Accesibilidad: …" de las tarjetas; vacía si no hay ningún dato
+function accessibilityLine(x, lang = IDIOMA_BASE) {
+  const a = placeAccessibility(x, { lang });
+  const e = (k) => msg(lang, `accesibilidad.etiquetas.${k}`);
+  const partes = [];
+  if (a.sinEscalones !== null) partes.push(e(a.sinEscalones ? 'sinEscalones' : 'conEscaleras'));
+  if (a.elevador !== null) partes.push(e(a.elevador ? 'elevador' : 'sinElevador'));
+  if (a.rampa) partes.push(e('rampa'));
+  if (a.sanitarioAccesible) partes.push(e('sanitarioAccesible'));
+  if (x.accesibilidad && x.accesibilidad.notas) partes.push(x.accesibilidad.notas);
+  return partes.length ? `${msg(lang, 'tarjeta.accesibilidad')}: ${partes.join(' · ')}` : '';
+}
+
+const siNo = (v) => (v === null || v === undefined ? 'sinDato' : v ? 'si' : 'no');
+
+function placeAccessibilityText(x, campo, lang = IDIOMA_BASE) {
+  const a = placeAccessibility(x, { lang });
+  const nombre = x.nombre || x.numero || x.codigo;
+  const notas = a.notas ? ` ${a.notas}` : '';
+  if (campo !== 'sinEscalones') return msg(lang, `accesibilidad.${campo}.${siNo(a[campo])}`, { nombre }) + notas;
+
+  const t = (k, vars) => msg(lang, `accesibilidad.sinEscalones.${k}`, vars);
+  if (a.sinEscalones === true) {
+    const detalle = a.motivo === 'elevador' ? t('conElevador') : a.motivo === 'plantaAcceso' ? t('plantaBaja') : '';
+    return t('si', { nombre, detalle }) + notas;
+  }
+  if (a.sinEscalones === false) {
+    const motivo = a.motivo === 'piso' ? t('motivoPiso', { piso: x.piso, edificio: a.edificio })
+      : a.motivo === 'entrada' ? t('motivoEntrada', { edificio: a.edificio }) : t('motivoDeclarado');
+    return t('no', { nombre, motivo }) + notas;
+  }
+  return t('sinDato', { nombre }) + notas;
+}
+
+function buildingAccessibilityText(ed, campo, lang = IDIOMA_BASE) {
+  const a = buildingAccessibility(ed, lang);
+  const nombre = localized(ed, 'nombre', lang);
+  const notas = a.notas ? ` ${a.notas}` : '';
+  if (campo !== 'sinEscalones') return msg(lang, `accesibilidad.${campo}.${siNo(a[campo])}`, { nombre }) + notas;
+
+  const entrada = entradaAccesible(a);
+  const clave = entrada === null ? 'sinDato' : !entrada ? 'no'
+    : ed.pisos.length <= 1 ? 'unPiso' : a.elevador ? 'si' : 'parcial';
+  return msg(lang, `accesibilidad.edificio.${clave}`, { nombre }) + notas;
+}
+
+// Atributo por el que se pregunta; los más específicos primero
+const ACCESS_Q_ATTRS = [
+  ['sanitarioAccesible', /\b(?:banos?|sanitarios?)\s+(?:accesibles?|adaptados?|para\s+(?:personas\s+con\s+)?discapacidad|para\s+discapacitados)\b/],
+  ['entradaSinEscalones', /\b(?:entrada|acceso)\s+(?:sin\s+escalones|a\s+nivel|accesible)\b/],
+  ['elevador', /\b(?:elevador(?:es)?|ascensor(?:es)?)\b/],
+  ['rampa', /\brampas?\b/],
+  ['sinEscalones', /\b(?:(?:en|con)\s+)?silla\s+de\s+ruedas\b|\bsin\s+(?:escaleras|escalones)\b|\bmovilidad\s+reducida\b|\bdiscapacidad\b|\baccesibles?\b/]
+];
+const ACCESS_Q_VERBOS = /\b(?:se\s+puede|puedo|puede|llegar|llego|ir|entrar|acceder|subir|tiene|tienen|hay|cuenta\s+con|cuentan\s+con|es|esta|son)\b/g;
+const ACCESS_Q_BORDES = /^(?:(?:y|el|la|los|las|un|una|en|al|a|del|de|para|que|si|con)(?:\s+|$))+|(?:\s+(?:y|el|la|los|las|un|una|en|al|a|del|de|para|que|si|con))+$/g;
+
+/**
+ * "¿el edificio 3 tiene elevador?", "¿puedo llegar en silla de ruedas al Laboratorio CIM?":
+ * el resto de la pregunta se resuelve primero como edificio del grafo y si no como
+ * espacio del catálogo. Sin referencia ("¿y tiene elevador?") la deja al seguimiento.
+ */
+async function answerAccessibilityQuestion(q, { source = mongoDataSource, lang = IDIOMA_BASE } = {}) {
+  const t = normalize(q).replace(/[¿?¡!.,]/g, ' ').replace(/\s+/g, ' ').trim();
+  const hit = ACCESS_Q_ATTRS.find(([, rx]) => rx.test(t));
+  if (!hit) return null;
+  const [campo, rx] = hit;
+  const ref = t.replace(rx, ' ').replace(ACCESS_Q_VERBOS, ' ').replace(/\s+/g, ' ').trim().replace(ACCESS_Q_BORDES, '').trim();
+  if (!ref) return null;
+
+  const ed = CAMPUS_GRAPH && findGraphBuilding(CAMPUS_GRAPH, ref);
+  if (ed) return { resultados: [], sugerencias: [], texto: buildingAccessibilityText(ed, campo, lang), tipoConsulta: 'accesibilidad' };
+
+  const { resultados } = await searchLocations(ref, { source });
+  const x = resultados.find(r => r.score >= SCORE_THRESHOLD);
+  if (!x) return null;
+  return { resultados: [x], sugerencias: [], texto: placeAccessibilityText(x, campo, lang), tipoConsulta: 'accesibilidad' };
+}
+
+// =========================================================
+// Analítica de consultas
+// Registra cada consulta de /chat, /chat/df y /buscar y expone reportes admin
+// =========================================================
+const ANALYTICS_ENABLED = process.env.ANALYTICS_ENABLED !== 'false';
+
+/**
+ * Middleware: mide la latencia y, al terminar la respuesta, guarda lo que el
+ * handler dejó en `res.locals.consulta` ({ texto, tipo, canonical, resultados }).
+ * La escritura no bloquea la respuesta; si falla sólo se avisa en consola.
+ */
+function trackQuery(endpoint) {
+  return (req, res, next) => {
+    const inicio = process.hrtime.bigint();
+    res.on('finish', () => {
+      const c = res.locals.consulta;
+      if (!ANALYTICS_ENABLED || !c || !c.texto || mongoose.connection.readyState !== 1) return;
+      Consulta.create({
+        endpoint,
+        normalizado: normalize(c.texto).slice(0, 500),
+        tipo: c.tipo || null,
+        canonical: c.canonical || null,
+        resultados: c.resultados || 0,
+        latenciaMs: Number(process.hrtime.bigint() - inicio) / 1e6
+      }).catch(e => console.warn('! No se pudo registrar la consulta:', e.message));
+    });
+    next();
+  };
+}
+
+// Filtro común de los reportes: ?desde=&hasta= (ISO) y ?endpoint=
+function analyticsMatch(query) {
+  const match = {};
+  const ts = {};
+  if (query.desde) ts.$gte = new Date(query.desde);
+  if (query.hasta) ts.$lte = new Date(query.hasta);
+  if (Object.values(ts).some(d => isNaN(d))) throw httpError(400, 'Fecha inválida en "desde"/"hasta"');
+  if (Object.keys(ts).length) match.ts = ts;
+  if (query.endpoint) match.endpoint = String(query.endpoint);
+  return match;
+}
+
+async function topQueries(match, limit) {
+  return Consulta.aggregate([
+    { $match: match },
+    { $group: {
+      _id: '$normalizado',
+      total: { $sum: 1 },
+      aciertos: { $sum: { $cond: [{ $gt: ['$resultados', 0] }, 1, 0] } },
+      canonical: { $last: '$canonical' },
+      ultima: { $max: '$ts' }
+    } },
+    { $sort: { total: -1, ultima: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, consulta: '$_id', total: 1, aciertos: 1, canonical: 1, ultima: 1 } }
+  ]);
+}
+
+mongoRouter.get('/admin/analytics/top-queries', requireAdmin, async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20',10),1),200);
+    const data = await topQueries(analyticsMatch(req.query), limit);
+    res.json({ total: data.length, data });
+  } catch (e) { next(e); }
+});
+
+// Consultas sin resultados: insumo directo para nuevos sinónimos
+mongoRouter.get('/admin/analytics/top-misses', requireAdmin, async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20',10),1),200);
+    const data = await topQueries({ ...analyticsMatch(req.query), resultados: 0 }, limit);
+    res.json({ total: data.length, data });
+  } catch (e) { next(e); }
+});
+
+const HIT_RATE_FORMATS = { hora: '%Y-%m-%dT%H:00', dia: '%Y-%m-%d', semana: '%G-W%V', mes: '%Y-%m' };
+
+mongoRouter.get('/admin/analytics/hit-rate', requireAdmin, async (req, res, next) => {
+  try {
+    const intervalo = req.query.intervalo || 'dia';
+    const format = HIT_RATE_FORMATS[intervalo];
+    if (!format) return res.status(400).json({ error: `Intervalo inválido (${Object.keys(HIT_RATE_FORMATS).join(' | ')})` });
+
+    const data = await Consulta.aggregate([
+      { $match: analyticsMatch(req.query) },
+      { $group: {
+        _id: { $dateToString: { format, date: '$ts', timezone: CAMPUS_TZ } },
+        total: { $sum: 1 },
+        aciertos: { $sum: { $cond: [{ $gt: ['$resultados', 0] }, 1, 0] } },
+        latenciaPromedioMs: { $avg: '$latenciaMs' }
+      } },
+      { $sort: { _id: 1 } },
+      { $project: {
+        _id: 0, periodo: '$_id', total: 1, aciertos: 1,
+        hitRate: { $round: [{ $divide: ['$aciertos', '$total'] }, 3] },
+        latenciaPromedioMs: { $round: ['$latenciaPromedioMs', 1] }
+      } }
+    ]);
+    res.json({ intervalo, total: data.length, data });
+  } catch (e) { next(e); }
+});
+
+// Efecto de la caché de búsquedas (aciertos/fallos desde el arranque) y del cliente
+// compartido de Dialogflow (clientes creados vs. llamadas)
+router.get('/admin/cache', requireAdmin, (_req, res) => {
+  const df = nluProviders.find(p => p.name === 'dialogflow');
+  res.json({ busquedas: searchCache.stats(), dialogflow: df ? df.stats() : null });
+});
+
+router.delete('/admin/cache', requireAdmin, (_req, res) => {
+  invalidateSearchCache();
+  res.json({ ok: true, busquedas: searchCache.stats() });
+});
+
+/** BÚSQUEDA MIXTA con ranking (mismo motor que /chat) */
+router.get('/buscar', trackQuery('/buscar'), async (req, res, next) => {
+  try {
+    const texto = limitText(req.query.texto, 'texto');
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '10',10),1),50);
+    const tipo  = ['salon', 'laboratorio', 'lugar'].includes(req.query.tipo) ? req.query.tipo : null;
+    const lang  = requestLang(req);
+
+    if (!texto) return res.json({ total: 0, data: [] });
+
+    const q = toSpanishQuery(texto, lang);
+    const { resultados, sugerencias } = await searchLocations(q, { tipo, limit, source: req.app.locals.source });
+    res.locals.consulta = {
+      texto, tipo: tipo || detectTipo(q) || 'mixto',
+      canonical: resultados[0] && resultados[0].nombre, resultados: resultados.length
+    };
+    const body = { total: resultados.length, data: resultados };
+    if (sugerencias.length) body.suggestions = sugerencias;
+    res.json(body);
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Motor de búsqueda de salones y laboratorios
+// Compartido por POST /chat, GET /buscar y el webhook de Dialogflow
+// =========================================================
+// Detección simple del tipo por palabras clave
+function detectTipo(q) {
+  const norm = String(q || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  let tipo = null; // 'salon' | 'laboratorio' | 'lugar' | null (mixto)
+  if (/\b(aula|salon|salón|salones)\b/.test(norm)) tipo = 'salon';
+  if (/\b(lab|laboratorio|laboratorios)\b/.test(norm)) tipo = tipo || 'laboratorio';
+  if (!tipo && detectCategoria(norm)) tipo = 'lugar';
+  if (!tipo && /^\s*\d{2,4}\s*$/.test(q)) tipo = 'salon';
+  return tipo;
+}
+
+// Palabras que delatan la categoría de un lugar
+const CATEGORIA_KEYWORDS = {
+  sanitario:  /\b(banos?|sanitarios?|wc|regaderas?)\b/,
+  cubiculo:   /\bcubiculos?\b/,
+  servicio:   /\b(servicios escolares|gestion escolar|control escolar|ventanilla|becas|caja)\b/,
+  oficina:    /\b(oficinas?|direccion|subdireccion|coordinacion|jefatura)\b/,
+  cafeteria:  /\b(cafeteria|comedor|cafe)\b/,
+  auditorio:  /\b(auditorio|aula magna)\b/,
+  medico:     /\b(servicio medico|medico|enfermeria|consultorio)\b/,
+  deportivo:  /\b(gimnasio|cancha|deportivo)\b/
+};
+function detectCategoria(text) {
+  const t = normalize(text);
+  for (const [cat, rx] of Object.entries(CATEGORIA_KEYWORDS)) if (rx.test(t)) return cat;
+  return '';
+}
+
+// Cascada original de consultas a Mongo: produce candidatos (aún sin ordenar)
+async function cascadeCandidates(q, tipo, limit) {
+  const resultados = [];
+
+  /* ========= SALONES (mejorado) ========= */
+  if (!tipo || tipo === 'salon') {
+    const resultadosSalones = [];
+    const usadosS = new Set();
+
+    // -1) Canon por sinónimos
+    const canonSalon = detectCanonicalSalon(q);
+    if (canonSalon) {
+      const rxCanon = i18nExactRegex_chat(canonSalon);
+      const docs = await Salon.find({ nombre: rxCanon })
+        .collation({ locale: 'es', strength: 1 }).limit(limit).lean();
+      for (const s of docs) {
+        const id = String(s._id);
+        if (!usadosS.has(id)) { usadosS.add(id); resultadosSalones.push({ tipo: 'salon', ...s }); }
+      }
+    }
+
+    // 0) L### (Aula/Salón L320, etc.)
+    if (resultadosSalones.length < limit) {
+      const lcodeSalon = lCodeFrom(q);
+      if (lcodeSalon) {
+        const variants = lVariants(lcodeSalon);
+        let docs = await Salon.find({ nombre: { $in: variants } })
+          .collation({ locale: 'es', strength: 1 }).lean();
+
+        if (!docs.length) {
+          const num = lcodeSalon.slice(1);
+          const rxL = new RegExp(`\\bL\\s*-?\\s*${num}\\b`, 'i');
+          docs = await Salon.find({ $or: [{ nombre: rxL }, { numero: rxL }] })
+            .limit(limit).lean();
+        }
+        for (const s of docs) {
+          const id = String(s._id);
+          if (!usadosS.has(id)) { usadosS.add(id); resultadosSalones.push({ tipo: 'salon', ...s }); }
+        }
+      }
+    }
+
+    // 1) Número suelto (ej. “126”)
+    if (resultadosSalones.length < limit) {
+      const numSolo = (q.match(/\b(\d{2,4})\b/) || [])[1];
+      if (numSolo) {
+        const rxNumWord = new RegExp(`\\b${rxEscapeChat(numSolo)}\\b`, 'i');
+        const docs = await Salon.find({
+          $or: [
+            { numero: i18nLike_chat(numSolo) },
+            { nombre: rxNumWord }
+          ]
+        })
+        .sort({ numero: 1, nombre: 1 })
+        .limit(limit - resultadosSalones.length)
+        .lean();
+
+        for (const s of docs) {
+          const id = String(s._id);
+          if (!usadosS.has(id)) { usadosS.add(id); resultadosSalones.push({ tipo: 'salon', ...s }); }
+        }
+      }
+    }
+
+    // 2) i18n general + “Aula→Salón”
+    if (resultadosSalones.length < limit) {
+      const restantes = limit - resultadosSalones.length;
+      const rxQ = i18nLike_chat(q);
+      const qSalonizado = q.replace(/\baula\b/ig, 'Salón').replace(/\bsalon\b/ig,'Salón');
+      const rxQSalon = i18nLike_chat(qSalonizado);
+      const rxTrimInicio = new RegExp(`^\\s*${rxEscapeChat(q.replace(/\s+/g,' ').trim())}`, 'i');
+
+      const salones = await Salon.find({
+        $or: [
+          { numero: rxQ },
+          { nombre: rxQ },
+          { nombre: rxQSalon },
+          { edificio: rxQ },
+          { piso: rxQ },
+          { nombre: rxTrimInicio }
+        ]
+      })
+      .sort({ numero: 1, nombre: 1 })
+      .limit(restantes)
+      .lean();
+
+      for (const s of salones) {
+        const id = String(s._id);
+        if (!usadosS.has(id)) { usadosS.add(id); resultadosSalones.push({ tipo: 'salon', ...s }); }
+      }
+    }
+
+    resultados.push(...resultadosSalones);
+  }
+
+  /* ========= LABORATORIOS (con soporte L###) ========= */
+  if (!tipo || tipo === 'laboratorio') {
+    const resultadosLabs = [];
+    const usados = new Set();
+
+    // 0) Canon por sinónimos + normalizador
+    const canonLab = detectCanonicalLab(q) || applySynonyms_chat(q);
+    if (canonLab) {
+      const rxCanon = i18nExactRegex_chat(canonLab);
+      const prim = await Laboratorio.find({
+        $or: [{ nombre: rxCanon }, { codigo: rxCanon }]
+      }).sort({ nombre: 1 }).limit(limit).lean();
+      for (const l of prim) {
+        if (!usados.has(String(l._id))) {
+          usados.add(String(l._id));
+          resultadosLabs.push({ tipo: 'laboratorio', ...l });
+        }
+      }
+    }
+
+    // 1) L### como código o dentro del nombre
+    if (resultadosLabs.length < limit) {
+      const mLabL = q.match(/\b[Ll]\s*-?\s*(\d{3})\b/);
+      if (mLabL) {
+        const num = mLabL[1];
+        const rxL = new RegExp(`\\bL\\s*-?\\s*${num}\\b`, 'i');
+
+        const labsByCodeOrName = await Laboratorio.find({
+          $or: [{ codigo: rxL }, { nombre: rxL }]
+        }).sort({ nombre: 1 }).limit(limit - resultadosLabs.length).lean();
+
+        for (const l of labsByCodeOrName) {
+          if (!usados.has(String(l._id))) {
+            usados.add(String(l._id));
+            resultadosLabs.push({ tipo: 'laboratorio', ...l });
+          }
+        }
+      }
+    }
+
+    // 2) Búsqueda i18n general (rellena)
+    if (resultadosLabs.length < limit) {
+      const rx = i18nLike_chat(q);
+      const labs = await Laboratorio.find({
+        $or: [{ nombre: rx }, { codigo: rx }, { edificio: rx }, { piso: rx }]
+      })
+      .sort({ nombre: 1 })
+      .limit(limit - resultadosLabs.length)
+      .lean();
+
+      for (const l of labs) {
+        if (!usados.has(String(l._id))) {
+          usados.add(String(l._id));
+          resultadosLabs.push({ tipo: 'laboratorio', ...l });
+        }
+      }
+    }
+
+    resultados.push(...resultadosLabs);
+  }
+
+  /* ========= LUGARES (servicios, oficinas, cubículos…) ========= */
+  if (!tipo || tipo === 'lugar') {
+    const resultadosLugares = [];
+    const usadosL = new Set();
+    const pushL = (docs) => {
+      for (const d of docs) {
+        const id = String(d._id);
+        if (!usadosL.has(id)) { usadosL.add(id); resultadosLugares.push({ tipo: 'lugar', ...d }); }
+      }
+    };
+
+    // 0) Cubículo de un profesor
+    const mProf = normalize(q).match(/\bcubiculo\s+(?:de(?:l|\s+la)?\s+)?(?:(?:profesor|profesora|profe|prof|maestro|maestra|dr|dra|doctor|doctora|ing|mtro|mtra)\.?\s+)?(.+)$/);
+    if (mProf) {
+      pushL(await Lugar.find({ categoria: 'cubiculo', 'atributos.profesor': i18nLike_chat(mProf[1].trim()) }).limit(limit).lean());
+    }
+
+    // 1) Canon por sinónimos y por categoría
+    const canonLugar = detectCanonicalLugar(q);
+    if (resultadosLugares.length < limit && canonLugar) {
+      pushL(await Lugar.find({ nombre: i18nExactRegex_chat(canonLugar) }).limit(limit).lean());
+    }
+    const categoria = detectCategoria(q);
+    if (resultadosLugares.length < limit && categoria && !mProf) {
+      const filtro = { categoria };
+      const mEd = normalize(q).match(/\bedificio\s+(\d|central|pesados?)\b/);
+      if (mEd) filtro.edificio = i18nLike_chat(mEd[1]);
+      pushL(await Lugar.find(filtro).sort({ edificio: 1, piso: 1 }).limit(limit - resultadosLugares.length).lean());
+    }
+
+    // 2) i18n general (rellena)
+    if (resultadosLugares.length < limit) {
+      const rx = i18nLike_chat(q);
+      pushL(await Lugar.find({
+        $or: [{ nombre: rx }, { edificio: rx }, { ubicacion: rx }, { 'atributos.profesor': rx }]
+      }).sort({ nombre: 1 }).limit(limit - resultadosLugares.length).lean());
+    }
+
+    resultados.push(...resultadosLugares);
+  }
+
+  return resultados;
+}
+
+// =========================================================
+// Puntuación de relevancia y tolerancia a errores ortográficos
+// Combina canónico exacto, distancia de edición por palabra y pesos por campo
+// =========================================================
+const SCORE_THRESHOLD   = parseFloat(process.env.SEARCH_SCORE_THRESHOLD || '0.6');
+const SUGGEST_MIN_SCORE = 0.35;
+const SUGGEST_MAX       = 3;
+
+const FIELD_WEIGHTS = {
+  nombre: 1, numero: 1, codigo: 1, alias: 0.95, profesor: 0.9,
+  categoria: 0.7, ubicacion: 0.4, edificio: 0.35, piso: 0.2
+};
+
+// Palabras de relleno que no aportan a la coincidencia
+const SEARCH_STOPWORDS = new Set([
+  'a','al','como','cual','de','del','donde','el','en','es','esta','estan','hay','la','las','lo','los',
+  'me','mi','necesito','por','favor','puedo','que','queda','quiero','ir','saber','se','su','un','una',
+  'ubica','ubicacion','ubicado','ubicada','busco','buscar','encuentro','encontrar','y','o','ver'
+]);
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+const searchTokens = (s) => normalize(s).split(/[^a-z0-9]+/).filter(Boolean);
+
+function queryTokens(q) {
+  const all = searchTokens(q);
+  const sig = all.filter(t => !SEARCH_STOPWORDS.has(t));
+  return sig.length ? sig : all;
+}
+
+// Números y palabras cortas (sd, cim, ii) sólo cuentan si coinciden exacto o como prefijo
+function tokenSim(qt, ft) {
+  if (qt === ft) return 1;
+  if (/^\d+$/.test(qt) || /^\d+$/.test(ft)) return 0;
+  if (qt.length >= 3 && ft.startsWith(qt)) return 0.9;
+  if (Math.min(qt.length, ft.length) < 4) return 0;
+  const sim = 1 - levenshtein(qt, ft) / Math.max(qt.length, ft.length);
+  return sim >= 0.6 ? sim : 0; // por debajo es ruido (palabras distintas)
+}
+
+function textSim(qTokens, field) {
+  const fTokens = searchTokens(field);
+  if (!qTokens.length || !fTokens.length) return 0;
+  let total = 0;
+  for (const qt of qTokens) {
+    let best = 0;
+    for (const ft of fTokens) best = Math.max(best, tokenSim(qt, ft));
+    total += best;
+  }
+  return total / qTokens.length;
+}
+
+// Índice inverso canónico → alias normalizados (se regenera si cambia el mapa)
+const aliasIndexCache = new WeakMap();
+function aliasesOf(synMap, canonical) {
+  let idx = aliasIndexCache.get(synMap);
+  if (!idx) {
+    idx = new Map();
+    for (const [nsyn, canon] of synMap.entries()) {
+      if (!idx.has(canon)) idx.set(canon, []);
+      idx.get(canon).push(nsyn);
+    }
+    aliasIndexCache.set(synMap, idx);
+  }
+  return idx.get(canonical) || [];
+}
+
+function synMapFor(tipo) {
+  if (tipo === 'salon') return SYN_MAP_SALON;
+  if (tipo === 'lugar') return SYN_MAP_LUGAR;
+  return SYN_MAP_LAB;
+}
+
+function scoreDoc(doc, qTokens, canonSet, categoria = '') {
+  const nombreNorm = normalize(doc.nombre || '');
+  if (nombreNorm && canonSet.has(nombreNorm)) return 1;
+
+  let best = 0;
+  for (const campo of ['nombre', 'numero', 'codigo', 'ubicacion', 'edificio', 'piso']) {
+    if (!doc[campo]) continue;
+    best = Math.max(best, FIELD_WEIGHTS[campo] * textSim(qTokens, doc[campo]));
+  }
+  if (doc.tipo === 'lugar') {
+    // "baños", "wc"… nombran la categoría, no el lugar concreto
+    if (categoria && doc.categoria === categoria) best = Math.max(best, FIELD_WEIGHTS.categoria);
+    if (doc.atributos && doc.atributos.profesor) {
+      best = Math.max(best, FIELD_WEIGHTS.profesor * textSim(qTokens, doc.atributos.profesor));
+    }
+  }
+
+  const synMap = synMapFor(doc.tipo);
+  const canonical = synMap.get(nombreNorm);
+  if (canonical) {
+    for (const alias of aliasesOf(synMap, canonical)) {
+      best = Math.max(best, FIELD_WEIGHTS.alias * textSim(qTokens, alias));
+    }
+  }
+  return Math.round(best * 1000) / 1000;
+}
+
+// Inventario: pesos por campo del equipo y del laboratorio que lo tiene frente a un espacio nombrado
+const EQUIPO_WEIGHTS = { nombre: 1, alias: 0.95, categoria: 0.9, modelo: 0.8, laboratorio: 0.9 };
+const EQUIPO_MAX_POR_LAB = 5;
+// "¿dónde hay…?", "¿qué laboratorio tiene…?": buscar en el inventario aunque algún espacio coincida
+const EQUIPO_Q_RX = /\b(?:donde\s+(?:hay|tienen|(?:puedo\s+)?(?:usar|uso|conseguir|consigo))|(?:que|cuales?|en\s+que)\s+laboratorios?|quien\s+tiene)\b/;
+// Palabras de la pregunta que no describen el equipo
+const EQUIPO_RELLENO = new Set([
+  'laboratorio','laboratorios','lab','labs','tiene','tienen','cuenta','cuentan','con','quien','cuales',
+  'usar','uso','conseguir','consigo','equipo','equipos','software','programa','programas','instalado','para',
+  'disponible','disponibles','libre','libres'
+]);
+
+function scoreEquipo(item, qTokens) {
+  let best = EQUIPO_WEIGHTS.nombre * textSim(qTokens, item.nombre || '');
+  for (const alias of [...(item.aliases || []), item.en && item.en.nombre]) {
+    if (alias) best = Math.max(best, EQUIPO_WEIGHTS.alias * textSim(qTokens, alias));
+  }
+  if (item.categoria) best = Math.max(best, EQUIPO_WEIGHTS.categoria * textSim(qTokens, item.categoria));
+  const modelo = [item.marca, item.modelo].filter(Boolean).join(' ');
+  if (modelo) best = Math.max(best, EQUIPO_WEIGHTS.modelo * textSim(qTokens, modelo));
+  return Math.round(best * 1000) / 1000;
+}
+
+const equipoDisponible = (e) => (e.estado || 'disponible') === 'disponible' && (e.cantidad ?? 1) > 0;
+
+/**
+ * Laboratorios cuyo inventario coincide con la consulta, cada uno con sus equipos
+ * coincidentes (los disponibles primero). Un laboratorio donde nada de lo pedido
+ * está disponible puntúa un poco menos; si la consulta pide "disponibles", no aparece.
+ */
+async function labsWithEquipment(q, source) {
+  const tokens = queryTokens(q).filter(t => !EQUIPO_RELLENO.has(t));
+  if (!tokens.length) return [];
+  const soloDisponibles = FREE_Q_RX.test(normalize(q));
+  const porLab = new Map();
+  for (const item of await source.equipment(tokens)) {
+    if (soloDisponibles && !equipoDisponible(item)) continue;
+    const score = scoreEquipo(item, tokens);
+    if (score < SCORE_THRESHOLD) continue;
+    const { laboratorio, createdAt, updatedAt, ...equipo } = item;
+    const clave = String(laboratorio);
+    if (!porLab.has(clave)) porLab.set(clave, []);
+    porLab.get(clave).push({ ...equipo, score });
+  }
+  if (!porLab.size) return [];
+
+  const labs = await source.findByIds('laboratorio', [...porLab.keys()]);
+  return labs.map(lab => {
+    const equipos = porLab.get(String(lab._id))
+      .sort((a, b) => b.score - a.score || equipoDisponible(b) - equipoDisponible(a))
+      .slice(0, EQUIPO_MAX_POR_LAB);
+    const factor = equipos.some(equipoDisponible) ? 1 : 0.9;
+    return { lab, equipos, score: Math.round(EQUIPO_WEIGHTS.laboratorio * factor * equipos[0].score * 1000) / 1000 };
+  });
+}
+
+// Nombres canónicos que la consulta ya resuelve por sinónimos
+function canonicalSet(q) {
+  const set = new Set();
+  for (const c of [detectCanonicalSalon(q), detectCanonicalLab(q), detectCanonicalLugar(q), applySynonyms_chat(q)]) {
+    if (c) set.add(normalize(c));
+  }
+  return set;
+}
+
+// Catálogo completo para la pasada difusa (colecciones pequeñas)
+async function fetchCatalogue() {
+  const [salones, labs, lugares] = await Promise.all([
+    Salon.find({}).limit(2000).lean(), Laboratorio.find({}).limit(2000).lean(), Lugar.find({}).limit(2000).lean()
+  ]);
+  return [
+    ...salones.map(s => ({ tipo: 'salon', ...s })),
+    ...labs.map(l => ({ tipo: 'laboratorio', ...l })),
+    ...lugares.map(l => ({ tipo: 'lugar', ...l }))
+  ];
+}
+
+// Una sola copia por proceso, compartida por la pasada difusa y el índice de /sugerir;
+// invalidateSearchCache() la descarta y con varias instancias vence con el TTL de la caché
+let catalogoCache = null;
+async function loadCatalogue(tipo) {
+  if (!catalogoCache || catalogoCache.version !== catalogoVersion || catalogoCache.expira <= Date.now()) {
+    const e = catalogoCache = { version: catalogoVersion, expira: Date.now() + SEARCH_CACHE_TTL_MS, docs: fetchCatalogue() };
+    e.docs.catch(() => { if (catalogoCache === e) catalogoCache = null; });
+  }
+  const docs = await catalogoCache.docs;
+  return tipo ? docs.filter(d => d.tipo === tipo) : docs;
+}
+
+// =========================================================
+// Fuentes de datos del motor de búsqueda
+// MongoDB (la cascada de consultas) o un conjunto en memoria inyectado
+// =========================================================
+/*
+ * Una fuente expone:
+ *   candidates(q, tipo, limit) → candidatos directos, cada documento con su `tipo`
+ *   catalogue(tipo)            → catálogo completo para la pasada difusa
+ *   findByIds(tipo, ids)       → documentos por id (seguimientos de la sesión)
+ *   near(punto, opciones)      → espacios más cercanos a un punto GeoJSON, con `distancia` en metros
+ *   notices(docs, fecha)       → avisos vigentes en `fecha` de esos documentos o de sus edificios
+ *   equipment(tokens)          → equipos del inventario que podrían coincidir, con su `laboratorio`
+ *   schedules(tipo, ids, dia)  → clases de esos espacios en un día de la semana
+ *   reservations(lab, fecha)   → reservaciones que ocupan el laboratorio en una fecha
+ */
+function createMongoDataSource() {
+  return {
+    name: 'mongo',
+    candidates: cascadeCandidates,
+    catalogue: loadCatalogue,
+    async findByIds(tipo, ids) {
+      const validos = ids.filter(id => Types.ObjectId.isValid(id));
+      if (!validos.length) return [];
+      const docs = await modelForTipo(tipo).find({ _id: { $in: validos } }).lean();
+      return docs.map(d => ({ tipo, ...d }));
+    },
+    // $geoNear por colección (usa el índice 2dsphere de `geo`) y mezcla por distancia
+    async near(punto, { tipos, categoria, radio, limit }) {
+      const out = [];
+      for (const tipo of tipos) {
+        const docs = await modelForTipo(tipo).aggregate([
+          { $geoNear: { near: punto, key: 'geo', distanceField: 'distancia', maxDistance: radio, spherical: true, query: categoria ? { categoria } : {} } },
+          { $limit: limit }
+        ]);
+        out.push(...docs.map(d => ({ tipo, ...d })));
+      }
+      return out.sort((a, b) => a.distancia - b.distancia).slice(0, limit);
+    },
+    async notices(docs, fecha) {
+      const ids = docs.map(d => d._id).filter(id => Types.ObjectId.isValid(id));
+      const edificios = [...new Set(docs.filter(d => d.edificio).map(d => buildingKey(d.edificio)))];
+      return Aviso.find({
+        ...noticeStateQuery('vigentes', fecha),
+        $or: [{ 'espacios.espacio': { $in: ids } }, { edificios: { $in: edificios } }]
+      }).lean();
+    },
+    // Prefiltro por raíz de cada palabra ("impr" encuentra "Impresora"); el puntaje fino es de scoreEquipo
+    async equipment(tokens) {
+      const raices = tokens.filter(t => t.length >= 3).map(t => t.slice(0, 4));
+      const rxs = (raices.length ? raices : tokens).map(t => i18nLike_chat(t));
+      return Equipo.find({ $or: rxs.flatMap(rx => EQUIPO_TEXTOS.map(f => ({ [f]: rx }))) }).limit(500).lean();
+    },
+    async schedules(tipo, ids, dia) {
+      const validos = ids.filter(id => Types.ObjectId.isValid(id));
+      if (!validos.length) return [];
+      return Horario.find({ tipo, dia, espacio: { $in: validos } }).lean();
+    },
+    async reservations(laboratorio, fecha) {
+      if (!Types.ObjectId.isValid(laboratorio)) return [];
+      return Reserva.find({ laboratorio, fecha, estado: { $in: RESERVA_OCUPAN } }).lean();
+    }
+  };
+}
+
+/**
+ * Fuente en memoria para CLIs, bots y pruebas: { salones, laboratorios, lugares }
+ * con la forma de las colecciones. Los candidatos directos son los que empatan
+ * numero/codigo o un nombre canónico de sinónimos; el resto lo cubre la pasada difusa.
+ * `avisos` usa la forma de la colección; sus `espacios` citan los ids generados ("salon-1").
+ * `equipos`, `horarios` y `reservas` también; su espacio (`laboratorio`, o `tipo` + `espacio`)
+ * puede ser el id generado, el número/código o el nombre.
+ */
+function createMemoryDataSource({ salones = [], laboratorios = [], lugares = [], avisos = [], equipos = [], horarios = [], reservas = [] } = {}) {
+  const docs = [
+    ...salones.map(d => ({ tipo: 'salon', ...d })),
+    ...laboratorios.map(d => ({ tipo: 'laboratorio', ...d })),
+    ...lugares.map(d => ({ tipo: 'lugar', ...d }))
+  ].map((d, i) => ({ _id: `${d.tipo}-${i + 1}`, ...d }));
+  const avisosMem = avisos.map((a, i) => ({ _id: `aviso-${i + 1}`, severidad: 'info', categoria: 'otro', ...a }));
+  const espacioDe = (tipo, ref) => docs.find(d => d.tipo === tipo &&
+    [d._id, d.numero, d.codigo, d.nombre].some(v => v !== undefined && normalize(String(v)) === normalize(String(ref ?? ''))));
+  const equiposMem = equipos.map((e, i) => {
+    const lab = espacioDe('laboratorio', e.laboratorio);
+    return { _id: `equipo-${i + 1}`, tipo: 'equipo', cantidad: 1, estado: 'disponible', aliases: [], ...e, laboratorio: lab ? lab._id : null };
+  }).filter(e => e.laboratorio);
+  const horariosMem = horarios.map((h, i) => {
+    const espacio = espacioDe(h.tipo, h.espacio);
+    return { _id: `horario-${i + 1}`, ...normalizeHorarioInput(h), espacio: espacio ? espacio._id : null };
+  }).filter(h => h.espacio);
+  const reservasMem = reservas.map((r, i) => {
+    const lab = espacioDe('laboratorio', r.laboratorio);
+    return { _id: `reserva-${i + 1}`, estado: 'pendiente', ...normalizeReservaInput(r), laboratorio: lab ? lab._id : null };
+  }).filter(r => r.laboratorio);
+
+  return {
+    name: 'memoria',
+    async candidates(q, tipo, limit) {
+      const t = normalize(q);
+      const canon = canonicalSet(q);
+      return docs.filter(d => (!tipo || d.tipo === tipo) && (
+        canon.has(normalize(d.nombre || '')) ||
+        [d.numero, d.codigo].some(c => c && new RegExp(`\\b${rxEscapeChat(normalize(c))}\\b`).test(t))
+      )).slice(0, limit);
+    },
+    async catalogue(tipo) {
+      return docs.filter(d => !tipo || d.tipo === tipo);
+    },
+    async findByIds(tipo, ids) {
+      const set = new Set(ids.map(String));
+      return docs.filter(d => d.tipo === tipo && set.has(String(d._id)));
+    },
+    // Sin índice: distancia por haversine a las coordenadas propias o las del edificio
+    async near(punto, { tipos, categoria, radio, limit }) {
+      return docs
+        .filter(d => tipos.includes(d.tipo) && (!categoria || d.categoria === categoria))
+        .map(d => { const geo = placeGeoPoint(d); return geo && { ...d, geo, distancia: distanciaMetros(punto, geo) }; })
+        .filter(d => d && d.distancia <= radio)
+        .sort((a, b) => a.distancia - b.distancia)
+        .slice(0, limit);
+    },
+    async notices(lista, fecha) {
+      return avisosMem.filter(a => isNoticeActive(a, fecha) && lista.some(d => noticeAppliesTo(a, d)));
+    },
+    async equipment() {
+      return equiposMem;
+    },
+    async schedules(tipo, ids, dia) {
+      const set = new Set(ids.map(String));
+      return horariosMem.filter(h => h.tipo === tipo && h.dia === dia && set.has(String(h.espacio)));
+    },
+    async reservations(laboratorio, fecha) {
+      return reservasMem.filter(r => String(r.laboratorio) === String(laboratorio) && r.fecha === fecha && RESERVA_OCUPAN.includes(r.estado));
+    }
+  };
+}
+
+const mongoDataSource = createMongoDataSource();
+
+// =========================================================
+// Caché de búsquedas resueltas
+// LRU con TTL por texto normalizado + tipo; se vacía al cambiar el catálogo
+// =========================================================
+const SEARCH_CACHE_MAX    = parseInt(process.env.SEARCH_CACHE_MAX || '500', 10);
+// Con varias instancias, los cambios hechos en otra sólo se ven al expirar el TTL
+const SEARCH_CACHE_TTL_MS = parseInt(process.env.SEARCH_CACHE_TTL_MS || String(5 * 60 * 1000), 10);
+
+// Map conserva el orden de inserción: el primero es el menos usado recientemente
+function createLruCache({ max = SEARCH_CACHE_MAX, ttlMs = SEARCH_CACHE_TTL_MS } = {}) {
+  const entradas = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  return {
+    get(clave) {
+      const e = entradas.get(clave);
+      if (!e || e.expira <= Date.now()) {
+        if (e) entradas.delete(clave);
+        stats.misses++;
+        return undefined;
+      }
+      entradas.delete(clave);
+      entradas.set(clave, e);
+      stats.hits++;
+      return e.valor;
+    },
+    set(clave, valor) {
+      if (max <= 0 || ttlMs <= 0) return;
+      entradas.delete(clave);
+      entradas.set(clave, { valor, expira: Date.now() + ttlMs });
+      while (entradas.size > max) {
+        entradas.delete(entradas.keys().next().value);
+        stats.evictions++;
+      }
+    },
+    clear() {
+      entradas.clear();
+      stats.invalidations++;
+    },
+    stats() {
+      const consultas = stats.hits + stats.misses;
+      return { ...stats, size: entradas.size, max, ttlMs, hitRate: consultas ? Math.round(stats.hits / consultas * 1000) / 1000 : null };
+    }
+  };
+}
+
+const searchCache = createLruCache();
+
+// Cada fuente (Mongo, cada fuente en memoria) tiene su propio espacio de claves
+const sourceIds = new WeakMap();
+let nextSourceId = 0;
+const sourceKey = (source) => {
+  if (!sourceIds.has(source)) sourceIds.set(source, `${source.name}#${++nextSourceId}`);
+  return sourceIds.get(source);
+};
+
+// Tras cualquier escritura de salones, laboratorios, lugares o sinónimos.
+// `catalogoVersion` marca como viejos los índices de autocompletado.
+let catalogoVersion = 0;
+const invalidateSearchCache = () => { searchCache.clear(); catalogoVersion++; };
+
+/**
+ * Búsqueda con ranking compartida por /chat, /buscar y el webhook.
+ * Devuelve { resultados, sugerencias }: cada resultado lleva `score` (0..1) y,
+ * si ninguno supera SCORE_THRESHOLD, `sugerencias` trae los nombres más cercanos.
+ * Las respuestas se guardan en searchCache; se devuelven copias para que nadie
+ * modifique la entrada guardada.
+ */
+async function searchLocations(text, { tipo = detectTipo(text), limit = 5, source = mongoDataSource } = {}) {
+  const q = String(text || '').trim().slice(0, TEXT_MAX_LENGTH);
+  if (!q) return { resultados: [], sugerencias: [] };
+
+  const clave = [sourceKey(source), tipo || '*', limit, normalize(q)].join('|');
+  let r = searchCache.get(clave);
+  if (!r) searchCache.set(clave, r = await rankLocations(q, { tipo, limit, source }));
+  return { resultados: r.resultados.map(x => ({ ...x })), sugerencias: r.sugerencias.map(x => ({ ...x })) };
+}
+
+async function rankLocations(q, { tipo, limit, source }) {
+  const qTokens  = queryTokens(q);
+  const canonSet = canonicalSet(q);
+  const categoria = detectCategoria(q);
+  const byId = new Map();
+  const add = (doc, score) => {
+    const id = String(doc._id);
+    const prev = byId.get(id);
+    if (!prev || prev.score < score) byId.set(id, { ...prev, ...doc, score });
+    else if (doc.equipos) prev.equipos = doc.equipos;
+  };
+
+  // 1) Candidatos de la cascada: se conservan aunque puntúen bajo
+  for (const doc of await source.candidates(q, tipo, limit)) add(doc, scoreDoc(doc, qTokens, canonSet, categoria));
+
+  // 2) Pasada difusa sobre el catálogo si nada superó el umbral
+  let catalogo = null;
+  if (![...byId.values()].some(x => x.score >= SCORE_THRESHOLD)) {
+    catalogo = (await source.catalogue(tipo)).map(doc => ({ doc, score: scoreDoc(doc, qTokens, canonSet, categoria) }));
+    for (const { doc, score } of catalogo) {
+      if (score >= SCORE_THRESHOLD) add(doc, score);
+    }
+  }
+
+  // 2b) Inventario: laboratorios con el equipo o software pedido ("¿dónde hay impresoras 3D?")
+  const enInventario = EQUIPO_Q_RX.test(normalize(q)) || ![...byId.values()].some(x => x.score >= SCORE_THRESHOLD);
+  if ((!tipo || tipo === 'laboratorio') && source.equipment && enInventario) {
+    for (const { lab, equipos, score } of await labsWithEquipment(q, source)) add({ ...lab, equipos }, score);
+  }
+
+  const resultados = [...byId.values()]
+    .sort((a, b) => b.score - a.score || String(a.nombre).localeCompare(String(b.nombre), 'es'))
+    .slice(0, limit);
+
+  // 3) "¿Quisiste decir?": nombres más cercanos que no alcanzaron el umbral
+  const sugerencias = [];
+  if (catalogo && !resultados.some(x => x.score >= SCORE_THRESHOLD)) {
+    const vistos = new Set(resultados.map(x => normalize(x.nombre)));
+    catalogo
+      .filter(x => x.score >= SUGGEST_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .forEach(({ doc, score }) => {
+        const key = normalize(doc.nombre);
+        if (sugerencias.length >= SUGGEST_MAX || !doc.nombre || vistos.has(key)) return;
+        vistos.add(key);
+        sugerencias.push({ tipo: doc.tipo, nombre: doc.nombre, score });
+      });
+  }
+
+  return { resultados, sugerencias };
+}
+
+// =========================================================
+// Autocompletado (GET /sugerir)
+// Índice de prefijos en memoria con nombres, claves y alias de sinónimos
+// =========================================================
+const SUGGEST_TIPOS = ['salon', 'laboratorio', 'lugar'];
+const SUGGEST_INDEX_TTL_MS = parseInt(process.env.SUGGEST_INDEX_TTL_MS || String(5 * 60 * 1000), 10);
+
+/**
+ * Arreglo de claves normalizadas ordenado para búsqueda binaria. Cada texto se
+ * indexa desde cada una de sus palabras ("robotica" encuentra "Laboratorio de
+ * Robótica Industrial"); los alias sólo se indexan si su canónico está en el catálogo.
+ */
+function buildSuggestIndex(docs, synMaps) {
+  const claves = [];
+  const porNombre = new Map();
+  const indexar = (texto, entrada, peso, alias) => {
+    const palabras = normalize(texto).split(' ').filter(Boolean);
+    const completo = palabras.join(' ');
+    palabras.forEach((_, i) => claves.push({ clave: palabras.slice(i).join(' '), completo, entrada, peso: i ? peso - 1 : peso, alias }));
+  };
+
+  for (const d of docs) {
+    if (!d.nombre) continue;
+    const entrada = { tipo: d.tipo, canonical: d.nombre, id: String(d._id) };
+    for (const f of ['numero', 'codigo', 'categoria']) if (d[f]) entrada[f] = d[f];
+    porNombre.set(`${d.tipo}|${normalize(d.nombre)}`, entrada);
+    indexar(d.nombre, entrada, 3);
+    for (const c of [d.numero, d.codigo]) if (c) indexar(c, entrada, 3);
+  }
+  for (const [tipo, mapa] of Object.entries(synMaps)) {
+    for (const [alias, canonical] of mapa) {
+      const entrada = porNombre.get(`${tipo}|${normalize(canonical)}`);
+      if (entrada && alias !== normalize(canonical)) indexar(alias, entrada, 2, alias);
+    }
+  }
+  claves.sort((a, b) => (a.clave < b.clave ? -1 : a.clave > b.clave ? 1 : 0));
+  return { claves, entradas: porNombre.size };
+}
+
+// Claves que empiezan con `prefijo` (la primera se ubica por búsqueda binaria)
+function* keysWithPrefix(claves, prefijo) {
+  let lo = 0, hi = claves.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (claves[mid].clave < prefijo) lo = mid + 1; else hi = mid;
+  }
+  for (let i = lo; i < claves.length && claves[i].clave.startsWith(prefijo); i++) yield claves[i];
+}
+
+/**
+ * Completa `q`: primero como prefijo de una clave ("sala de comp"); si trae varias
+ * palabras, también cada una como prefijo de alguna palabra ("lab robo").
+ * Una entrada aparece una vez, con su mejor coincidencia.
+ */
+function suggestFromIndex({ claves }, q, { tipo, limit }) {
+  const t = normalize(q).replace(/[¿?¡!.,;:]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!t) return [];
+  const mejores = new Map();
+  const considerar = (k, score) => {
+    if (tipo && k.entrada.tipo !== tipo) return;
+    const clave = `${k.entrada.tipo}|${k.entrada.id}`;
+    const prev = mejores.get(clave);
+    if (!prev || prev.score < score) mejores.set(clave, { ...k.entrada, coincidencia: k.alias || null, score });
+  };
+
+  // Más corto = más cerca de lo tecleado; la coincidencia exacta va primero
+  for (const k of keysWithPrefix(claves, t)) considerar(k, k.peso + (k.clave === t ? 2 : 0) - k.completo.length / 100);
+
+  const tokens = t.split(' ');
+  if (tokens.length > 1) {
+    const resto = tokens.slice(0, -1);
+    for (const k of keysWithPrefix(claves, tokens[tokens.length - 1])) {
+      const palabras = k.completo.split(' ');
+      if (resto.every(tok => palabras.some(p => p.startsWith(tok)))) considerar(k, k.peso - 1.5 - k.completo.length / 100);
+    }
+  }
+
+  return [...mejores.values()]
+    .sort((a, b) => b.score - a.score || String(a.canonical).localeCompare(String(b.canonical), 'es', { numeric: true }))
+    .slice(0, limit)
+    .map(x => ({ ...x, score: Math.round(x.score * 100) / 100 }));
+}
+
+// Un índice por fuente; se reconstruye al cambiar el catálogo/sinónimos o al vencer el TTL
+const suggestIndexes = new WeakMap();
+function suggestIndex(source) {
+  let e = suggestIndexes.get(source);
+  if (!e || e.version !== catalogoVersion || e.expira <= Date.now()) {
+    const synMaps = { salon: SYN_MAP_SALON, laboratorio: SYN_MAP_LAB, lugar: SYN_MAP_LUGAR };
+    e = {
+      version: catalogoVersion,
+      expira: Date.now() + SUGGEST_INDEX_TTL_MS,
+      indice: source.catalogue().then(docs => buildSuggestIndex(docs, synMaps))
+    };
+    suggestIndexes.set(source, e);
+    const actual = e;
+    e.indice.catch(() => { if (suggestIndexes.get(source) === actual) suggestIndexes.delete(source); });
+  }
+  return e.indice;
+}
+
+// GET /sugerir?q=&limit=&tipo= → [{ tipo, canonical, id, numero|codigo|categoria, coincidencia, score }]
+router.get('/sugerir', suggestRateLimit, async (req, res, next) => {
+  try {
+    const q = limitText(req.query.q, 'q');
+    const tipo = req.query.tipo ? String(req.query.tipo).toLowerCase() : null;
+    if (tipo && !SUGGEST_TIPOS.includes(tipo)) throw httpError(400, 'Parámetro "tipo" inválido', SUGGEST_TIPOS);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '8', 10) || 8, 1), 20);
+
+    const data = normalize(q) ? suggestFromIndex(await suggestIndex(req.app.locals.source), q, { tipo, limit }) : [];
+    res.json({ q, total: data.length, data });
+  } catch (e) { next(e); }
+});
+
+// =========================================================
+// Constructores de respuesta para resultados de búsqueda
+// Texto plano y tarjetas richContent (imagen + info, sin botón)
+// =========================================================
+// "Impresora 3D (3)", "Osciloscopio (1, en mantenimiento)"
+function equipoLabel(e, lang) {
+  const detalle = [];
+  if (e.cantidad !== undefined && e.cantidad !== null) detalle.push(e.cantidad);
+  if (e.estado && e.estado !== 'disponible') detalle.push(msg(lang, `equipo.estados.${e.estado}`));
+  const nombre = localized(e, 'nombre', lang);
+  return detalle.length ? `${nombre} (${detalle.join(', ')})` : nombre;
+}
+
+const equipmentList = (x, lang) => (x.equipos || []).map(e => equipoLabel(e, lang)).join(', ');
+
+// Líneas comunes de las tarjetas ("Edificio: …", "Piso: …", "Accesibilidad: …", "Equipo: …", "Aviso: …") en el idioma pedido
+function cardLines(x, lang) {
+  const t = (k) => msg(lang, `tarjeta.${k}`);
+  const sd = msg(lang, 'comun.sinDato');
+  return [
+    `${t('edificio')}: ${x.edificio || `${t('edificio')} ${sd}`}`,
+    `${t('piso')}: ${x.piso || `${t('piso')} ${sd}`}`,
+    `${t('ubicacion')}: ${x.ubicacion || sd}`,
+    accessibilityLine(x, lang),
+    x.equipos && x.equipos.length ? `${t('equipo')}: ${equipmentList(x, lang)}` : null,
+    ...noticeLines(x, lang)
+  ].filter(Boolean);
+}
+
+function buildSalonCard(x, lang = IDIOMA_BASE) {
+  const titulo   = x.nombre || x.numero || msg(lang, 'tarjeta.salon');
+  const imgUrl   = floorPlanUrl(x) || pickBuildingImage(x);
+
+  const card = [];
+  if (imgUrl) card.push({ type: "image", rawUrl: imgUrl, accessibilityText: titulo });
+  card.push({
+    type: "info",
+    title: `${msg(lang, 'tarjeta.nombre')}: ${titulo}`,
+    subtitle: cardLines(x, lang).join('\n')
+  });
+  return card;
+}
+
+function buildLabCard(x, lang = IDIOMA_BASE) {
+  const titulo   = x.nombre || x.codigo || msg(lang, 'tarjeta.laboratorio');
+  const imgUrl   = floorPlanUrl(x) || pickBuildingImage(x);
+
+  const card = [];
+  if (imgUrl) card.push({ type: "image", rawUrl: imgUrl, accessibilityText: titulo });
+  card.push({
+    type: "info",
+    title: `${msg(lang, 'tarjeta.nombre')}: ${titulo}`,
+    subtitle: cardLines(x, lang).join('\n')
+  });
+  return card;
+}
+
+const CATEGORIA_LABELS = CATALOGOS[IDIOMA_BASE].categorias;
+const categoriaLabel = (categoria, lang = IDIOMA_BASE) =>
+  msg(lang, `categorias.${categoria in CATEGORIA_LABELS ? categoria : 'otro'}`);
+
+function buildLugarCard(x, lang = IDIOMA_BASE) {
+  const t        = (k) => msg(lang, `tarjeta.${k}`);
+  const titulo   = x.nombre || categoriaLabel(x.categoria, lang);
+  const imgUrl   = floorPlanUrl(x) || pickBuildingImage(x);
+  const a        = x.atributos || {};
+
+  const extra = [];
+  if (a.profesor)        extra.push(`${t('profesor')}: ${a.profesor}`);
+  if (a.responsable)     extra.push(`${t('responsable')}: ${a.responsable}`);
+  if (a.genero)          extra.push(`${t('sanitario')}: ${a.genero}`);
+  if (a.horarioAtencion) extra.push(`${t('horario')}: ${a.horarioAtencion}`);
+  if (a.telefono || a.extension) extra.push(`${t('telefono')}: ${[a.telefono, a.extension && `${t('extension')} ${a.extension}`].filter(Boolean).join(' ')}`);
+  if (a.capacidad)       extra.push(`${t('capacidad')}: ${a.capacidad}`);
+
+  const card = [];
+  if (imgUrl) card.push({ type: "image", rawUrl: imgUrl, accessibilityText: titulo });
+  card.push({
+    type: "info",
+    title: `${t('nombre')}: ${titulo}`,
+    subtitle: [`${t('tipo')}: ${categoriaLabel(x.categoria, lang)}`, ...cardLines(x, lang), ...extra].join('\n')
+  });
+  return card;
+}
+
+function buildCard(x, lang) {
+  if (x.tipo === 'salon') return buildSalonCard(x, lang);
+  if (x.tipo === 'lugar') return buildLugarCard(x, lang);
+  return buildLabCard(x, lang);
+}
+
+function buildNoResultsText(sugerencias = [], lang = IDIOMA_BASE) {
+  const ninguno = msg(lang, 'resultados.ninguno');
+  if (!sugerencias.length) return ninguno;
+  return `${ninguno} ${msg(lang, 'resultados.quisisteDecir', { lista: joinOr(lang, sugerencias.map(x => x.nombre)) })}`;
+}
+
+// Chips de Dialogflow Messenger para reenviar la sugerencia con un clic
+function buildSuggestionChips(sugerencias = []) {
+  return [[{ type: 'chips', options: sugerencias.map(x => ({ text: x.nombre })) }]];
+}
+
+// Mensajes de chat (texto + richContent) a partir de una respuesta del motor
+function buildSearchMessages({ resultados, sugerencias = [], texto, richContent }, lang = IDIOMA_BASE) {
+  if (!resultados.length && !richContent) {
+    const messages = [{ role: 'bot', text: texto || buildNoResultsText(sugerencias, lang) }];
+    if (sugerencias.length) messages.push({ role: 'bot', payload: { richContent: buildSuggestionChips(sugerencias) } });
+    return messages;
+  }
+  return [
+    { role: 'bot', text: [texto || buildResultsText(resultados, lang), noticesText(resultados, lang)].filter(Boolean).join('\n\n') },
+    { role: 'bot', payload: { richContent: richContent || buildRichContent(resultados, lang) } }
+  ];
+}
+
+function buildResultsText(resultados, lang = IDIOMA_BASE) {
+  return [
+    msg(lang, 'resultados.encontre', { n: resultados.length }),
+    ...resultados.map(x => {
+      const nombre = x.nombre || x.codigo || msg(lang, x.tipo === "salon" ? 'tarjeta.salon' : 'tarjeta.laboratorio');
+      if (x.equipos && x.equipos.length) return `${nombre}: ${equipmentList(x, lang)}`;
+      return x.tipo === 'lugar' && x.piso ? msg(lang, 'resultados.lugarDetalle', { nombre, edificio: x.edificio, piso: x.piso }) : nombre;
+    })
+  ].join("\n");
+}
+
+function buildRichContent(resultados, lang) {
+  const richContent = [[]];
+  resultados.slice(0, 5).forEach(x => {
+    richContent[0].push(...buildCard(x, lang));
+  });
+  return richContent;
+}
+
+
+// =========================================================
+// Almacén de sesiones para el contexto conversacional de /chat
+// Backends en memoria y MongoDB con la misma interfaz get/set/delete
+// =========================================================
+const CHAT_SESSION_TTL_MS = parseInt(process.env.CHAT_SESSION_TTL_MS || String(15 * 60 * 1000), 10);
+
+function createMemorySessionStore({ ttlMs = CHAT_SESSION_TTL_MS } = {}) {
+  const sessions = new Map();
+  const purge = setInterval(() => {
+    const now = Date.now();
+    for (const [id, s] of sessions) if (s.expiresAt <= now) sessions.delete(id);
+  }, Math.max(ttlMs, 60 * 1000));
+  purge.unref();
+
+  return {
+    async get(id) {
+      const s = sessions.get(id);
+      if (!s) return null;
+      if (s.expiresAt <= Date.now()) { sessions.delete(id); return null; }
+      return s.data;
+    },
+    async set(id, data) {
+      sessions.set(id, { data, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(id) {
+      sessions.delete(id);
+    }
+  };
+}
+
+// El índice TTL de Mongo purga cada ~60 s; get() también descarta expiradas
+function createMongoSessionStore({ ttlMs = CHAT_SESSION_TTL_MS } = {}) {
+  return {
+    async get(id) {
+      const s = await ChatSession.findOne({ _id: id, expiresAt: { $gt: new Date() } }).lean();
+      return s ? s.data : null;
+    },
+    async set(id, data) {
+      await ChatSession.updateOne(
+        { _id: id },
+        { $set: { data, expiresAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true }
+      );
+    },
+    async delete(id) {
+      await ChatSession.deleteOne({ _id: id });
+    }
+  };
+}
+
+const chatSessions = process.env.CHAT_SESSION_STORE === 'mongo'
+  ? createMongoSessionStore()
+  : createMemorySessionStore();
+
+// =========================================================
+// Resolución de preguntas de seguimiento con el contexto de sesión
+// "¿y en qué piso está?" (atributo) o "¿y el I?" (variante del último resultado)
+// =========================================================
+const FOLLOWUP_ATTRS = {
+  // Accesibilidad antes que edificio: "¿y el edificio tiene elevador?"
+  ...Object.fromEntries(ACCESS_Q_ATTRS),
+  piso:      /\b(piso|planta|nivel)\b/,
+  edificio:  /\b(edificio)\b/,
+  ubicacion: /\b(ubicacion|donde|queda|como llego)\b/
+};
+const FOLLOWUP_ATTR_WORDS = new Set([
+  'piso', 'planta', 'nivel', 'edificio', 'ubicacion', 'donde', 'queda', 'como', 'llego',
+  'tiene', 'hay', 'puedo', 'llegar', 'en', 'con', 'de', 'sin', 'silla', 'ruedas', 'escaleras', 'escalones',
+  'elevador', 'ascensor', 'rampa', 'accesible', 'bano', 'banos', 'sanitario', 'entrada'
+]);
+
+const ROMAN = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+const toRoman  = (n) => ROMAN[n] || String(n);
+const fromRoman = (r) => ROMAN.indexOf(String(r).toUpperCase());
+
+// Sustituye la variante final de un nombre ("Telemática II" + "1" → "Telemática I")
+function swapVariant(nombre, variante) {
+  const v = String(variante).trim();
+  const m = String(nombre).match(/^(.*?)\s+([IVX]+|\d+)$/);
+  if (!m) return `${nombre} ${v}`;
+  const previaRomana = /^[IVX]+$/.test(m[2]);
+  const n = /^\d+$/.test(v) ? parseInt(v, 10) : fromRoman(v);
+  // Los números de salón (126 → 124) se reemplazan tal cual
+  if (!previaRomana || n <= 0 || /^\d{3,}$/.test(v)) return `${m[1]} ${v.toUpperCase()}`;
+  return `${m[1]} ${toRoman(n)}`;
+}
+
+function followUpAttribute(q) {
+  const t = normalize(q);
+  const restantes = queryTokens(q).filter(tok => !FOLLOWUP_ATTR_WORDS.has(tok) && tok !== 'y');
+  if (restantes.length || detectCanonicalSalon(q) || detectCanonicalLab(q)) return null;
+  for (const [attr, rx] of Object.entries(FOLLOWUP_ATTRS)) if (rx.test(t)) return attr;
+  return null;
+}
+
+function followUpVariant(q) {
+  const m = normalize(q).replace(/[¿?¡!.,]/g, '').trim()
+    .match(/^y\s+(?:en\s+)?(?:el|la|los|las)?\s*(?:(?:lab|laboratorio|salon|aula|sala)\s+)?([ivx]+|\d+)$/);
+  return m ? m[1] : '';
+}
+
+function followUpTopic(q) {
+  const m = normalize(q).replace(/[¿?¡!.,]/g, '').trim().match(/^y\s+(?:el|la)\s+de\s+(.+)$/);
+  return m ? m[1] : '';
+}
+
+async function loadRefs(refs = [], { source = mongoDataSource } = {}) {
+  const out = [];
+  for (const r of refs) {
+    const [doc] = await source.findByIds(r.tipo, [r.id]);
+    if (doc) out.push({ ...doc, score: r.score ?? 1 });
+  }
+  return out;
+}
+
+function buildAttributeText(x, attr, lang = IDIOMA_BASE) {
+  if (ACCESIBILIDAD_ATTRS.includes(attr)) return placeAccessibilityText(x, attr, lang);
+  const nombre = x.nombre || x.numero || x.codigo;
+  if (attr === 'piso') return msg(lang, x.piso ? 'atributo.piso' : 'atributo.sinPiso', { nombre, piso: x.piso });
+  if (attr === 'edificio') {
+    if (!x.edificio) return msg(lang, 'atributo.sinEdificio', { nombre });
+    const edificio = /^edificio\b/i.test(x.edificio) ? x.edificio : msg(lang, 'atributo.edificioN', { edificio: x.edificio });
+    return msg(lang, 'atributo.edificio', { nombre, edificio });
+  }
+  const partes = [x.edificio, x.piso && msg(lang, 'atributo.pisoN', { piso: x.piso }), x.ubicacion].filter(Boolean);
+  return partes.length ? msg(lang, 'atributo.ubicacion', { nombre, detalle: partes.join(', ') }) : msg(lang, 'atributo.sinUbicacion', { nombre });
+}
+
+/**
+ * Intenta resolver `q` contra el contexto previo. Devuelve null si no es un seguimiento;
+ * si lo es, { resultados, sugerencias, atributo? } con la misma forma que searchLocations.
+ */
+async function resolveFollowUp(q, ctx, { source } = {}) {
+  if (!ctx || !Array.isArray(ctx.ultimos) || !ctx.ultimos.length) return null;
+
+  const attr = followUpAttribute(q);
+  if (attr) {
+    const resultados = await loadRefs(ctx.ultimos.slice(0, 1), { source });
+    return resultados.length ? { resultados, sugerencias: [], atributo: attr } : null;
+  }
+
+  const ultimo = ctx.ultimos[0];
+  const variante = followUpVariant(q);
+  if (variante) {
+    return searchLocations(swapVariant(ultimo.nombre, variante), { tipo: ultimo.tipo, source });
+  }
+
+  const tema = followUpTopic(q);
+  if (tema) {
+    const prefijo = ultimo.tipo === 'salon' ? 'salón' : 'laboratorio de';
+    return searchLocations(`${prefijo} ${tema}`, { tipo: ultimo.tipo, source });
+  }
+  return null;
+}
+
+// =========================================================
+// Formatos de respuesta de /chat
+// JSON estructurado (por defecto), texto plano, Markdown, fragmento HTML y SSML
+// =========================================================
+const CHAT_FORMATS = {
+  json:     'application/json',
+  text:     'text/plain',
+  markdown: 'text/markdown',
+  html:     'text/html',
+  ssml:     'application/ssml+xml'
+};
+const CHAT_FORMAT_ALIASES = { txt: 'text', plain: 'text', md: 'markdown' };
+
+// `format` (body o query) manda; si no viene, se negocia con Accept
+function chatFormat(req) {
+  const pedido = String((req.body && req.body.format) || req.query.format || '').trim().toLowerCase();
+  if (pedido) {
+    const f = CHAT_FORMAT_ALIASES[pedido] || pedido;
+    if (!CHAT_FORMATS[f]) throw httpError(400, `Formato no soportado: "${pedido}"`, Object.keys(CHAT_FORMATS));
+    return f;
+  }
+  const mime = req.accepts(Object.values(CHAT_FORMATS));
+  return Object.keys(CHAT_FORMATS).find(k => CHAT_FORMATS[k] === mime) || 'json';
+}
+
+function renderText({ partes }) {
+  return partes.map(p => p.tipo === 'foto' ? p.pie : p.texto).filter(Boolean).join('\n\n');
+}
+
+const mdEscape = (s) => String(s ?? '').replace(/([\\`*_[\]#|<>])/g, '\\$1');
+const mdLines  = (s) => String(s).split('\n').map(mdEscape).join('  \n');
+
+function renderMarkdown({ partes }) {
+  return partes.map(p => {
+    if (p.tipo === 'texto') return mdLines(p.texto);
+    const [titulo, ...resto] = String(p.pie || p.alt).split('\n');
+    return [`![${mdEscape(p.alt)}](${p.url})`, `**${mdEscape(titulo)}**`, ...resto.map(mdEscape)].join('  \n');
+  }).join('\n\n');
+}
+
+function renderHtml({ partes, opciones }) {
+  const lineas = (s) => String(s).split('\n').map(xmlEscape).join('<br>');
+  const out = ['<div class="chat-respuesta">'];
+  for (const p of partes) {
+    if (p.tipo === 'texto') { out.push(`<p>${lineas(p.texto)}</p>`); continue; }
+    const [titulo, ...resto] = String(p.pie || p.alt).split('\n');
+    out.push(`<figure><img src="${xmlEscape(p.url)}" alt="${xmlEscape(p.alt)}">` +
+      `<figcaption><strong>${xmlEscape(titulo)}</strong>${resto.length ? '<br>' + lineas(resto.join('\n')) : ''}</figcaption></figure>`);
+  }
+  if (opciones.length) {
+    out.push(`<ul class="chat-opciones">${opciones.map(o => `<li>${xmlEscape(o)}</li>`).join('')}</ul>`);
+  }
+  out.push('</div>');
+  return out.join('\n');
+}
+
+// Abreviaturas que un motor de voz leería mal, por idioma
+const SSML_PALABRAS = Object.fromEntries(IDIOMAS.map(l => [l, [
+  [/\bPB\b/g, msg(l, 'ssml.plantaBaja')],
+  [new RegExp(`\\b${rxEscapeChat(msg(l, 'comun.sinDato'))}\\b`, 'g'), msg(l, 'ssml.sinDato')],
+  [/~\s*/g, `${msg(l, 'ssml.aproximadamente')} `],
+  [/\bmin\b/g, msg(l, 'ssml.minutos')],
+  [/\b(\d+)\s?m\b/g, `$1 ${msg(l, 'ssml.metros')}`],
+  [/\s*[·→]\s*/g, ', ']
+]]));
+
+/**
+ * Texto → SSML: horas como hora, números como cardinales y códigos de salón
+ * deletreados ("L320" → "L" + "trescientos veinte", "1MV1" letra por letra).
+ */
+function ssmlText(s, lang = IDIOMA_BASE) {
+  let t = String(s ?? '');
+  for (const [rx, rep] of SSML_PALABRAS[lang]) t = t.replace(rx, rep);
+  return xmlEscape(t).replace(
+    /\b(\d{1,2}:\d{2})\b|\b([A-Za-z]{1,3})(\d{1,4})\b|\b(\d+[A-Za-z]+\d*)\b|\b(\d+)\b/g,
+    (m, hora, letras, num, codigo, n) => {
+      if (hora) return `<say-as interpret-as="time" format="hms24">${hora}</say-as>`;
+      if (letras) return `<say-as interpret-as="characters">${letras}</say-as> <say-as interpret-as="cardinal">${num}</say-as>`;
+      if (codigo) return `<say-as interpret-as="characters">${codigo}</say-as>`;
+      return `<say-as interpret-as="cardinal">${n}</say-as>`;
+    });
+}
+
+// Las imágenes no se leen: sólo su pie
+function renderSsml({ partes }, lang = IDIOMA_BASE) {
+  const parrafos = partes
+    .map(p => p.tipo === 'foto' ? p.pie : p.texto)
+    .filter(Boolean)
+    .map(t => `<p>${t.split('\n').map(linea => ssmlText(linea, lang)).join('<break strength="medium"/>')}</p>`);
+  return `<speak xml:lang="${msg(lang, 'ssml.idioma')}">${parrafos.join('')}</speak>`;
+}
+
+const CHAT_RENDERERS = { text: renderText, markdown: renderMarkdown, html: renderHtml, ssml: renderSsml };
+
+// =========================================================
+// Endpoint POST /chat
+// Implementa búsqueda inteligente con PLN y sinónimos
+// Retorna resultados con texto y tarjetas enriquecidas
+// =========================================================
+// Un turno de conversación (respuesta directa, seguimiento o búsqueda) con su
+// memoria de sesión. Lo comparten POST /chat y los canales de mensajería.
+// Con `lang` distinto del español la consulta se reescribe antes de pasar al motor.
+async function chatTurn(texto, sid, { source = mongoDataSource, sessions = chatSessions, lang = IDIOMA_BASE } = {}) {
+  const ctx = await sessions.get(sid);
+  const q = toSpanishQuery(texto, lang);
+
+  const directa = await answerDirect(q, { source, lang });
+  const seguimiento = directa ? null : await resolveFollowUp(q, ctx, { source });
+  const respuesta = directa || seguimiento || await searchLocations(q, { source });
+  const { resultados, sugerencias, atributo, ruta } = respuesta;
+  if (atributo) respuesta.texto = buildAttributeText(resultados[0], atributo, lang);
+  const avisos = await attachNotices(resultados, { source });
+  const messages = buildSearchMessages(respuesta, lang);
+
+  const consulta = {
+    texto,
+    tipo: ruta ? 'ruta' : directa ? (directa.tipoConsulta || 'horario') : seguimiento ? 'seguimiento' : (detectTipo(q) || 'mixto'),
+    canonical: resultados[0] && resultados[0].nombre,
+    resultados: resultados.length || (respuesta.richContent ? 1 : 0)
+  };
+
+  // Si no hubo resultados:
+  if (!resultados.length && !respuesta.richContent) {
+    return { consulta, body: { sessionId: sid, messages, suggestions: sugerencias } };
+  }
+
+  const refs = resultados.map(x => ({ tipo: x.tipo, id: String(x._id), nombre: x.nombre, score: x.score }));
+  if (refs.length) await sessions.set(sid, { ultimos: refs, ultimaConsulta: texto });
+
+  const body = { sessionId: sid, messages, results: refs };
+  if (ruta) body.route = ruta;
+  if (seguimiento) body.followUp = true;
+  if (avisos.length) body.notices = avisos;
+  if (sugerencias.length) body.suggestions = sugerencias;
+  return { consulta, body };
+}
+
+router.post('/chat', trackQuery('/chat'), async (req, res, next) => {
+  try {
+    const { text = '', sessionId } = req.body || {};
+    const q = limitText(text, 'text');
+    if (!q) return res.status(400).json({ error: 'Falta "text"' });
+
+    const format = chatFormat(req);
+    const lang = requestLang(req);
+    const { consulta, body } = await chatTurn(q, sessionId ? String(sessionId) : uuidv4(), { ...req.app.locals, lang });
+    res.locals.consulta = consulta;
+    if (format === 'json') return res.json(body);
+
+    // Formatos de texto: el id de sesión viaja en la cabecera
+    res.set('X-Session-Id', body.sessionId);
+    return res.type(`${CHAT_FORMATS[format]}; charset=utf-8`).send(CHAT_RENDERERS[format](toChannelParts(body.messages), lang));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =========================================================
+// Endpoint POST /webhook/dialogflow
+// Fulfillment de Dialogflow ES: resuelve intents de ubicación con searchLocations
+// y responde en formato WebhookResponse (fulfillmentText + richContent)
+// =========================================================
+const DIALOGFLOW_WEBHOOK_TOKEN = process.env.DIALOGFLOW_WEBHOOK_TOKEN || '';
+
+// Parámetros del intent (entidades) que se mapean a un tipo de búsqueda
+const DF_PARAM_TIPOS = {
+  salon: 'salon', salones: 'salon', aula: 'salon', numero_salon: 'salon',
+  laboratorio: 'laboratorio', laboratorios: 'laboratorio', lab: 'laboratorio',
+  lugar: 'lugar', servicio: 'lugar', oficina: 'lugar'
+};
+
+// Los parámetros llegan como string, número, lista o struct (p. ej. @sys.number)
+function dfParamValue(v) {
+  if (v === null || v === undefined) return '';
+  if (Array.isArray(v)) {
+    for (const item of v) {
+      const val = dfParamValue(item);
+      if (val) return val;
+    }
+    return '';
+  }
+  if (typeof v === 'object') return dfParamValue(v.name || v.value || v.original || '');
+  return String(v).trim();
+}
+
+function dialogflowTokenOk(req) {
+  const token = tokenFromRequest(req) || String(req.get('x-webhook-token') || '').trim();
+  return Boolean(DIALOGFLOW_WEBHOOK_TOKEN && token) && safeEqual(token, DIALOGFLOW_WEBHOOK_TOKEN);
+}
+
+function requireWebhookToken(req, res, next) {
+  if (!DIALOGFLOW_WEBHOOK_TOKEN) return next();
+  if (!dialogflowTokenOk(req)) {
+    return res.status(401).json({ error: 'Token de webhook inválido' });
+  }
+  next();
+}
+
+function dfWebhookResponse(text, richContent) {
+  const fulfillmentMessages = [{ text: { text: [text] } }];
+  if (richContent) fulfillmentMessages.push({ payload: { richContent } });
+  return { fulfillmentText: text, fulfillmentMessages };
+}
+
+router.post('/webhook/dialogflow', requireWebhookToken, async (req, res, next) => {
+  try {
+    const qr = (req.body && req.body.queryResult) || null;
+    if (!qr) return res.status(400).json({ error: 'Falta "queryResult"' });
+
+    const params = qr.parameters || {};
+    const { source } = req.app.locals;
+    // Dialogflow informa el idioma del agente que atendió la consulta
+    const lang = parseLang(qr.languageCode) || IDIOMA_BASE;
+    const resultados = [];
+    const sugerencias = [];
+    const usados = new Set();
+    const sugeridos = new Set();
+    // La entidad y el queryText pueden devolver lo mismo: resultados y sugerencias sin repetir
+    const push = (found) => {
+      for (const d of found.resultados) {
+        const id = String(d._id);
+        if (!usados.has(id)) { usados.add(id); resultados.push(d); }
+      }
+      for (const s of found.sugerencias) {
+        const clave = `${s.tipo}|${normalize(s.nombre)}`;
+        if (!sugeridos.has(clave)) { sugeridos.add(clave); sugerencias.push(s); }
+      }
+    };
+
+    // 1) Entidades del intent → búsqueda con tipo forzado
+    for (const [name, tipo] of Object.entries(DF_PARAM_TIPOS)) {
+      const val = dfParamValue(params[name]);
+      if (val) push(await searchLocations(toSpanishQuery(val, lang), { tipo, source }));
+    }
+
+    // 2) Sin entidades reconocidas → texto original del usuario
+    if (!resultados.length) {
+      const queryText = String(qr.queryText || '').trim().slice(0, TEXT_MAX_LENGTH);
+      if (queryText) push(await searchLocations(toSpanishQuery(queryText, lang), { source }));
+    }
+
+    if (!resultados.length) {
+      const chips = sugerencias.length ? buildSuggestionChips(sugerencias.slice(0, SUGGEST_MAX)) : null;
+      return res.json(dfWebhookResponse(buildNoResultsText(sugerencias.slice(0, SUGGEST_MAX), lang), chips));
+    }
+    return res.json(dfWebhookResponse(buildResultsText(resultados, lang), buildRichContent(resultados, lang)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =========================================================
+// Canales de mensajería: Telegram y WhatsApp
+// Webhooks de entrada y conversión de tarjetas a mensajes nativos
+// =========================================================
+const TELEGRAM_BOT_TOKEN       = process.env.TELEGRAM_BOT_TOKEN || '';
+const TELEGRAM_WEBHOOK_SECRET  = process.env.TELEGRAM_WEBHOOK_SECRET || '';
+const TELEGRAM_API_URL         = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+const WHATSAPP_TOKEN           = process.env.WHATSAPP_TOKEN || '';
+const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID || '';
+const WHATSAPP_VERIFY_TOKEN    = process.env.WHATSAPP_VERIFY_TOKEN || '';
+const WHATSAPP_APP_SECRET      = process.env.WHATSAPP_APP_SECRET || '';
+const WHATSAPP_API_URL         = (process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0').replace(/\/+$/, '');
+const CHANNEL_TRANSPORT        = (process.env.CHANNEL_TRANSPORT || 'http').toLowerCase();
+// El envío corre dentro del webhook: una API lenta no debe retener la respuesta a Telegram/Meta
+const CHANNEL_TIMEOUT_MS       = parseInt(process.env.CHANNEL_TIMEOUT_MS || '10000', 10);
+
+function telegramSecretOk(req) {
+  return Boolean(TELEGRAM_WEBHOOK_SECRET) && safeEqual(String(req.get('x-telegram-bot-api-secret-token') || ''), TELEGRAM_WEBHOOK_SECRET);
+}
+
+// Firma HMAC de Meta sobre el cuerpo sin parsear (req.rawBody)
+function whatsappSignatureOk(req) {
+  if (!WHATSAPP_APP_SECRET) return false;
+  const firma = 'sha256=' + crypto.createHmac('sha256', WHATSAPP_APP_SECRET).update(req.rawBody || '').digest('hex');
+  return safeEqual(String(req.get('x-hub-signature-256') || ''), firma);
+}
+
+const CAPTION_MAX = 1024;  // límite de pie de foto en Telegram y WhatsApp
+const WA_BUTTONS_MAX = 3;
+const WA_BUTTON_TITLE_MAX = 20;
+
+/**
+ * Transporte de salida. Cada canal arma { canal, metodo, url, headers, body } y
+ * el transporte sólo lo entrega: `http` hace el POST con fetch; `log` lo imprime
+ * sin tocar la red. Para pruebas basta apuntar TELEGRAM_API_URL/WHATSAPP_API_URL
+ * a un servidor falso local.
+ */
+function createHttpTransport() {
+  return {
+    name: 'http',
+    async send({ canal, metodo, url, headers = {}, body }) {
+      const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(CHANNEL_TIMEOUT_MS)
+      });
+      const data = await r.json().catch(() => null);
+      if (!r.ok) throw httpError(502, `${canal} rechazó ${metodo} (${r.status})`, data);
+      return data;
+    }
+  };
+}
+
+function createLogTransport() {
+  return {
+    name: 'log',
+    async send({ canal, metodo, body }) {
+      console.log(`[${canal}] ${metodo}`, JSON.stringify(body));
+      return { ok: true };
+    }
+  };
+}
+
+const channelTransport = CHANNEL_TRANSPORT === 'log' ? createLogTransport() : createHttpTransport();
+
+/**
+ * Mensajes de chatTurn (texto + richContent) → partes neutras de canal:
+ * { tipo: 'texto', texto } y { tipo: 'foto', url, pie }, más las opciones de los chips.
+ * Una tarjeta imagen + info/description se vuelve una foto con pie.
+ */
+function toChannelParts(messages) {
+  const partes = [];
+  const opciones = [];
+  for (const m of messages) {
+    if (m.text) partes.push({ tipo: 'texto', texto: m.text });
+    for (const card of (m.payload && m.payload.richContent) || []) {
+      let foto = null;
+      for (const item of card) {
+        if (item.type === 'image') {
+          foto = { tipo: 'foto', url: item.rawUrl, alt: item.accessibilityText || '', pie: item.accessibilityText || '' };
+          partes.push(foto);
+          continue;
+        }
+        if (item.type === 'chips') {
+          opciones.push(...(item.options || []).map(o => o.text).filter(Boolean));
+          continue;
+        }
+        const texto = [item.title, item.subtitle, ...[].concat(item.text || [])].filter(Boolean).join('\n');
+        if (!texto) continue;
+        if (foto && texto.length <= CAPTION_MAX) foto.pie = texto;
+        else partes.push({ tipo: 'texto', texto });
+        foto = null;
+      }
+    }
+  }
+  return { partes, opciones };
+}
+
+// Los planos renderizados son SVG: ningún canal los acepta como foto, van como documento
+const isSvgUrl = url => /\.svg(?:$|\?)/i.test(String(url || ''));
+
+// Telegram Bot API: sendPhoto/sendMessage; las opciones van como teclado de respuesta
+function telegramRequests(chatId, { partes, opciones }) {
+  const reqs = partes.map(p => {
+    if (p.tipo === 'texto') return { metodo: 'sendMessage', body: { chat_id: chatId, text: p.texto } };
+    return isSvgUrl(p.url)
+      ? { metodo: 'sendDocument', body: { chat_id: chatId, document: p.url, caption: p.pie } }
+      : { metodo: 'sendPhoto', body: { chat_id: chatId, photo: p.url, caption: p.pie } };
+  });
+  if (opciones.length && reqs.length) {
+    reqs[reqs.length - 1].body.reply_markup = {
+      keyboard: opciones.map(text => [{ text }]),
+      one_time_keyboard: true,
+      resize_keyboard: true
+    };
+  }
+  return reqs.map(r => ({ ...r, canal: 'telegram', url: `${TELEGRAM_API_URL}/bot${TELEGRAM_BOT_TOKEN}/${r.metodo}` }));
+}
+
+// WhatsApp Cloud API: image/text; las opciones van como botones de respuesta
+// (máx. 3, título de 20 caracteres: el texto completo viaja en el id del botón)
+function whatsappRequests(to, { partes, opciones }) {
+  const base = { messaging_product: 'whatsapp', recipient_type: 'individual', to };
+  const bodies = partes.map(p => {
+    if (p.tipo === 'texto') return { ...base, type: 'text', text: { body: p.texto } };
+    return isSvgUrl(p.url)
+      ? { ...base, type: 'document', document: { link: p.url, caption: p.pie, filename: 'plano.svg' } }
+      : { ...base, type: 'image', image: { link: p.url, caption: p.pie } };
+  });
+  if (opciones.length) {
+    const ultimo = bodies[bodies.length - 1];
+    const cuerpo = ultimo && ultimo.type === 'text' ? bodies.pop().text.body : msg(IDIOMA_BASE, 'resultados.opciones');
+    bodies.push({
+      ...base,
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: { text: cuerpo },
+        action: {
+          buttons: opciones.slice(0, WA_BUTTONS_MAX).map(t => ({
+            type: 'reply', reply: { id: `q:${t}`, title: t.slice(0, WA_BUTTON_TITLE_MAX) }
+          }))
+        }
+      }
+    });
+  }
+  return bodies.map(body => ({
+    canal: 'whatsapp',
+    metodo: body.type,
+    url: `${WHATSAPP_API_URL}/${WHATSAPP_PHONE_NUMBER_ID}/messages`,
+    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` },
+    body
+  }));
+}
+
+// Envía en orden; al primer fallo se detiene (el resto perdería contexto)
+async function deliver(requests) {
+  let enviados = 0;
+  for (const r of requests) {
+    try {
+      await channelTransport.send(r);
+      enviados++;
+    } catch (err) {
+      console.error(`! Envío ${r.canal}/${r.metodo} falló:`, err.message);
+      break;
+    }
+  }
+  return { enviados, total: requests.length };
+}
+
+// Responde una pregunta de canal con el mismo motor de /chat
+// Los canales no pueden devolver 400: el texto excedente se recorta
+async function channelReply(texto, sid, opciones) {
+  const q = texto.slice(0, TEXT_MAX_LENGTH);
+  if (/^\/start\b/.test(q)) {
+    return { consulta: null, partes: { partes: [{ tipo: 'texto', texto: msg(opciones.lang, 'chat.bienvenida') }], opciones: [] } };
+  }
+  const { consulta, body } = await chatTurn(q, sid, opciones);
+  return { consulta, partes: toChannelParts(body.messages) };
+}
+
+router.post('/webhook/telegram', trackQuery('/webhook/telegram'), async (req, res, next) => {
+  try {
+    // Sin secreto cualquiera podría hacerse pasar por Telegram: el canal no se habilita
+    if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_WEBHOOK_SECRET) {
+      return res.status(503).json({ error: 'Telegram deshabilitado: faltan TELEGRAM_BOT_TOKEN / TELEGRAM_WEBHOOK_SECRET en .env' });
+    }
+    if (!telegramSecretOk(req)) {
+      return res.status(401).json({ error: 'Token de webhook inválido' });
+    }
+
+    // Sólo mensajes de texto; el resto de updates (fotos, stickers, ediciones) se ignoran
+    const mensaje = req.body && req.body.message;
+    const q = mensaje && typeof mensaje.text === 'string' ? mensaje.text.trim() : '';
+    if (!q || !mensaje.chat) return res.json({ ok: true, ignored: true });
+
+    // Idioma de la app de Telegram del usuario ("en", "en-GB"); español si no se soporta
+    const lang = parseLang(mensaje.from && mensaje.from.language_code) || IDIOMA_BASE;
+    // Telegram reintenta ante respuestas distintas de 2xx: aceptado el update, los fallos sólo se registran
+    try {
+      const { consulta, partes } = await channelReply(q, `telegram:${mensaje.chat.id}`, { ...req.app.locals, lang });
+      res.locals.consulta = consulta;
+      res.json({ ok: true, ...(await deliver(telegramRequests(mensaje.chat.id, partes))) });
+    } catch (err) {
+      console.error('! Telegram: no se pudo contestar el mensaje:', err.message);
+      res.json({ ok: true, enviados: 0, total: 0, fallidos: 1 });
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Verificación de suscripción del webhook (hub.challenge)
+router.get('/webhook/whatsapp', (req, res) => {
+  const token = String(req.query['hub.verify_token'] || '');
+  if (req.query['hub.mode'] === 'subscribe' && WHATSAPP_VERIFY_TOKEN && safeEqual(token, WHATSAPP_VERIFY_TOKEN)) {
+    return res.type('text/plain').send(String(req.query['hub.challenge'] || ''));
+  }
+  res.status(403).json({ error: 'Token de verificación inválido' });
+});
+
+// Texto de un mensaje entrante: texto libre o respuesta a un botón/lista
+function whatsappText(m) {
+  if (m.type === 'text') return String((m.text && m.text.body) || '').trim();
+  if (m.type === 'button') return String((m.button && m.button.text) || '').trim();
+  if (m.type === 'interactive' && m.interactive) {
+    const r = m.interactive.button_reply || m.interactive.list_reply || {};
+    return String(r.id && r.id.startsWith('q:') ? r.id.slice(2) : r.title || '').trim();
+  }
+  return '';
+}
+
+router.post('/webhook/whatsapp', trackQuery('/webhook/whatsapp'), async (req, res, next) => {
+  try {
+    // Sin firma verificable el cuerpo podría nombrar cualquier número como destinatario
+    if (!WHATSAPP_TOKEN || !WHATSAPP_PHONE_NUMBER_ID || !WHATSAPP_APP_SECRET) {
+      return res.status(503).json({ error: 'WhatsApp deshabilitado: faltan WHATSAPP_TOKEN / WHATSAPP_PHONE_NUMBER_ID / WHATSAPP_APP_SECRET en .env' });
+    }
+    if (!whatsappSignatureOk(req)) {
+      return res.status(401).json({ error: 'Firma de webhook inválida' });
+    }
+
+    // Un POST puede traer varios mensajes; los avisos de estado (statuses) se ignoran
+    const mensajes = [];
+    for (const entry of (req.body && req.body.entry) || []) {
+      for (const change of entry.changes || []) {
+        for (const m of (change.value && change.value.messages) || []) {
+          const q = whatsappText(m);
+          if (q && m.from) mensajes.push({ from: m.from, q });
+        }
+      }
+    }
+    if (!mensajes.length) return res.json({ ok: true, ignored: true });
+
+    // Meta reintenta el lote completo ante respuestas distintas de 2xx y reenviaría lo que
+    // ya salió: un mensaje que falla se registra y el lote sigue
+    let enviados = 0, total = 0, fallidos = 0;
+    for (const { from, q } of mensajes) {
+      try {
+        const { consulta, partes } = await channelReply(q, `whatsapp:${from}`, req.app.locals);
+        res.locals.consulta = consulta;
+        const r = await deliver(whatsappRequests(from, partes));
+        enviados += r.enviados;
+        total += r.total;
+      } catch (err) {
+        fallidos++;
+        console.error('! WhatsApp: no se pudo contestar un mensaje del lote:', err.message);
+      }
+    }
+    res.json({ ok: true, enviados, total, fallidos });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =========================================================
+// Proveedores de intención para POST /chat/df
+// Dialogflow (remoto) y clasificador local (reglas + Naive Bayes) con failover
+// =========================================================
+let DialogflowSessionsClient = null;
+try {
+  DialogflowSessionsClient = require('@google-cloud/dialogflow').SessionsClient;
+} catch (e) {
+  console.warn('⚠ Falta @google-cloud/dialogflow. Instala con: npm i @google-cloud/dialogflow');
+}
+
+const DF_FALLBACK_INTENT = 'Default Fallback Intent';
+const DF_MIN_CONFIDENCE  = 0.55;
+
+// Struct de protobuf (payload de Dialogflow) → objeto JS
+const toJs = (any) => {
+  if (!any) return null;
+  if (any.listValue)  return any.listValue.values.map(toJs);
+  if (any.structValue){
+    const obj = {};
+    for (const [k,v] of Object.entries(any.structValue.fields || {})) obj[k] = toJs(v);
+    return obj;
+  }
+  if ('stringValue' in any) return any.stringValue;
+  if ('numberValue' in any) return any.numberValue;
+  if ('boolValue'   in any) return any.boolValue;
+  return null;
+};
+
+function createDialogflowProvider() {
+  const projectId    = process.env.DIALOGFLOW_PROJECT_ID;
+  const languageCode = process.env.DIALOGFLOW_LANGUAGE_CODE || 'es';
+
+  // Un solo cliente por proceso: crearlo recarga credenciales y abre un canal gRPC nuevo
+  let client = null;
+  const stats = { clientes: 0, llamadas: 0 };
+  const sharedClient = () => {
+    if (!client) {
+      client = new DialogflowSessionsClient(); // requiere GOOGLE_APPLICATION_CREDENTIALS
+      stats.clientes++;
+    }
+    return client;
+  };
+
+  return {
+    name: 'dialogflow',
+    stats: () => ({ ...stats }),
+    unavailableReason() {
+      if (!DialogflowSessionsClient) return 'Dialogflow client no disponible';
+      if (!projectId) return 'Falta DIALOGFLOW_PROJECT_ID en .env';
+      return '';
+    },
+    // `lang` sólo reemplaza al código configurado si es otro idioma ("es" no pisa "es-419")
+    async detectIntent({ text, sessionId, lang }) {
+      const client      = sharedClient();
+      const sessionPath = client.projectAgentSessionPath(projectId, sessionId);
+      const codigo      = lang && lang !== parseLang(languageCode) ? lang : languageCode;
+
+      const request = { session: sessionPath, queryInput: { text: { text, languageCode: codigo } } };
+      stats.llamadas++;
+      const [response] = await client.detectIntent(request);
+
+      const qr          = response?.queryResult || {};
+      const intentName  = qr.intent?.displayName || '';
+      const confidence  = Number(qr.intentDetectionConfidence ?? 0);
+      const fText       = qr.fulfillmentText || '';
+      const fMsgs       = qr.fulfillmentMessages || [];
+
+      const messages = [];
+      if (fText) messages.push({ role: 'bot', text: fText });
+      for (const m of fMsgs) {
+        if (m?.payload?.fields?.richContent) {
+          const richContent = toJs(m.payload.fields.richContent);
+          if (richContent) messages.push({ role: 'bot', payload: { richContent } });
+        }
+      }
+
+      return {
+        intentDisplay: intentName,
+        confidence,
+        isFallback: intentName === DF_FALLBACK_INTENT || confidence < DF_MIN_CONFIDENCE,
+        messages
+      };
+    }
+  };
+}
+
+/**
+ * Clasificador local: primero reglas por palabra clave (frase completa dentro del
+ * texto) y, si ninguna aplica, Naive Bayes multinomial entrenado con `frases`.
+ * Una regla sólo gana sola si no queda nada más en el texto: en "hola, ¿dónde está
+ * el salón 126?" lo que sobra se devuelve en `resto` junto con el intent de
+ * búsqueda más probable, y el proveedor lo busca antes de contestar el saludo.
+ */
+function trainLocalClassifier(data) {
+  const intents = (data.intents || []).map(it => ({
+    ...it,
+    claves: (it.palabrasClave || []).map(k => ` ${searchTokens(k).join(' ')} `)
+  }));
+  const vocab = new Set();
+  const stats = new Map();
+  let totalDocs = 0;
+  for (const it of intents) {
+    const counts = new Map();
+    let words = 0;
+    for (const frase of it.frases || []) {
+      for (const tok of searchTokens(frase)) {
+        vocab.add(tok);
+        counts.set(tok, (counts.get(tok) || 0) + 1);
+        words++;
+      }
+      totalDocs++;
+    }
+    stats.set(it.nombre, { docs: (it.frases || []).length, counts, words });
+  }
+
+  // Naive Bayes sobre los tokens; la confianza se castiga con la proporción de palabras desconocidas
+  function bayes(toks) {
+    const conocidos = toks.filter(t => vocab.has(t));
+    if (!conocidos.length || !totalDocs) return { intent: null, confidence: 0 };
+
+    const logs = intents.map(it => {
+      const st = stats.get(it.nombre);
+      let lp = Math.log((st.docs + 1) / (totalDocs + intents.length));
+      for (const t of conocidos) lp += Math.log(((st.counts.get(t) || 0) + 1) / (st.words + vocab.size));
+      return lp;
+    });
+    const max = Math.max(...logs);
+    const exps = logs.map(l => Math.exp(l - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    let best = 0;
+    for (let i = 1; i < exps.length; i++) if (exps[i] > exps[best]) best = i;
+    const cobertura = conocidos.length / toks.length;
+    return { intent: intents[best], confidence: (exps[best] / sum) * cobertura, probs: exps.map(e => e / sum) };
+  }
+
+  return {
+    umbral: data.umbral ?? DF_MIN_CONFIDENCE,
+    intents,
+    classify(text) {
+      const toks = searchTokens(text);
+      const padded = ` ${toks.join(' ')} `;
+      const regla = intents.find(it => it.claves.some(k => k.trim() && padded.includes(k)));
+      if (!regla) return bayes(toks);
+
+      // Se quitan las frases de todas las reglas; lo que queda puede ser un lugar
+      let resto = padded;
+      for (const k of intents.flatMap(it => it.claves)) {
+        while (k.trim() && resto.includes(k)) resto = resto.replace(k, ' ');
+      }
+      const sobrantes = searchTokens(resto);
+      if (!sobrantes.some(t => !SEARCH_STOPWORDS.has(t))) return { intent: regla, confidence: 0.9 };
+
+      const { probs = [] } = bayes(sobrantes);
+      const busqueda = intents
+        .map((it, i) => ({ it, p: probs[i] || 0 }))
+        .filter(x => x.it.accion === 'buscar')
+        .sort((a, b) => b.p - a.p)[0];
+      return { intent: regla, confidence: 0.9, resto: sobrantes.join(' '), busqueda: busqueda && busqueda.it };
+    }
+  };
+}
+
+const LOCAL_INTENTS_PATH = process.env.LOCAL_INTENTS_PATH || path.join(__dirname, 'data', 'intents-local.json');
+
+function createLocalProvider() {
+  let classifier = null;
+  let loadError = '';
+  try {
+    classifier = trainLocalClassifier(JSON.parse(fs.readFileSync(LOCAL_INTENTS_PATH, 'utf8')));
+  } catch (e) {
+    loadError = `No se pudo cargar ${LOCAL_INTENTS_PATH}: ${e.message}`;
+    console.warn('!', loadError);
+  }
+
+  return {
+    name: 'local',
+    unavailableReason: () => loadError,
+    async detectIntent({ text, source, lang = IDIOMA_BASE }) {
+      const q = toSpanishQuery(text, lang);
+      const { intent, confidence, resto, busqueda } = classifier.classify(q);
+      const isFallback = !intent || confidence < classifier.umbral;
+      const intentDisplay = isFallback ? DF_FALLBACK_INTENT : intent.nombre;
+      const c = Math.round(confidence * 1000) / 1000;
+
+      // "hola, ¿dónde está la biblioteca?": si lo que sobra del saludo es un lugar, se contesta el lugar
+      if (resto && busqueda) {
+        const r = await answerDirect(resto, { source, lang }) || await searchLocations(resto, { source });
+        if (r.resultados.length || r.richContent || r.texto) {
+          return { intentDisplay: busqueda.nombre, confidence: c, isFallback: false, messages: buildSearchMessages(r, lang) };
+        }
+      }
+
+      // Intents de ubicación: se responde con el mismo motor de /chat
+      if (intent && intent.accion === 'buscar' && !isFallback) {
+        const r = await answerDirect(q, { source, lang }) || await searchLocations(q, { source });
+        return { intentDisplay, confidence: c, isFallback, messages: buildSearchMessages(r, lang) };
+      }
+
+      // `respuestas` es una lista (español) o un mapa por idioma { es: [...], en: [...] }
+      const messages = [];
+      const respuestas = isFallback ? [] : Array.isArray(intent.respuestas) ? intent.respuestas
+        : (intent.respuestas || {})[lang] || (intent.respuestas || {})[IDIOMA_BASE] || [];
+      if (respuestas.length) messages.push({ role: 'bot', text: respuestas[0] });
+      return { intentDisplay, confidence: c, isFallback, messages };
+    }
+  };
+}
+
+const NLU_PROVIDERS = { dialogflow: createDialogflowProvider, local: createLocalProvider };
+
+// NLU_PROVIDER elige el principal; NLU_FALLBACK el respaldo ('none' lo desactiva)
+function buildProviderChain() {
+  const principal = process.env.NLU_PROVIDER || 'dialogflow';
+  const respaldo  = process.env.NLU_FALLBACK || 'local';
+  const nombres = [principal];
+  if (respaldo !== 'none' && respaldo !== principal) nombres.push(respaldo);
+  return nombres.map(n => {
+    if (!NLU_PROVIDERS[n]) throw new Error(`Proveedor NLU desconocido: ${n}`);
+    return NLU_PROVIDERS[n]();
+  });
+}
+const nluProviders = buildProviderChain();
+
+async function detectIntentWithFailover(params) {
+  const fallas = [];
+  for (const provider of nluProviders) {
+    const motivo = provider.unavailableReason();
+    if (motivo) { fallas.push({ provider: provider.name, error: motivo }); continue; }
+    try {
+      const r = await provider.detectIntent(params);
+      return { ...r, provider: provider.name, failover: fallas.length > 0 };
+    } catch (err) {
+      console.warn(`! Proveedor ${provider.name} falló:`, err.message);
+      fallas.push({ provider: provider.name, error: err.message });
+    }
+  }
+  throw httpError(500, 'Error detectIntent', fallas);
+}
+
+// =========================================================
+// Endpoint POST /chat/df
+// Análisis de intención con el proveedor configurado y respaldo automático
+// =========================================================
+router.post('/chat/df', dfRateLimit, trackQuery('/chat/df'), async (req, res) => {
+  try {
+    const { text = '', sessionId } = req.body || {};
+    const clean = limitText(text, 'text');
+    if (!clean) return res.status(400).json({ error: 'Falta "text"' });
+
+    const sid = sessionId || uuidv4();
+    const lang = requestLang(req);
+    const r = await detectIntentWithFailover({ text: clean, sessionId: sid, source: req.app.locals.source, lang });
+
+    const messages = r.messages.length ? r.messages : [{ role: 'bot', text: msg(lang, 'chat.disculpa') }];
+    res.locals.consulta = {
+      texto: clean, tipo: 'intent',
+      canonical: r.intentDisplay, resultados: r.isFallback ? 0 : 1
+    };
+
+    return res.json({
+      sessionId: sid,
+      intentDisplay: r.intentDisplay,
+      confidence: r.confidence,
+      isFallback: r.isFallback,
+      provider: r.provider,
+      failover: r.failover,
+      messages
+    });
+
+  } catch (err) {
+    if (err.status && err.status < 500) return res.status(err.status).json({ error: err.message, details: err.details });
+    console.error('Error /chat/df:', err.message);
+    return res.status(500).json({ error: 'Error detectIntent', details: err.details || err.message });
+  }
+});
+
+// =========================================================
+// Fábrica de la aplicación y API del módulo
+// createApp() arma Express sin conectar ni escuchar; resolveLocation() no usa HTTP
+// =========================================================
+/**
+ * App Express con todas las rutas.
+ *   source   → fuente de datos del motor de búsqueda (MongoDB por defecto)
+ *   sessions → almacén de sesiones de /chat (el de CHAT_SESSION_STORE por defecto)
+ *   logger   → formato de morgan; false lo desactiva
+ *   rateLimits  → almacén de los límites de uso ({ hit }); null los desactiva
+ *   corsOrigins → orígenes permitidos; vacío = cualquiera
+ *   mongo    → monta las rutas de mongoRouter (CRUD, administración, horarios, planos…);
+ *              por defecto sólo con la fuente MongoDB. Sin ellas esas rutas responden 404.
+ */
+function createApp({
+  source = mongoDataSource,
+  sessions = chatSessions,
+  logger = 'dev',
+  rateLimits = RATE_LIMIT_ENABLED ? createMemoryRateStore() : null,
+  corsOrigins = CORS_ORIGINS,
+  mongo = source === mongoDataSource
+} = {}) {
+  const app = express();
+  app.locals.source = source;
+  app.locals.mongo = mongo;
+  app.locals.sessions = sessions;
+  app.locals.rateLimits = rateLimits;
+  if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY === 'true' || TRUST_PROXY);
+
+  app.use("/mapas", express.static(MAPAS_DIR));
+  app.use(cors({
+    origin: corsOrigins.length ? corsOrigins : '*',
+    exposedHeaders: ['X-Session-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+  }));
+  if (logger) app.use(morgan(logger));
+  app.use(generalRateLimit);
+  app.use(express.json({
+    limit: JSON_BODY_LIMIT,
+    type: (req) => Boolean(req.is('application/json')) && !BULK_PATHS.includes(req.path),
+    // rawBody: lo necesita la verificación de firma del webhook de WhatsApp
+    verify: (req, _res, buf) => { req.rawBody = buf; }
+  }));
+  app.use(webhookRateLimit);
+
+  app.use(router);
+  if (mongo) app.use(mongoRouter);
+
+  app.use((req, res) => res.status(404).json({ error: 'Recurso no encontrado' }));
+  app.use((err, req, res, _next) => {
+    if ((err.status || 500) >= 500) console.error(err);
+    if (err.type === 'entity.too.large') err = httpError(413, 'Cuerpo de la solicitud demasiado grande', { limite: err.limit });
+    // Los 500 no exponen el mensaje interno (p. ej. del driver de MongoDB)
+    const body = { error: err.status ? err.message : 'Error interno del servidor' };
+    if (err.details) body.details = err.details;
+    res.status(err.status || 500).json(body);
+  });
+  return app;
+}
+
+/**
+ * Resuelve un texto libre a salones, laboratorios o lugares, sin pasar por HTTP.
+ * Opciones: tipo, limit y la fuente: `source` (p. ej. createMemoryDataSource(...))
+ * o directamente `data` ({ salones, laboratorios, lugares }). Sin ninguna usa MongoDB.
+ * Devuelve { resultados, sugerencias } como searchLocations.
+ */
+async function resolveLocation(text, { source, data, ...opciones } = {}) {
+  const fuente = source || (data ? createMemoryDataSource(data) : mongoDataSource);
+  return searchLocations(text, { ...opciones, source: fuente });
+}
+
+module.exports = {
+  createApp,
+  resolveLocation,
+  connectDatabase,
+  reloadSynonyms,
+  createMongoDataSource,
+  createMemoryDataSource,
+  createMemorySessionStore,
+  createMongoSessionStore,
+  createMemoryRateStore,
+  reservationConflicts,
+  checkReservationRules,
+  renderMarkdown,
+  renderSsml,
+  models: { Salon, Laboratorio, Lugar, Sinonimo, Horario, Aviso, Reserva, Equipo, Plano, Consulta, ChatSession }
+};
\ No newline at end of file
@@ -0,0 +1,144 @@
+// Webhooks de Telegram y WhatsApp contra un servidor falso local de las APIs de mensajería
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { startApp } = require('./helpers');
+
+// La configuración de canales se lee al cargar app.js
+const fake = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', c => { raw += c; });
+  req.on('end', () => {
+    const body = JSON.parse(raw || '{}');
+    recibidos.push({ url: req.url, headers: req.headers, body });
+    if (JSON.stringify(body).includes('Salón lento')) return;               // nunca responde: lo corta el timeout
+    if (req.url.endsWith('/sendPhoto') && falloFoto) { res.writeHead(500); return res.end('{}'); }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end('{"ok":true}');
+  });
+});
+let recibidos = [];
+let falloFoto = false;
+
+const SECRETO_TG = 'secreto-telegram';
+const SECRETO_WA = 'secreto-meta';
+const app = startApp(async () => {
+  await new Promise(r => fake.listen(0, '127.0.0.1', r));
+  const url = `http://127.0.0.1:${fake.address().port}`;
+  Object.assign(process.env, {
+    TELEGRAM_BOT_TOKEN: '123:abc', TELEGRAM_WEBHOOK_SECRET: SECRETO_TG, TELEGRAM_API_URL: url,
+    WHATSAPP_TOKEN: 'wa-token', WHATSAPP_PHONE_NUMBER_ID: '555', WHATSAPP_APP_SECRET: SECRETO_WA, WHATSAPP_API_URL: url,
+    CHANNEL_TRANSPORT: 'http', CHANNEL_TIMEOUT_MS: '300', RATE_LIMIT_ENABLED: 'false'
+  });
+  const api = require('../app');
+  const source = api.createMemoryDataSource({
+    salones: [
+      { numero: '126', nombre: 'Salón 126', edificio: 'Edificio 1', piso: '1' },
+      { numero: '900', nombre: 'Salón lento', edificio: 'Edificio 2', piso: '1' }
+    ]
+  });
+  // Una consulta que hace fallar al motor, para probar que el lote sigue
+  const candidates = source.candidates;
+  source.candidates = async (q, ...resto) => {
+    if (q.includes('explota')) throw new Error('fallo del motor');
+    return candidates(q, ...resto);
+  };
+  return { source };
+});
+
+after(() => fake.close());
+
+const telegram = (text, secreto = SECRETO_TG) => fetch(`${app.base}/webhook/telegram`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', 'x-telegram-bot-api-secret-token': secreto },
+  body: JSON.stringify({ update_id: 1, message: { message_id: 1, chat: { id: 42 }, from: { language_code: 'es' }, text } })
+});
+
+function whatsapp(textos, { firma } = {}) {
+  const raw = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{ changes: [{ value: { messages: textos.map((t, i) => ({ from: `52155${i}`, type: 'text', text: { body: t } })) } }] }]
+  });
+  const hmac = 'sha256=' + crypto.createHmac('sha256', SECRETO_WA).update(raw).digest('hex');
+  return fetch(`${app.base}/webhook/whatsapp`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-hub-signature-256': firma || hmac },
+    body: raw
+  });
+}
+
+test('Telegram rechaza updates sin el secreto del webhook', async () => {
+  recibidos = [];
+  const r = await telegram('salón 126', 'otro');
+  assert.equal(r.status, 401);
+  assert.equal(recibidos.length, 0);
+});
+
+test('Telegram contesta con sendPhoto y sendMessage en la API configurada', async () => {
+  recibidos = [];
+  const r = await telegram('¿dónde está el salón 126?');
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.equal(body.ok, true);
+  assert.equal(body.enviados, body.total);
+  assert.ok(recibidos.length >= 1);
+  for (const x of recibidos) {
+    assert.match(x.url, /^\/bot123:abc\/send(Message|Photo|Document)$/);
+    assert.equal(x.body.chat_id, 42);
+  }
+  assert.ok(recibidos.some(x => /Salón 126/.test(x.body.text || x.body.caption || '')));
+});
+
+test('Telegram detiene el envío al primer fallo y aun así responde 200', async () => {
+  falloFoto = true;
+  try {
+    recibidos = [];
+    const r = await telegram('salón 126');
+    assert.equal(r.status, 200);
+    const body = await r.json();
+    assert.ok(recibidos.some(x => x.url.endsWith('/sendPhoto')));
+    assert.ok(body.enviados < body.total);
+  } finally { falloFoto = false; }
+});
+
+test('WhatsApp rechaza cuerpos con firma inválida', async () => {
+  recibidos = [];
+  const r = await whatsapp(['salón 126'], { firma: 'sha256=' + '0'.repeat(64) });
+  assert.equal(r.status, 401);
+  assert.equal(recibidos.length, 0);
+});
+
+test('WhatsApp contesta cada mensaje del lote con el token y el número configurados', async () => {
+  recibidos = [];
+  const r = await whatsapp(['salón 126']);
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.equal(body.fallidos, 0);
+  assert.ok(recibidos.length >= 1);
+  for (const x of recibidos) {
+    assert.equal(x.url, '/555/messages');
+    assert.equal(x.headers.authorization, 'Bearer wa-token');
+    assert.equal(x.body.to, '521550');
+  }
+});
+
+test('WhatsApp: un mensaje que falla no corta el lote ni provoca reintentos', async () => {
+  recibidos = [];
+  const r = await whatsapp(['explota', 'salón 126']);
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.equal(body.fallidos, 1);
+  assert.ok(body.enviados >= 1);
+  assert.ok(recibidos.every(x => x.body.to === '521551'));
+});
+
+test('Una API que no responde se corta por timeout y el webhook responde 200', async () => {
+  recibidos = [];
+  const inicio = Date.now();
+  const r = await telegram('salón 900');
+  assert.equal(r.status, 200);
+  const body = await r.json();
+  assert.equal(body.enviados, 0);
+  assert.ok(Date.now() - inicio < 5000);
+});
@@ -0,0 +1,133 @@
+// createApp con una fuente en memoria: /chat, /buscar y seguimientos sin MongoDB
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NLU_PROVIDER = 'local';
+const { createMemoryDataSource, resolveLocation } = require('../app');
+const { startApp } = require('./helpers');
+
+// Mañana en la zona del campus (AAAA-MM-DD), para que la reservación no caduque
+const manana = new Intl.DateTimeFormat('en-CA', { timeZone: process.env.CAMPUS_TZ || 'America/Mexico_City' })
+  .format(new Date(Date.now() + 864e5));
+
+const source = createMemoryDataSource({
+  salones: [
+    { numero: '126', nombre: 'Salón 126', edificio: 'Edificio 1', piso: '1' },
+    { numero: '324', nombre: 'Salón 324', edificio: 'Edificio 3', piso: '3' }
+  ],
+  laboratorios: [
+    { codigo: 'TEL1', nombre: 'Laboratorio de Telemática I', edificio: 'Edificio 4', piso: '2' },
+    { codigo: 'TEL2', nombre: 'Laboratorio de Telemática II', edificio: 'Edificio 4', piso: '3' },
+    { codigo: 'SC3', nombre: 'Sala de Cómputo 3', edificio: 'Edificio 1', piso: '2' }
+  ],
+  lugares: [{ nombre: 'Biblioteca', categoria: 'biblioteca', edificio: 'Edificio Central', piso: 'PB' }],
+  equipos: [{ laboratorio: 'TEL2', nombre: 'Osciloscopio digital', cantidad: 4 }],
+  horarios: [{ tipo: 'laboratorio', espacio: 'SC3', dia: 'jueves', inicio: '12:00', fin: '14:00', materia: 'Redes' }],
+  reservas: [{ laboratorio: 'SC3', fecha: manana, inicio: '10:00', fin: '11:00', estado: 'aprobada', solicitante: 'Club de robótica' }]
+});
+const app = startApp({ source });
+
+async function chat(text, extra = {}) {
+  const r = await fetch(`${app.base}/chat`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ text, ...extra })
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+const textoDe = (body) => body.messages.filter(m => m.text).map(m => m.text).join('\n');
+
+test('/chat encuentra un salón por número y devuelve texto y tarjeta', async () => {
+  const { status, body } = await chat('¿dónde está el salón 126?');
+  assert.equal(status, 200);
+  assert.ok(body.sessionId);
+  assert.match(textoDe(body), /Salón 126/);
+  const cards = body.messages.find(m => m.payload).payload.richContent[0];
+  assert.ok(cards.some(c => c.type === 'info' && /Salón 126/.test(c.title)));
+});
+
+test('/chat sin texto responde 400', async () => {
+  assert.equal((await chat('')).status, 400);
+});
+
+test('seguimientos: atributo y variante del último resultado en la misma sesión', async () => {
+  const primero = await chat('laboratorio de telemática I');
+  assert.match(textoDe(primero.body), /Telemática I\b/);
+  const sessionId = primero.body.sessionId;
+
+  const piso = await chat('¿y en qué piso está?', { sessionId });
+  assert.match(textoDe(piso.body), /Laboratorio de Telemática I .*piso 2/i);
+
+  const variante = await chat('¿y el II?', { sessionId });
+  assert.match(textoDe(variante.body), /Telemática II/);
+
+  const pisoII = await chat('¿en qué piso?', { sessionId });
+  assert.match(textoDe(pisoII.body), /piso 3/i);
+});
+
+test('preguntas de horario y reservaciones se contestan desde la fuente en memoria', async () => {
+  const clase = await chat('¿está libre la sala de cómputo 3 el jueves a las 12?');
+  assert.equal(clase.status, 200);
+  assert.match(textoDe(clase.body), /no está libre .*Redes/);
+
+  const reserva = await chat('¿está libre la sala de cómputo 3 mañana a las 10?');
+  assert.equal(reserva.status, 200);
+  assert.match(textoDe(reserva.body), /Reservaci[oó]n \(10:00–11:00\)/);
+});
+
+test('/chat responde en inglés con lang=en', async () => {
+  const { body } = await chat('where is the library?', { lang: 'en' });
+  assert.match(textoDe(body), /^Found 1 result/);
+  assert.match(textoDe(body), /Biblioteca/);
+});
+
+test('/buscar ordena por puntaje y sugiere cuando no hay coincidencias', async () => {
+  const ok = await fetch(`${app.base}/buscar?texto=${encodeURIComponent('telematica 2')}`).then(r => r.json());
+  assert.equal(ok.data[0].nombre, 'Laboratorio de Telemática II');
+  for (let i = 1; i < ok.data.length; i++) assert.ok(ok.data[i - 1].score >= ok.data[i].score);
+
+  const typo = await fetch(`${app.base}/buscar?texto=${encodeURIComponent('bibloteca')}`).then(r => r.json());
+  assert.equal(typo.data[0].nombre, 'Biblioteca');
+
+  const vacio = await fetch(`${app.base}/buscar?texto=`).then(r => r.json());
+  assert.deepEqual(vacio, { total: 0, data: [] });
+});
+
+test('/buscar resuelve equipo del inventario al laboratorio que lo tiene', async () => {
+  const r = await fetch(`${app.base}/buscar?texto=${encodeURIComponent('¿dónde hay osciloscopios?')}`).then(r => r.json());
+  assert.equal(r.data[0].nombre, 'Laboratorio de Telemática II');
+  assert.equal(r.data[0].equipos[0].nombre, 'Osciloscopio digital');
+});
+
+test('resolveLocation usa la misma fuente sin levantar el servidor', async () => {
+  const r = await resolveLocation('salón 324', { source });
+  assert.equal(r.resultados[0].numero, '324');
+});
+
+test('/chat/df local: el saludo solo se saluda y el saludo con un lugar busca el lugar', async () => {
+  const df = (text) => fetch(`${app.base}/chat/df`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ text })
+  }).then(r => r.json());
+
+  const hola = await df('hola');
+  assert.equal(hola.intentDisplay, 'Default Welcome Intent');
+
+  const conLugar = await df('hola, ¿dónde está el salón 126?');
+  assert.notEqual(conLugar.intentDisplay, 'Default Welcome Intent');
+  assert.match(textoDe(conLugar), /Salón 126/);
+
+  const gracias = await df('gracias, ¿dónde está la biblioteca?');
+  assert.match(textoDe(gracias), /Biblioteca/);
+});
+
+test('sin MongoDB no se montan las rutas que usan los modelos directamente', async () => {
+  const r = await fetch(`${app.base}/salones`);
+  assert.equal(r.status, 404);
+  const raiz = await fetch(`${app.base}/`).then(r => r.json());
+  assert.ok(raiz.endpoints.includes('/buscar'));
+  assert.ok(!raiz.endpoints.includes('/salones'));
+  assert.equal((await fetch(`${app.base}/salones/libres?dia=lunes&hora=10`)).status, 200);
+});
@@ -0,0 +1,88 @@
+// Fulfillment de Dialogflow ES (POST /webhook/dialogflow) con solicitudes grabadas en test/fixtures/dialogflow
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const fs = require('node:fs');
+
+const TOKEN = 'token-de-prueba';
+process.env.DIALOGFLOW_WEBHOOK_TOKEN = TOKEN;
+const { createMemoryDataSource } = require('../app');
+const { startApp } = require('./helpers');
+
+const fixture = (nombre) => fs.readFileSync(path.join(__dirname, 'fixtures', 'dialogflow', `${nombre}.json`), 'utf8');
+
+const source = createMemoryDataSource({
+  salones: [{ numero: '126', nombre: 'Salón 126', edificio: 'Edificio 1', piso: '1' }],
+  laboratorios: [{ codigo: 'SD', nombre: 'Laboratorio de Sistemas Digitales', edificio: 'Edificio 4', piso: '2' }],
+  lugares: [{ nombre: 'Biblioteca', categoria: 'biblioteca', edificio: 'Edificio Central', piso: 'PB' }]
+});
+const app = startApp({ source });
+
+async function webhook(body, { token = TOKEN } = {}) {
+  const r = await fetch(`${app.base}/webhook/dialogflow`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+    body
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+// WebhookResponse: fulfillmentText igual al primer mensaje de texto y, si hay tarjetas, un payload richContent
+function assertWebhookResponse(body) {
+  assert.equal(typeof body.fulfillmentText, 'string');
+  assert.deepEqual(body.fulfillmentMessages[0], { text: { text: [body.fulfillmentText] } });
+  const payload = body.fulfillmentMessages[1] && body.fulfillmentMessages[1].payload;
+  if (payload) assert.ok(Array.isArray(payload.richContent) && Array.isArray(payload.richContent[0]));
+  return payload ? payload.richContent[0] : [];
+}
+
+test('rechaza solicitudes sin el token del webhook', async () => {
+  const r = await webhook(fixture('salon-numero'), { token: '' });
+  assert.equal(r.status, 401);
+  assert.equal((await webhook(fixture('salon-numero'), { token: 'otro' })).status, 401);
+});
+
+test('400 si falta queryResult', async () => {
+  const r = await webhook(JSON.stringify({ responseId: 'x', session: 'projects/p/agent/sessions/s' }));
+  assert.equal(r.status, 400);
+});
+
+test('entidad numérica (@sys.number) → tarjeta del salón', async () => {
+  const r = await webhook(fixture('salon-numero'));
+  assert.equal(r.status, 200);
+  const cards = assertWebhookResponse(r.body);
+  assert.match(r.body.fulfillmentText, /Salón 126/);
+  assert.ok(cards.some(c => c.type === 'info' && /Salón 126/.test(c.title)));
+});
+
+test('entidad como lista: usa el primer valor no vacío', async () => {
+  const r = await webhook(fixture('laboratorio-lista'));
+  assert.equal(r.status, 200);
+  assertWebhookResponse(r.body);
+  assert.match(r.body.fulfillmentText, /Laboratorio de Sistemas Digitales/);
+});
+
+test('sin entidades reconocidas busca con el queryText', async () => {
+  const r = await webhook(fixture('sin-entidades'));
+  assert.equal(r.status, 200);
+  assertWebhookResponse(r.body);
+  assert.match(r.body.fulfillmentText, /Biblioteca/);
+});
+
+test('languageCode en inglés responde en inglés (entidad como struct)', async () => {
+  const r = await webhook(fixture('ingles'));
+  assert.equal(r.status, 200);
+  const cards = assertWebhookResponse(r.body);
+  assert.match(r.body.fulfillmentText, /^Found 1 result/);
+  assert.ok(cards.some(c => c.type === 'info' && /^Name: Salón 126/.test(c.title)));
+});
+
+test('sin coincidencias: texto de "¿Quisiste decir?" y chips con la sugerencia', async () => {
+  const r = await webhook(fixture('sin-resultados'));
+  assert.equal(r.status, 200);
+  const cards = assertWebhookResponse(r.body);
+  assert.match(r.body.fulfillmentText, /^No encontré coincidencias/);
+  assert.match(r.body.fulfillmentText, /Laboratorio de Sistemas Digitales/);
+  const chips = cards.find(c => c.type === 'chips');
+  assert.deepEqual(chips.options, [{ text: 'Laboratorio de Sistemas Digitales' }]);
+});
@@ -0,0 +1,81 @@
+// Rutas de escritura de salones y laboratorios: credencial de administrador, validación y duplicados.
+// Las consultas de unicidad y el guardado se sustituyen con mock.method; nada llega a MongoDB.
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ADMIN = 'llave-admin';
+process.env.ADMIN_API_KEYS = ADMIN;
+const { createMemoryDataSource, models: { Salon } } = require('../app');
+const { startApp } = require('./helpers');
+
+const app = startApp({ source: createMemoryDataSource({}), mongo: true });
+afterEach(() => mock.restoreAll());
+
+const SALON = { numero: '126', nombre: 'Salón 126', edificio: 'Edificio 1', piso: '1' };
+
+async function enviar(metodo, ruta, body, token = ADMIN) {
+  const r = await fetch(`${app.base}${ruta}`, {
+    method: metodo,
+    headers: { 'content-type': 'application/json', ...(token ? { 'x-api-key': token } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+// Salon.findOne(q).collation(...).lean() → `dup`
+const unicidad = (dup) => mock.method(Salon, 'findOne', () => ({ collation: () => ({ lean: async () => dup }) }));
+
+test('sin credencial de administrador las escrituras responden 401', async () => {
+  for (const [metodo, ruta] of [['POST', '/salones'], ['PATCH', '/salones/x'], ['DELETE', '/laboratorios/x'], ['PUT', '/laboratorios/x']]) {
+    const r = await enviar(metodo, ruta, metodo === 'DELETE' ? undefined : SALON, null);
+    assert.equal(r.status, 401, `${metodo} ${ruta}`);
+    assert.equal(r.body.error, 'Falta credencial de administrador');
+  }
+});
+
+test('con una llave que no es de administrador responden 403', async () => {
+  const r = await enviar('POST', '/salones', SALON, 'otra-llave');
+  assert.equal(r.status, 403);
+});
+
+test('un cuerpo sin los campos obligatorios responde 400 con el detalle por campo', async () => {
+  const r = await enviar('POST', '/salones', { numero: '126', nombre: 'Salón 126' });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.error, 'Datos inválidos');
+  assert.deepEqual(r.body.details.map(d => d.campo).sort(), ['edificio', 'piso']);
+});
+
+test('un ID mal formado responde 400 y un PATCH vacío también', async () => {
+  assert.equal((await enviar('PATCH', '/salones/no-es-id', { piso: '2' })).status, 400);
+  const id = '0123456789abcdef01234567';
+  const doc = new Salon({ _id: id, ...SALON });
+  mock.method(Salon, 'findById', async () => doc);
+  const r = await enviar('PATCH', `/salones/${id}`, { otro: 'x' });
+  assert.equal(r.status, 400);
+  assert.equal(r.body.error, 'No se enviaron campos para actualizar');
+});
+
+test('un número de salón que ya existe responde 409 con el id del registro', async () => {
+  unicidad({ _id: 'abc' });
+  const guardar = mock.method(Salon.prototype, 'save', async function () { return this; });
+  const r = await enviar('POST', '/salones', SALON);
+  assert.equal(r.status, 409);
+  assert.deepEqual(r.body, { error: 'Ya existe un registro con numero "126"', details: { id: 'abc' } });
+  assert.equal(guardar.mock.callCount(), 0);
+});
+
+test('un duplicado que detecta el índice único al guardar también responde 409', async () => {
+  unicidad(null);
+  mock.method(Salon.prototype, 'save', async () => { throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 }); });
+  const r = await enviar('POST', '/salones', SALON);
+  assert.equal(r.status, 409);
+  assert.equal(r.body.error, 'Registro duplicado');
+});
+
+test('un salón válido y sin duplicados se crea con 201', async () => {
+  unicidad(null);
+  mock.method(Salon.prototype, 'save', async function () { return this; });
+  const r = await enviar('POST', '/salones', { ...SALON, numero: ' 127 ' });
+  assert.equal(r.status, 201);
+  assert.equal(r.body.numero, '127');
+});
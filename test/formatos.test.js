@@ -0,0 +1,52 @@
+// Escapes de los formatos de /chat: Markdown y SSML
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderMarkdown, renderSsml } = require('../app');
+
+const texto = (t) => ({ tipo: 'texto', texto: t });
+const foto = (extra) => ({ tipo: 'foto', url: 'http://x/mapas/e1.png', alt: 'Plano', ...extra });
+
+test('Markdown escapa los caracteres de marcado del texto', () => {
+  assert.equal(
+    renderMarkdown({ partes: [texto('Lab *A* [B] _c_ `d` #1 | <e> \\')] }),
+    'Lab \\*A\\* \\[B\\] \\_c\\_ \\`d\\` \\#1 \\| \\<e\\> \\\\'
+  );
+});
+
+test('Markdown corta líneas con dos espacios y separa partes con una línea en blanco', () => {
+  assert.equal(renderMarkdown({ partes: [texto('uno\ndos'), texto('tres')] }), 'uno  \ndos\n\ntres');
+});
+
+test('Markdown: en una foto el alt y el pie se escapan y el título va en negritas', () => {
+  assert.equal(
+    renderMarkdown({ partes: [foto({ alt: 'Plano [E1]', pie: 'Salón *126*\nPiso 1 | Edificio 1' })] }),
+    '![Plano \\[E1\\]](http://x/mapas/e1.png)  \n**Salón \\*126\\***  \nPiso 1 \\| Edificio 1'
+  );
+});
+
+test('SSML escapa los caracteres reservados de XML', () => {
+  assert.equal(
+    renderSsml({ partes: [texto('Aula <A> & "B" \'C\'')] }),
+    '<speak xml:lang="es-MX"><p>Aula &lt;A&gt; &amp; &quot;B&quot; &apos;C&apos;</p></speak>'
+  );
+});
+
+test('SSML lee horas, números y códigos de salón con say-as', () => {
+  const ssml = renderSsml({ partes: [texto('L320 de 10:00 a 12:30, grupo 1MV1, 3 lugares')] });
+  assert.equal(ssml,
+    '<speak xml:lang="es-MX"><p>' +
+    '<say-as interpret-as="characters">L</say-as> <say-as interpret-as="cardinal">320</say-as> de ' +
+    '<say-as interpret-as="time" format="hms24">10:00</say-as> a <say-as interpret-as="time" format="hms24">12:30</say-as>, ' +
+    'grupo <say-as interpret-as="characters">1MV1</say-as>, <say-as interpret-as="cardinal">3</say-as> lugares' +
+    '</p></speak>');
+});
+
+test('SSML expande abreviaturas, separa líneas con pausas y de las fotos sólo lee el pie', () => {
+  const ssml = renderSsml({ partes: [texto('Piso PB\n~5 min · s/d'), foto({ pie: 'Edificio <1>' })] });
+  assert.equal(ssml,
+    '<speak xml:lang="es-MX">' +
+    '<p>Piso planta baja<break strength="medium"/>aproximadamente <say-as interpret-as="cardinal">5</say-as> minutos, sin dato</p>' +
+    '<p>Edificio &lt;<say-as interpret-as="cardinal">1</say-as>&gt;</p></speak>');
+  assert.match(renderSsml({ partes: [texto('PB')] }, 'en'), /^<speak xml:lang="en-US"><p>ground floor<\/p><\/speak>$/);
+});
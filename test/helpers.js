@@ -0,0 +1,29 @@
+// Arranque compartido de las pruebas HTTP: createApp en un puerto libre del archivo de pruebas
+const { before, after } = require('node:test');
+const { once } = require('node:events');
+
+/**
+ * Levanta la app antes de las pruebas del archivo y la cierra al terminar. `opciones` van a
+ * createApp sobre sesiones en memoria, sin bitácora ni límites de peticiones; puede ser una
+ * función (async) que las arme dentro de before, cuando el archivo fija el entorno antes de
+ * cargar app.js: Node corre a la vez los before del nivel superior, así que esa preparación
+ * va aquí y no en un before propio. Devuelve un objeto cuyo `base` es la URL del servidor
+ * una vez arrancado.
+ */
+function startApp(opciones) {
+  const app = { base: null };
+  let srv;
+  before(async () => {
+    const config = typeof opciones === 'function' ? await opciones() : opciones;
+    // Se carga después de `opciones`: app.js lee la configuración del entorno al cargarse
+    const { createApp, createMemorySessionStore } = require('../app');
+    srv = createApp({ sessions: createMemorySessionStore(), logger: false, rateLimits: null, ...config })
+      .listen(0, '127.0.0.1');
+    await once(srv, 'listening');
+    app.base = `http://127.0.0.1:${srv.address().port}`;
+  });
+  after(() => srv && srv.close());
+  return app;
+}
+
+module.exports = { startApp };
@@ -0,0 +1,91 @@
+// Diff de POST /admin/import?dryRun=true: crear, actualizar, sin cambios e inválidos.
+// La colección se sustituye con mock.method sobre Salon.find; nada llega a MongoDB.
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ADMIN = 'llave-admin';
+process.env.ADMIN_API_KEYS = ADMIN;
+const { createMemoryDataSource, models: { Salon } } = require('../app');
+const { startApp } = require('./helpers');
+
+const app = startApp({ source: createMemoryDataSource({}), mongo: true });
+
+// Documentos como quedarían guardados, con los campos calculados del pre('validate')
+async function guardados(...datos) {
+  return Promise.all(datos.map(async (d, i) => {
+    const doc = new Salon({ _id: `0123456789abcdef0123456${i}`, ...d });
+    await doc.validate();
+    return doc.toObject();
+  }));
+}
+
+let escritura;
+beforeEach(async () => {
+  const existentes = await guardados(
+    { numero: '126', nombre: 'Salón 126', edificio: 'Edificio 1', piso: '1' },
+    { numero: 'L-320', nombre: 'Salón L-320', edificio: 'Edificio 3', piso: '3' }
+  );
+  mock.method(Salon, 'find', () => ({ lean: async () => existentes }));
+  escritura = mock.method(Salon, 'bulkWrite', async () => ({}));
+});
+afterEach(() => mock.restoreAll());
+
+async function importar(body, { query = 'dryRun=true', tipo = 'application/json' } = {}) {
+  const r = await fetch(`${app.base}/admin/import?${query}`, {
+    method: 'POST',
+    headers: { 'content-type': tipo, 'x-api-key': ADMIN },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+test('el dry-run clasifica cada registro y no escribe', async () => {
+  const { status, body } = await importar({
+    salones: [
+      { numero: '200', nombre: 'Salón 200', edificio: 'Edificio 2', piso: '2' },   // nuevo
+      { numero: '126', piso: '2' },                                                 // cambia el piso
+      { numero: 'L-320', nombre: 'Salón L-320' },                                   // igual al guardado
+      { numero: '300', nombre: 'Salón 300' },                                       // faltan edificio y piso
+      { numero: '200', nombre: 'Otra vez', edificio: 'Edificio 2', piso: '2' },     // repetido en el archivo
+      'no es un objeto'
+    ]
+  });
+  assert.equal(status, 200);
+  assert.equal(body.dryRun, true);
+  const s = body.salones;
+  assert.deepEqual(s.resumen, { crear: 1, actualizar: 1, sinCambios: 1, invalidos: 3 });
+  assert.deepEqual(s.crear, [{ fila: 1, numero: '200' }]);
+  assert.equal(s.actualizar[0].fila, 2);
+  assert.equal(s.actualizar[0].id, '0123456789abcdef01234560');
+  assert.deepEqual(s.actualizar[0].cambios.piso, { antes: '1', despues: '2' });
+  assert.deepEqual(s.sinCambios, [{ fila: 3, numero: 'L-320', id: '0123456789abcdef01234561' }]);
+  assert.deepEqual(s.invalidos.map(x => x.fila), [4, 5, 6]);
+  assert.deepEqual(s.invalidos[0].errores.map(e => e.campo).sort(), ['edificio', 'piso']);
+  assert.match(s.invalidos[1].errores[0].mensaje, /Repetido en la fila 1/);
+  assert.equal(s.invalidos[2].errores[0].mensaje, 'Registro inválido');
+  assert.equal(escritura.mock.callCount(), 0);
+});
+
+test('el número se empata sin distinguir mayúsculas: otra grafía es una actualización, no un alta', async () => {
+  const { body } = await importar({ salones: [{ numero: 'l-320' }] });
+  assert.deepEqual(body.salones.resumen, { crear: 0, actualizar: 1, sinCambios: 0, invalidos: 0 });
+  assert.deepEqual(body.salones.actualizar[0].cambios, { numero: { antes: 'L-320', despues: 'l-320' } });
+});
+
+test('en CSV una columna JSON mal formada marca la fila como inválida', async () => {
+  const csv = 'numero,nombre,edificio,piso,coordenadas\r\n127,Salón 127,Edificio 1,1,{roto\r\n';
+  const { status, body } = await importar(csv, { query: 'dryRun=true&tipo=salones', tipo: 'text/csv' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.salones.invalidos, [{ fila: 1, errores: [{ mensaje: 'Columna "coordenadas" no es JSON válido' }] }]);
+});
+
+test('sin dryRun, un solo registro inválido impide escribir y responde 400 con el diff', async () => {
+  const { status, body } = await importar(
+    { salones: [{ numero: '200', nombre: 'Salón 200', edificio: 'Edificio 2', piso: '2' }, { numero: '300' }] },
+    { query: '' }
+  );
+  assert.equal(status, 400);
+  assert.match(body.error, /1 registro\(s\) inválido\(s\); no se importó nada/);
+  assert.deepEqual(body.details.salones.resumen, { crear: 1, actualizar: 0, sinCambios: 0, invalidos: 1 });
+  assert.equal(escritura.mock.callCount(), 0);
+});
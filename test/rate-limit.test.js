@@ -0,0 +1,64 @@
+// Límite de solicitudes por IP (429, Retry-After y RateLimit-*) con el almacén en memoria
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TOKEN = 'token-de-prueba';
+Object.assign(process.env, { RATE_LIMIT_MAX: '3', DIALOGFLOW_WEBHOOK_TOKEN: TOKEN });
+const { createMemoryDataSource, createMemoryRateStore } = require('../app');
+const { startApp } = require('./helpers');
+
+// Un almacén nuevo por prueba: cada una empieza con la ventana vacía
+const limites = { store: createMemoryRateStore(), hit: (clave, ventana) => limites.store.hit(clave, ventana) };
+beforeEach(() => { limites.store = createMemoryRateStore(); });
+
+const app = startApp({ source: createMemoryDataSource({}), rateLimits: limites });
+
+const dialogflow = (token) => fetch(`${app.base}/webhook/dialogflow`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+  body: JSON.stringify({ queryResult: { queryText: 'hola', languageCode: 'es' } })
+});
+
+test('los webhooks sin credenciales cuentan contra el límite por IP', async () => {
+  for (let i = 0; i < 3; i++) assert.equal((await dialogflow('otro')).status, 401);
+  assert.equal((await dialogflow('otro')).status, 429);
+  assert.equal((await dialogflow()).status, 429);
+});
+
+test('los webhooks con su secreto válido no gastan el límite de la IP', async () => {
+  for (let i = 0; i < 5; i++) assert.equal((await dialogflow(TOKEN)).status, 200);
+  const r = await fetch(`${app.base}/`);
+  assert.equal(r.headers.get('ratelimit-remaining'), '2');
+});
+
+test('al pasarse del límite responde 429 con Retry-After y los encabezados RateLimit-*', async () => {
+  for (let i = 1; i <= 3; i++) {
+    const r = await fetch(`${app.base}/`);
+    assert.equal(r.status, 200);
+    assert.equal(r.headers.get('ratelimit-limit'), '3');
+    assert.equal(r.headers.get('ratelimit-remaining'), String(3 - i));
+    assert.equal(r.headers.get('retry-after'), null);
+  }
+  const r = await fetch(`${app.base}/`);
+  assert.equal(r.status, 429);
+  assert.equal(r.headers.get('ratelimit-remaining'), '0');
+  const reset = Number(r.headers.get('ratelimit-reset'));
+  assert.ok(reset >= 1 && reset <= 60);
+  assert.equal(r.headers.get('retry-after'), String(reset));
+  const body = await r.json();
+  assert.deepEqual(body.details, { limite: 3, ventanaSeg: 60, reintentarEnSeg: reset });
+});
+
+test('/health no cuenta contra el límite', async () => {
+  for (let i = 0; i < 5; i++) assert.equal((await fetch(`${app.base}/health`)).status, 200);
+  assert.equal((await fetch(`${app.base}/`)).headers.get('ratelimit-remaining'), '2');
+});
+
+test('createMemoryRateStore cuenta por clave y reinicia la ventana al vencer', async () => {
+  const store = createMemoryRateStore();
+  const t0 = 1_000_000;
+  assert.deepEqual(await store.hit('a', 1000, t0), { count: 1, resetAt: t0 + 1000 });
+  assert.deepEqual(await store.hit('a', 1000, t0 + 500), { count: 2, resetAt: t0 + 1000 });
+  assert.deepEqual(await store.hit('b', 1000, t0 + 500), { count: 1, resetAt: t0 + 1500 });
+  assert.deepEqual(await store.hit('a', 1000, t0 + 1000), { count: 1, resetAt: t0 + 2000 });
+});
@@ -0,0 +1,86 @@
+// Choques y reglas de reservación de laboratorios, contra una fuente en memoria
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryDataSource, reservationConflicts, checkReservationRules } = require('../app');
+
+// 2030-03-04 es lunes
+const FECHA = '2030-03-04';
+
+const source = createMemoryDataSource({
+  laboratorios: [{ codigo: 'SC3', nombre: 'Sala de Cómputo 3', edificio: 'Edificio 1', piso: '2' }],
+  horarios: [{ tipo: 'laboratorio', espacio: 'SC3', dia: 'lunes', inicio: '14:00', fin: '16:00', materia: 'Redes' }],
+  reservas: [
+    { laboratorio: 'SC3', fecha: FECHA, inicio: '10:00', fin: '11:00', estado: 'aprobada', solicitante: 'Club de robótica' },
+    { laboratorio: 'SC3', fecha: FECHA, inicio: '12:00', fin: '13:00', estado: 'pendiente', solicitante: 'Tutorías' },
+    { laboratorio: 'SC3', fecha: FECHA, inicio: '17:00', fin: '18:00', estado: 'rechazada', solicitante: 'Taller' }
+  ]
+});
+
+async function choques(inicio, fin, opciones = {}) {
+  const [lab] = await source.catalogue('laboratorio');
+  return reservationConflicts({ laboratorio: lab._id, fecha: FECHA, inicio, fin }, { source, ...opciones });
+}
+
+test('una reservación que se empalma choca con la otra', async () => {
+  const r = await choques('10:30', '11:30');
+  assert.deepEqual(r.map(o => [o.tipo, o.inicio, o.fin]), [['reserva', '10:00', '11:00']]);
+});
+
+test('horarios contiguos no chocan: 11:00–12:00 junto a 10:00–11:00', async () => {
+  assert.deepEqual(await choques('11:00', '12:00'), []);
+  assert.deepEqual(await choques('09:00', '10:00'), []);
+});
+
+test('las clases del día de la semana también ocupan el laboratorio', async () => {
+  const r = await choques('15:00', '17:00');
+  assert.deepEqual(r.map(o => [o.tipo, o.materia]), [['clase', 'Redes']]);
+});
+
+test('una reservación rechazada ya no ocupa el horario', async () => {
+  assert.deepEqual(await choques('17:00', '18:00'), []);
+});
+
+test('la reservación no choca consigo misma', async () => {
+  const [propia] = await source.reservations((await source.catalogue('laboratorio'))[0]._id, FECHA);
+  assert.deepEqual(await reservationConflicts(propia, { source }), []);
+});
+
+test('al aprobar sólo cuentan las aprobadas y las clases, no otras pendientes', async () => {
+  const aprobar = { estados: ['aprobada'] };
+  assert.deepEqual(await choques('12:00', '13:00', aprobar), []);
+  assert.deepEqual((await choques('10:00', '12:00', aprobar)).map(o => o.estado), ['aprobada']);
+  assert.deepEqual((await choques('13:30', '14:30', aprobar)).map(o => o.tipo), ['clase']);
+  // Sin la opción, la pendiente sí aparta el lugar
+  assert.deepEqual((await choques('12:00', '13:00')).map(o => o.estado), ['pendiente']);
+});
+
+// Reglas: ahora es el jueves anterior a mediodía, así FECHA queda a más de 24 h y menos de 60 días
+const AHORA = { fecha: '2030-02-28', hora: '12:00', dia: 'jueves' };
+const LAB = { nombre: 'Sala de Cómputo 3', reglasReserva: { capacidad: 30 } };
+const reserva = (extra = {}) => ({ fecha: FECHA, inicio: '10:00', fin: '12:00', asistentes: 20, ...extra });
+
+function rechaza(r, lab, patron) {
+  assert.throws(() => checkReservationRules(r, lab, AHORA), (e) => e.status === 400 && patron.test(e.message));
+}
+
+test('una solicitud dentro de las reglas pasa', () => {
+  assert.doesNotThrow(() => checkReservationRules(reserva(), LAB, AHORA));
+});
+
+test('las reglas rechazan día, horario, duración, anticipación y cupo fuera de rango', () => {
+  rechaza(reserva({ fecha: '2030-03-09' }), LAB, /No se reserva en/);
+  rechaza(reserva({ inicio: '06:00', fin: '08:00' }), LAB, /Fuera del horario/);
+  rechaza(reserva({ inicio: '20:00', fin: '22:00' }), LAB, /Fuera del horario/);
+  rechaza(reserva({ inicio: '08:00', fin: '13:00' }), LAB, /no puede durar más de 240 min/);
+  rechaza(reserva({ fecha: '2030-03-01' }), LAB, /al menos 24 h/);
+  rechaza(reserva({ fecha: '2030-05-06' }), LAB, /más de 60 días/);
+  rechaza(reserva({ asistentes: 31 }), LAB, /hasta 30 personas/);
+  rechaza(reserva(), { nombre: 'Bodega', reglasReserva: { reservable: false } }, /no acepta reservaciones/);
+});
+
+test('las reglas propias del laboratorio reemplazan los valores por defecto', () => {
+  const sabatino = { nombre: 'Sala de Cómputo 3', reglasReserva: { dias: ['sabado'], duracionMaxMin: 60 } };
+  assert.doesNotThrow(() => checkReservationRules(reserva({ fecha: '2030-03-09', fin: '11:00' }), sabatino, AHORA));
+  rechaza(reserva({ fecha: '2030-03-09' }), sabatino, /no puede durar más de 60 min/);
+});